@@ -0,0 +1,88 @@
+// Usage statistics for the admin dashboard. Pure functions only; the UI draws the charts.
+import {
+  fmtDate, parseDate, generateTimeSlots, getSlotOccupancy, getSlotCapacity, createOccupancyIndex,
+} from "./scheduling.mjs";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Lead time buckets in days before the visit: [label, upper bound inclusive].
+export const LEAD_TIME_BUCKETS = [["当日", 0], ["1〜3日前", 3], ["4〜7日前", 7], ["8〜14日前", 14], ["15日以上前", Infinity]];
+
+export const eachDate = (dateFrom, dateTo) => {
+  const dates = [];
+  for (const d = parseDate(dateFrom); fmtDate(d) <= dateTo; d.setDate(d.getDate() + 1)) dates.push(fmtDate(d));
+  return dates;
+};
+
+const ratio = (part, whole) => whole > 0 ? part / whole : 0;
+
+const median = (values) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Days between booking and visit, by calendar date in local time.
+const leadDays = (r) => Math.round((parseDate(r.date) - parseDate(fmtDate(new Date(r.createdAt)))) / DAY_MS);
+
+// Utilization counts capacity units (people × slots): each slot contributes its capacity and the
+// occupancy of bookings holding it, capped at the capacity so overbookings do not exceed 100%.
+// Closed days contribute nothing. Booking counts include every status except waitlisted entries;
+// the no-show rate is taken over bookings whose day has come.
+export const computeAnalytics = (reservations, settings, { dateFrom, dateTo, today = fmtDate(new Date()) }) => {
+  const inRange = reservations.filter((r) => r.date >= dateFrom && r.date <= dateTo && r.status !== "waitlisted");
+  const occupancy = createOccupancyIndex(inRange);
+
+  const byDay = [];
+  const weekdays = Array.from({ length: 7 }, (_, weekday) => ({ weekday, used: 0, capacity: 0 }));
+  const hours = new Map();
+  for (const date of eachDate(dateFrom, dateTo)) {
+    let used = 0, capacity = 0;
+    for (const slot of generateTimeSlots(settings, date)) {
+      const cap = getSlotCapacity(date, slot.label, settings);
+      const occ = Math.min(cap, getSlotOccupancy(date, slot.label, occupancy));
+      used += occ;
+      capacity += cap;
+      const hour = hours.get(slot.hour) || { hour: slot.hour, used: 0, capacity: 0 };
+      hours.set(slot.hour, { ...hour, used: hour.used + occ, capacity: hour.capacity + cap });
+    }
+    byDay.push({ date, used, capacity, utilization: ratio(used, capacity) });
+    const w = weekdays[parseDate(date).getDay()];
+    w.used += used;
+    w.capacity += capacity;
+  }
+
+  const products = new Map();
+  for (const r of inRange) {
+    const p = products.get(r.productId) || { productId: r.productId, productName: r.productName, bookings: 0, cancelled: 0 };
+    products.set(r.productId, { ...p, bookings: p.bookings + 1, cancelled: p.cancelled + (r.status === "cancelled" ? 1 : 0) });
+  }
+
+  const cancelled = inRange.filter((r) => r.status === "cancelled").length;
+  const due = inRange.filter((r) => r.status !== "cancelled" && r.date <= today);
+  const noShows = due.filter((r) => r.status === "no_show").length;
+  const leads = inRange.filter((r) => r.createdAt).map(leadDays).filter((d) => d >= 0);
+  const total = byDay.reduce((sum, d) => ({ used: sum.used + d.used, capacity: sum.capacity + d.capacity }), { used: 0, capacity: 0 });
+
+  return {
+    utilization: ratio(total.used, total.capacity),
+    byDay,
+    byWeekday: weekdays.map((w) => ({ ...w, utilization: ratio(w.used, w.capacity) })),
+    byHour: [...hours.values()].sort((a, b) => a.hour - b.hour).map((h) => ({ ...h, utilization: ratio(h.used, h.capacity) })),
+    byProduct: [...products.values()].sort((a, b) => b.bookings - a.bookings),
+    bookings: inRange.length,
+    cancelled,
+    cancellationRate: ratio(cancelled, inRange.length),
+    noShows,
+    noShowRate: ratio(noShows, due.length),
+    leadTime: {
+      average: ratio(leads.reduce((a, b) => a + b, 0), leads.length),
+      median: median(leads),
+      buckets: LEAD_TIME_BUCKETS.map(([label, max], i) => ({
+        label,
+        count: leads.filter((d) => d <= max && (i === 0 || d > LEAD_TIME_BUCKETS[i - 1][1])).length,
+      })),
+    },
+  };
+};
@@ -0,0 +1,115 @@
+// Append-only audit log of reservation, settings and product changes. Entries are derived by
+// comparing the list (or document) before and after a write, so every code path that saves is
+// covered the same way. Pure functions only; server.mjs and the local mode of pick-reservation.jsx
+// store the log.
+import { fmtDate, canBook, occupiesSlot, withResources, forgetReminder } from "./scheduling.mjs";
+
+export const AUDIT_ACTIONS = {
+  create: "新規予約", cancel: "キャンセル", reschedule: "日時変更", status: "状態変更",
+  promote: "キャンセル待ち確定", restore: "復元", update: "内容変更", settings: "設定変更", products: "商品変更",
+  backup: "バックアップ復元",
+};
+
+// "system" is the waitlist promotion that follows a change.
+export const AUDIT_ACTORS = { customer: "お客様", admin: "管理者", system: "自動" };
+
+// Fields kept in the before/after snapshots; bookkeeping such as reminderQueuedAt is left out.
+const TRACKED = ["status", "date", "startTime", "endTime", "productId", "productName", "partySize", "price", "name", "phone", "email", "note"];
+
+const snapshot = (r) => r && Object.fromEntries(TRACKED.filter((k) => r[k] !== undefined).map((k) => [k, r[k]]));
+
+const classify = (before, after) => {
+  if (!before) return "create";
+  if (before.status !== after.status) {
+    if (after.status === "cancelled") return "cancel";
+    if (before.status === "cancelled") return "restore";
+    if (before.status === "waitlisted" && after.status === "confirmed") return "promote";
+    return "status";
+  }
+  if (before.date !== after.date || before.startTime !== after.startTime || before.productId !== after.productId) {
+    return "reschedule";
+  }
+  return TRACKED.some((k) => before[k] !== after[k]) ? "update" : null;
+};
+
+// One entry per reservation that was added or changed between the two lists.
+export const auditReservationChanges = (previous, next, { actor, at = new Date().toISOString(), genId }) => {
+  const byId = new Map(previous.map((r) => [r.id, r]));
+  return next.flatMap((r) => {
+    const before = snapshot(byId.get(r.id));
+    const after = snapshot(r);
+    const action = classify(before, after);
+    if (!action) return [];
+    return [{ id: genId(), at, actor, action, reservationId: r.id, code: r.code, before, after }];
+  });
+};
+
+// A single entry listing every setting whose value changed, or none.
+export const auditSettingsChanges = (previous, next, { actor = "admin", at = new Date().toISOString(), genId }) => {
+  const changes = [...new Set([...Object.keys(previous), ...Object.keys(next)])]
+    .filter((key) => JSON.stringify(previous[key]) !== JSON.stringify(next[key]))
+    .map((key) => ({ key, before: previous[key], after: next[key] }));
+  return changes.length > 0 ? [{ id: genId(), at, actor, action: "settings", changes }] : [];
+};
+
+// A single entry listing every product that was added, removed or edited (one change per field,
+// with the product's id and name), or none.
+export const auditProductChanges = (previous, next, { actor = "admin", at = new Date().toISOString(), genId }) => {
+  const byId = new Map(previous.map((p) => [p.id, p]));
+  const kept = new Set(next.map((p) => p.id));
+  const changes = [
+    ...next.flatMap((p) => {
+      const before = byId.get(p.id);
+      if (!before) return [{ productId: p.id, name: p.name, key: "product", before: null, after: p.name }];
+      return [...new Set([...Object.keys(before), ...Object.keys(p)])]
+        .filter((key) => JSON.stringify(before[key]) !== JSON.stringify(p[key]))
+        .map((key) => ({ productId: p.id, name: p.name, key, before: before[key], after: p[key] }));
+    }),
+    ...previous.filter((p) => !kept.has(p.id)).map((p) => ({ productId: p.id, name: p.name, key: "product", before: p.name, after: null })),
+  ];
+  return changes.length > 0 ? [{ id: genId(), at, actor, action: "products", changes }] : [];
+};
+
+// The log after a backup is restored. It is never rolled back: the entries kept here stay, the
+// backup's entries this log lacks are added in time order, and the restore itself is logged with
+// the backup's export time and record counts (see summarizeData in schema.mjs).
+export const restoredAuditLog = (current, restored, { exportedAt, summary, actor = "admin", at = new Date().toISOString(), genId }) => {
+  const known = new Set(current.map((e) => e.id));
+  const merged = [...current, ...restored.filter((e) => !known.has(e.id))].sort((a, b) => Date.parse(a.at) - Date.parse(b.at));
+  return [...merged, { id: genId(), at, actor, action: "backup", exportedAt, summary }];
+};
+
+// Field-level differences of a reservation entry, for display.
+export const auditDiff = (entry) => TRACKED
+  .filter((k) => entry.before && entry.after && entry.before[k] !== entry.after[k])
+  .map((key) => ({ key, before: entry.before[key], after: entry.after[key] }));
+
+// `dateFrom`/`dateTo` filter on the (local) day the change was made; `query` matches the code, name or phone.
+export const filterAuditLog = (log, { action = "", actor = "", dateFrom = "", dateTo = "", query = "" }) => {
+  const q = query.trim().toLowerCase();
+  return log.filter((e) => {
+    const day = fmtDate(new Date(e.at));
+    if (action && e.action !== action) return false;
+    if (actor && e.actor !== actor) return false;
+    if ((dateFrom && day < dateFrom) || (dateTo && day > dateTo)) return false;
+    if (!q) return true;
+    const r = e.after || e.before || {};
+    return [e.code, r.name, r.phone].some((v) => v && String(v).toLowerCase().includes(q));
+  });
+};
+
+// Undoes a logged cancellation: the reservation goes back to the status it had before, as long as
+// it is still cancelled and its slot still has room. Returns { reservations, restored } or { error }.
+export const restoreFromAudit = (reservations, entry, settings) => {
+  if (entry?.action !== "cancel") return { error: "キャンセルの記録ではありません" };
+  const target = reservations.find((r) => r.id === entry.reservationId);
+  if (!target) return { error: "予約が見つかりません" };
+  if (target.status !== "cancelled") return { error: "この予約は既に有効です" };
+  const others = reservations.filter((r) => r.id !== target.id);
+  let restored = { ...forgetReminder(target), status: entry.before.status };
+  if (occupiesSlot(restored)) {
+    if (!canBook(restored.date, restored.startTime, restored, others, settings)) return { error: "この時間帯は満員のため復元できません" };
+    restored = withResources(restored, others, settings);
+  }
+  return { reservations: reservations.map((r) => r.id === target.id ? restored : r), restored };
+};
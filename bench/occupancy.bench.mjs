@@ -0,0 +1,119 @@
+// Availability with and without the occupancy index, on a generated history of reservations.
+// `node bench/occupancy.bench.mjs [count]` (default 30000). The "scan" column is the previous
+// implementation, which filtered the whole list for every slot; both must give the same answers.
+import { performance } from "node:perf_hooks";
+import {
+  DEFAULT_PRODUCTS, DEFAULT_SETTINGS, fmtDate, fmtTime, minutesToTime, timeToMinutes, occupiesSlot, slotUsage,
+  getBusinessHours, generateTimeSlots, getSlotCapacity, getSlotOccupancy, canBook, getDateAvailability,
+  createOccupancyIndex, promoteWaitlist,
+} from "../scheduling.mjs";
+
+const COUNT = Number(process.argv[2]) || 30000;
+const settings = { ...DEFAULT_SETTINGS, maxCapacity: 12 };
+const today = fmtDate(new Date());
+
+// ─── Previous implementation ───
+const scanOccupancy = (date, slotLabel, reservations) => reservations
+  .filter((r) => r.date === date && occupiesSlot(r))
+  .reduce((sum, r) => {
+    const slotMin = timeToMinutes(slotLabel);
+    return slotMin >= timeToMinutes(r.startTime) && slotMin < timeToMinutes(r.endTime) ? sum + slotUsage(r) : sum;
+  }, 0);
+
+const scanCanBook = (date, startTime, product, reservations) => {
+  const startMin = timeToMinutes(startTime);
+  const endMin = startMin + product.durationMin;
+  const hours = getBusinessHours(date, settings);
+  if (!hours || startMin < hours.openMin || endMin > hours.closeMin) return false;
+  for (let m = startMin; m < endMin; m += settings.slotIntervalMin) {
+    const slotLabel = fmtTime(Math.floor(m / 60), m % 60);
+    if (scanOccupancy(date, slotLabel, reservations) + slotUsage(product) > getSlotCapacity(date, slotLabel, settings)) return false;
+  }
+  return true;
+};
+
+const scanAvailability = (date, reservations) => {
+  const slots = generateTimeSlots(settings, date);
+  if (slots.length === 0) return 0;
+  let totalAvail = 0, maxPossible = 0;
+  for (const slot of slots) {
+    const capacity = getSlotCapacity(date, slot.label, settings);
+    totalAvail += Math.max(0, capacity - scanOccupancy(date, slot.label, reservations));
+    maxPossible += capacity;
+  }
+  return totalAvail / maxPossible;
+};
+
+const scanPromote = (reservations) => {
+  let next = reservations;
+  const promoted = [];
+  for (const entry of reservations) {
+    if (entry.status !== "waitlisted" || entry.date < today) continue;
+    if (!scanCanBook(entry.date, entry.startTime, entry, next)) continue;
+    const confirmed = { ...entry, status: "confirmed" };
+    next = next.map((r) => r.id === entry.id ? confirmed : r);
+    promoted.push(confirmed);
+  }
+  return promoted;
+};
+
+// ─── Data ───
+// A year back and three months ahead, mostly confirmed, with some cancellations and waitlist.
+let seed = 1;
+const random = () => (seed = (seed * 16807) % 2147483647) / 2147483647;
+const pick = (list) => list[Math.floor(random() * list.length)];
+const addDays = (days) => { const d = new Date(); d.setDate(d.getDate() + days); return fmtDate(d); };
+
+const dates = Array.from({ length: 365 + 92 }, (_, i) => addDays(i - 365));
+const reservations = Array.from({ length: COUNT }, (_, i) => {
+  const product = pick(DEFAULT_PRODUCTS);
+  const startMin = 9 * 60 + 30 * Math.floor(random() * 12);
+  const roll = random();
+  return {
+    id: `r${i}`, date: pick(dates), startTime: minutesToTime(startMin), endTime: minutesToTime(startMin + product.durationMin),
+    productId: product.id, requiredSlots: product.requiredSlots, durationMin: product.durationMin, partySize: 1,
+    status: roll < 0.8 ? "confirmed" : roll < 0.95 ? "cancelled" : "waitlisted",
+  };
+});
+
+// ─── Runs ───
+const time = (fn) => {
+  const start = performance.now();
+  const result = fn();
+  return { ms: performance.now() - start, result };
+};
+
+const calendarDates = dates.slice(365);
+const slotDate = calendarDates[7];
+const product = DEFAULT_PRODUCTS[1];
+const slotGrid = (occupancy, book, occupancyAt) => generateTimeSlots(settings, slotDate)
+  .map((slot) => [book(slotDate, slot.label, product, occupancy), occupancyAt(slotDate, slot.label, occupancy)]);
+
+const rows = [];
+const compare = (name, scan, indexed) => {
+  const a = time(scan), b = time(indexed);
+  if (JSON.stringify(a.result) !== JSON.stringify(b.result)) throw new Error(`${name}: results differ`);
+  rows.push({ case: name, "scan (ms)": a.ms.toFixed(1), "index (ms)": b.ms.toFixed(1), speedup: `${(a.ms / b.ms).toFixed(0)}×` });
+};
+
+const built = time(() => createOccupancyIndex(reservations));
+const index = built.result;
+
+compare("calendar, 3 months", () => calendarDates.map((d) => scanAvailability(d, reservations)),
+  () => calendarDates.map((d) => getDateAvailability(d, index, settings)));
+compare("slot grid, one day", () => slotGrid(reservations, scanCanBook, scanOccupancy),
+  () => slotGrid(index, (date, start, p, occ) => canBook(date, start, p, occ, settings), getSlotOccupancy));
+compare("waitlist promotion", () => scanPromote(reservations).map((r) => r.id),
+  () => promoteWaitlist(reservations, settings, today).promoted.map((r) => r.id));
+
+const cancelled = reservations.map((r, i) => i === 0 ? { ...r, status: "cancelled" } : r);
+const synced = time(() => index.sync(cancelled));
+const rebuilt = time(() => createOccupancyIndex(cancelled));
+
+console.log(`${COUNT} reservations over ${dates.length} days`);
+console.table(rows);
+console.table([
+  { step: "build index", ms: built.ms.toFixed(1) },
+  { step: "sync after one cancellation", ms: synced.ms.toFixed(1) },
+  { step: "rebuild after one cancellation", ms: rebuilt.ms.toFixed(1) },
+]);
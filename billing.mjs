@@ -0,0 +1,164 @@
+// Prices, quotes and monthly statements. A reservation's price is worked out when it is booked or
+// moved and stored on it, so later price changes do not alter what a client was quoted; statements
+// add up the stored prices of completed reservations. Amounts are whole yen, tax included.
+// Pure functions only; server.mjs, index.html and pick-reservation.jsx call them.
+import { fmtDate, parseDate, normalizePhone } from "./scheduling.mjs";
+import { holidayName } from "./holidays.mjs";
+import { formatPhone } from "./customers.mjs";
+import { CSV_BOM, toCsv } from "./csv.mjs";
+
+// ─── Quotes ───
+export const SURCHARGE_KINDS = { percent: "%", yen: "円" };
+
+// Surcharges go by the start of the booking: its weekday (or a national holiday with `holidays`)
+// and its start time. No weekdays and no `holidays` means every day; empty times mean all day.
+const surchargeApplies = (surcharge, date, startTime) => {
+  const everyDay = surcharge.weekdays.length === 0 && !surcharge.holidays;
+  const onDay = everyDay || surcharge.weekdays.includes(parseDate(date).getDay()) || (surcharge.holidays && holidayName(date) !== null);
+  return onDay && (!surcharge.startTime || startTime >= surcharge.startTime) && (!surcharge.endTime || startTime < surcharge.endTime);
+};
+
+// What one booking costs: the client's rate for the product when the customer has one, otherwise
+// the product's list price, plus each matching surcharge (a percentage of that price or a fixed
+// amount), per person. Returns { unitPrice, clientRate, surcharges: [{ label, amount }], partySize, total }.
+export const quotePrice = ({ product, date, startTime, partySize = 1 }, settings, customer = null) => {
+  const rate = customer?.rates?.[product.id];
+  const unitPrice = rate ?? product.price ?? 0;
+  const surcharges = (settings.surcharges || [])
+    .filter((s) => surchargeApplies(s, date, startTime))
+    .map((s) => ({ label: s.label, amount: s.kind === "percent" ? Math.round(unitPrice * s.amount / 100) : s.amount }));
+  const perPerson = unitPrice + surcharges.reduce((sum, s) => sum + s.amount, 0);
+  return { unitPrice, clientRate: rate !== undefined, surcharges, partySize, total: perPerson * partySize };
+};
+
+// A reservation is priced again when one of these changes.
+const PRICED_FIELDS = ["date", "startTime", "productId", "partySize"];
+
+// Reservations that had already taken place when first saved (imported history).
+const tookPlace = (r, today) => r.date < today || ["checked_in", "completed", "no_show"].includes(r.status);
+
+// Prices the reservations in `next` that are new or moved since `previous`; the rest keep the price
+// they were given. Each gets `price` (the total) and `priceDetail` (how it was reached). Today's
+// price is not what older bookings were made at, so ones booked before prices were stored stay
+// unpriced until they move (see schema.mjs), and new ones that already took place keep the price
+// they come with, if any (see importReservationsCsv). Reservations whose product no longer exists
+// are left as they are. Returns `next` itself when nothing was priced.
+export const priceReservations = (previous, next, { products, settings, customers, today = fmtDate(new Date()) }) => {
+  const before = new Map(previous.map((r) => [r.id, r]));
+  const byPhone = new Map(customers.flatMap((c) => c.phones.map((p) => [p, c])));
+  let changed = false;
+  const priced = next.map((r) => {
+    const old = before.get(r.id);
+    if (old ? PRICED_FIELDS.every((key) => old[key] === r[key]) : tookPlace(r, today)) return r;
+    const product = products.find((p) => p.id === r.productId);
+    if (!product) return r;
+    const { total, partySize, ...detail } = quotePrice(
+      { product, date: r.date, startTime: r.startTime, partySize: r.partySize || 1 }, settings, byPhone.get(normalizePhone(r.phone)),
+    );
+    changed = true;
+    return { ...r, price: total, priceDetail: detail };
+  });
+  return changed ? priced : next;
+};
+
+// Consumption tax contained in a tax-included amount, rounded down.
+export const includedTax = (amount, ratePercent) => Math.floor(amount * ratePercent / (100 + ratePercent));
+
+// ─── Statements ───
+// Completed reservations dated in `month` ("YYYY-MM"); `priced` says whether they carry a price.
+const completedIn = (reservations, month, priced) => reservations
+  .filter((r) => r.status === "completed" && r.date.startsWith(`${month}-`) && (r.price !== undefined) === priced);
+
+// One statement per client for `month`, from the completed reservations dated in it that carry a
+// price; ones without (see unpricedInMonth) are left for the staff to bill by hand. Clients are
+// customers of the registry; numbers it does not know are grouped on their own. Largest total first.
+export const monthlyStatements = (reservations, customers, month) => {
+  const byPhone = new Map(customers.flatMap((c) => c.phones.map((p) => [p, c])));
+  const groups = new Map();
+  for (const r of completedIn(reservations, month, true)) {
+    const phone = normalizePhone(r.phone);
+    const customer = byPhone.get(phone) || { id: null, name: r.name, phones: [phone], email: r.email || "" };
+    const key = customer.id || `phone:${phone}`;
+    if (!groups.has(key)) groups.set(key, { month, customer, reservations: [] });
+    groups.get(key).reservations.push(r);
+  }
+  return [...groups.values()]
+    .map((s) => ({
+      ...s,
+      reservations: s.reservations.sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime)),
+      total: s.reservations.reduce((sum, r) => sum + (r.price || 0), 0),
+    }))
+    .sort((a, b) => b.total - a.total || a.customer.name.localeCompare(b.customer.name, "ja"));
+};
+
+// Completed reservations of `month` that no statement includes because they have no price.
+export const unpricedInMonth = (reservations, month) => completedIn(reservations, month, false);
+
+const monthLabel = (month) => `${Number(month.slice(0, 4))}年${Number(month.slice(5, 7))}月`;
+const yen = (n) => `¥${Number(n || 0).toLocaleString("ja-JP")}`;
+const itemLabel = (r) => `${r.productName}${r.partySize > 1 ? `（${r.partySize}名）` : ""}`;
+const surchargeLabel = (r) => (r.priceDetail?.surcharges || []).map((s) => `${s.label} +${yen(s.amount)}`).join("・");
+
+// Line items of every statement given, one row per reservation.
+export const statementsToCsv = (statements) => CSV_BOM + toCsv([
+  ["請求月", "お客様", "電話番号", "日付", "開始", "終了", "内容", "予約番号", "単価", "割増", "金額"],
+  ...statements.flatMap((s) => s.reservations.map((r) => [
+    s.month, s.customer.name, s.customer.phones.map(formatPhone).join(" / "), r.date, r.startTime, r.endTime,
+    itemLabel(r), r.code, r.priceDetail?.unitPrice ?? "", surchargeLabel(r), r.price ?? "",
+  ])),
+]);
+
+const escapeHtml = (s) => String(s ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+// A standalone, printable statement (the browser's print dialog saves it as PDF). The issuer is
+// `invoiceIssuer` (or the warehouse name) with its qualified invoice registration number.
+export const statementToHtml = (statement, settings, issuedOn) => {
+  const { customer, reservations, total, month } = statement;
+  const rate = settings.taxRatePercent;
+  const rows = reservations.map((r) => `
+      <tr><td>${escapeHtml(r.date)} ${escapeHtml(r.startTime)}〜${escapeHtml(r.endTime)}</td><td>${escapeHtml(itemLabel(r))}${
+        surchargeLabel(r) ? `<br><small>${escapeHtml(surchargeLabel(r))}</small>` : ""}</td><td>${escapeHtml(r.code)}</td><td class="num">${yen(r.price)}</td></tr>`).join("");
+  return `<!DOCTYPE html>
+<html lang="ja">
+<head>
+<meta charset="utf-8">
+<title>請求書 ${escapeHtml(monthLabel(month))} ${escapeHtml(customer.name)}</title>
+<style>
+  body { font-family: "Noto Sans JP", sans-serif; color: #3d2b1f; margin: 32px; font-size: 13px; }
+  h1 { font-size: 22px; text-align: center; letter-spacing: 8px; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { border-bottom: 1px solid #e8ddd0; padding: 6px 8px; text-align: left; vertical-align: top; }
+  .num { text-align: right; white-space: nowrap; }
+  .head { display: flex; justify-content: space-between; gap: 24px; }
+  .total { font-size: 18px; font-weight: 700; }
+  @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>請求書</h1>
+<div class="head">
+  <div>
+    <p class="total">${escapeHtml(customer.name)} 様</p>
+    <p>${escapeHtml(monthLabel(month))}ご利用分</p>
+    <p class="total">ご請求金額 ${yen(total)}（税込）</p>
+  </div>
+  <div style="text-align: right">
+    <p>発行日 ${escapeHtml(issuedOn)}</p>
+    <p>${escapeHtml(settings.invoiceIssuer || settings.warehouseName)}</p>
+    ${settings.warehouseAddress ? `<p>${escapeHtml(settings.warehouseAddress)}</p>` : ""}
+    ${settings.invoiceRegistrationNumber ? `<p>登録番号 ${escapeHtml(settings.invoiceRegistrationNumber)}</p>` : ""}
+  </div>
+</div>
+<table>
+  <thead><tr><th>ご利用日時</th><th>内容</th><th>予約番号</th><th class="num">金額（税込）</th></tr></thead>
+  <tbody>${rows}
+  </tbody>
+</table>
+<table style="width: auto; margin-left: auto">
+  <tr><th>合計（${rate}%対象・税込）</th><td class="num">${yen(total)}</td></tr>
+  <tr><th>内消費税（${rate}%）</th><td class="num">${yen(includedTax(total, rate))}</td></tr>
+</table>
+</body>
+</html>
+`;
+};
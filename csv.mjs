@@ -0,0 +1,159 @@
+// CSV export/import of reservations for reconciling in spreadsheets. Shared by the admin UI
+// (pick-reservation.jsx) and the API server (server.mjs); pure functions only.
+import {
+  STATUS_LABELS, minutesToTime, timeToMinutes, isValidDate, isValidTime, canBook, createOccupancyIndex, occupiesSlot,
+  withResources, generateReservationCode, normalizeCode,
+} from "./scheduling.mjs";
+import { isValidPhone, isValidEmail } from "./customers.mjs";
+
+// Excel only detects UTF-8 (and so shows Japanese correctly) when the file starts with a BOM.
+export const CSV_BOM = "\uFEFF";
+
+// Column order of the export; import matches columns by header label, so it may be reordered.
+// 料金 is kept for imported reservations that already took place (past or attended), so their
+// statements show what was charged; upcoming ones are priced again when they are saved.
+export const RESERVATION_COLUMNS = [
+  { key: "code", label: "予約番号" },
+  { key: "date", label: "日付" },
+  { key: "startTime", label: "開始" },
+  { key: "endTime", label: "終了" },
+  { key: "productId", label: "商品ID" },
+  { key: "productName", label: "商品名" },
+  { key: "requiredSlots", label: "使用枠" },
+  { key: "partySize", label: "人数" },
+  { key: "price", label: "料金" },
+  { key: "name", label: "お名前" },
+  { key: "phone", label: "電話番号" },
+  { key: "email", label: "メール" },
+  { key: "note", label: "備考" },
+  { key: "status", label: "状態" },
+  { key: "createdAt", label: "登録日時" },
+];
+
+const REQUIRED_COLUMNS = ["date", "startTime", "productId", "name", "phone"];
+
+// ─── CSV text ───
+// Spreadsheets run text starting with one of these as a formula, so such cells are written with a
+// leading ' (shown as plain text). Numbers are left alone so negative amounts stay numbers.
+const FORMULA_RE = /^[=+\-@\t\r]/;
+
+const quote = (value) => {
+  const s = value == null ? "" : typeof value === "string" && FORMULA_RE.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+};
+
+// Undoes the guard above for cells read back in.
+const unguard = (s) => s.startsWith("'") && FORMULA_RE.test(s.slice(1)) ? s.slice(1) : s;
+
+export const toCsv = (rows) => rows.map((row) => row.map(quote).join(",")).join("\r\n") + "\r\n";
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks. Blank lines are dropped.
+export const parseCsv = (text) => {
+  const src = text.startsWith(CSV_BOM) ? text.slice(1) : text;
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < src.length; i++) {
+    const c = src[i];
+    if (quoted) {
+      if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && src[i + 1] === "\n") i++;
+      row.push(field); rows.push(row);
+      row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length > 0) { row.push(field); rows.push(row); }
+  return rows.filter((r) => r.some((f) => f.trim() !== ""));
+};
+
+// ─── Export ───
+// `statuses` empty = every status, cancelled ones included.
+export const filterReservations = (reservations, { dateFrom = "", dateTo = "", statuses = [] } = {}) =>
+  reservations
+    .filter((r) => (!dateFrom || r.date >= dateFrom) && (!dateTo || r.date <= dateTo))
+    .filter((r) => statuses.length === 0 || statuses.includes(r.status))
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+
+export const reservationsToCsv = (reservations) => CSV_BOM + toCsv([
+  RESERVATION_COLUMNS.map((c) => c.label),
+  ...reservations.map((r) => RESERVATION_COLUMNS.map((c) => c.key === "status" ? STATUS_LABELS[r.status] || r.status : r[c.key])),
+]);
+
+// ─── Import ───
+const parseStatus = (value) => {
+  if (!value) return "confirmed";
+  const entry = Object.entries(STATUS_LABELS).find(([key, label]) => value === key || value === label);
+  return entry ? entry[0] : null;
+};
+
+// Validates every row against the catalog and, for rows that hold a slot, against canBook with the
+// existing reservations plus the rows accepted before it. Invalid rows are reported by their row
+// number as a spreadsheet shows it (the header is row 1) and skipped; the rest are returned
+// appended to `reservations`. `genId` is supplied by the caller so each side keeps its own id format.
+export const importReservationsCsv = (text, { reservations, products, settings, genId, now = new Date().toISOString() }) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { reservations, imported: [], errors: [{ row: 1, message: "CSV が空です" }] };
+
+  const index = Object.fromEntries(RESERVATION_COLUMNS.map((c) => [c.key, header.findIndex((h) => h.trim() === c.label)]));
+  const missing = REQUIRED_COLUMNS.filter((key) => index[key] < 0);
+  if (missing.length > 0) {
+    const labels = missing.map((key) => RESERVATION_COLUMNS.find((c) => c.key === key).label);
+    return { reservations, imported: [], errors: [{ row: 1, message: `必須の列がありません: ${labels.join("、")}` }] };
+  }
+
+  let next = reservations;
+  const occupancy = createOccupancyIndex(reservations);
+  const imported = [];
+  const errors = [];
+  rows.forEach((cells, i) => {
+    const get = (key) => index[key] >= 0 ? unguard(String(cells[index[key]] ?? "").trim()) : "";
+    const fail = (message) => errors.push({ row: i + 2, message });
+
+    const date = get("date");
+    const startTime = get("startTime").padStart(5, "0");
+    const name = get("name");
+    const phone = get("phone");
+    const email = get("email");
+    const status = parseStatus(get("status"));
+    const code = get("code");
+    const partySize = get("partySize") ? Number(get("partySize")) : 1;
+    const price = get("price") ? Number(get("price")) : undefined;
+
+    if (!isValidDate(date)) return fail(`日付の形式が正しくありません（${get("date")}）`);
+    if (!isValidTime(startTime)) return fail(`開始時刻の形式が正しくありません（${get("startTime")}）`);
+    if (!name || !phone) return fail("お名前と電話番号は必須です");
+    if (!isValidPhone(phone)) return fail(`電話番号の形式が正しくありません（${phone}）`);
+    if (email && !isValidEmail(email)) return fail(`メールアドレスの形式が正しくありません（${email}）`);
+    if (!status) return fail(`状態が正しくありません（${get("status")}）`);
+    if (!Number.isInteger(partySize) || partySize < 1) return fail(`人数が正しくありません（${get("partySize")}）`);
+    if (price !== undefined && !(Number.isInteger(price) && price >= 0)) return fail(`料金が正しくありません（${get("price")}）`);
+
+    const product = products.find((p) => p.id === get("productId"));
+    if (!product) return fail(`商品IDが見つかりません（${get("productId")}）`);
+
+    if (code && next.some((r) => normalizeCode(r.code) === normalizeCode(code))) {
+      return fail(`予約番号が既に登録されています（${code}）`);
+    }
+    if (occupiesSlot({ status }) && !canBook(date, startTime, { ...product, partySize }, occupancy, settings)) {
+      return fail(`${date} ${startTime} は営業時間外または満員のため予約できません`);
+    }
+
+    const record = {
+      id: genId(), code: code || generateReservationCode(next),
+      name, phone, email, note: get("note"),
+      startTime, endTime: minutesToTime(timeToMinutes(startTime) + product.durationMin), date,
+      productId: product.id, productName: product.name,
+      requiredSlots: product.requiredSlots, durationMin: product.durationMin, resourceKinds: product.resourceKinds || [], partySize,
+      status, createdAt: get("createdAt") || now, ...(price !== undefined && { price }),
+    };
+    const reservation = occupiesSlot(record) ? withResources(record, occupancy, settings) : record;
+    next = [...next, reservation];
+    occupancy.add(reservation);
+    imported.push(reservation);
+  });
+  return { reservations: next, imported, errors };
+};
@@ -0,0 +1,145 @@
+// Customer registry: one record per person, found by any of their phone numbers. Reservations are
+// not linked by id; a customer's history is every reservation made with one of their numbers, so
+// merging two records merges their histories as well. Pure functions only; server.mjs and the
+// local mode of pick-reservation.jsx store the registry.
+import { normalizePhone } from "./scheduling.mjs";
+
+// ─── Phone numbers ───
+// Domestic numbers as dialled in Japan (a +81 prefix is accepted): 10 digits for fixed lines,
+// 0120 and 0570; 11 digits for mobile (070/080/090), IP phones (050) and 0800.
+const PHONE_RE = /^0(?:[5789]0\d{8}|(?![5789]0)[1-9]\d{8})$/;
+
+export const INVALID_PHONE_MESSAGE = "電話番号の形式が正しくありません（例: 090-1234-5678、06-1234-5678）";
+
+export const isValidPhone = (phone) => PHONE_RE.test(normalizePhone(phone));
+
+// Fixed-line area codes run from 2 to 5 digits and depend on the exchange, so apart from Tokyo
+// and Osaka they are shown as 3-3-4, the most common split.
+const PHONE_FORMATS = [
+  /^(0120|0570)(\d{3})(\d{3})$/,
+  /^(0800)(\d{3})(\d{4})$/,
+  /^(0[5789]0)(\d{4})(\d{4})$/,
+  /^(0[36])(\d{4})(\d{4})$/,
+  /^(0\d{2})(\d{3})(\d{4})$/,
+];
+
+// Hyphenated for display; anything that is not a valid number is returned as given.
+export const formatPhone = (phone) => {
+  const digits = normalizePhone(phone);
+  const match = PHONE_RE.test(digits) && PHONE_FORMATS.map((re) => digits.match(re)).find(Boolean);
+  return match ? match.slice(1).join("-") : String(phone || "");
+};
+
+// ─── Registry ───
+// Customer records are { id, name, phones: [digits], email, note, createdAt, rates? }; `note` is for
+// staff only and `rates` holds client-specific prices (see billing.mjs).
+export const findCustomer = (customers, phone) => {
+  const p = normalizePhone(phone);
+  return p ? customers.find((c) => c.phones.includes(p)) || null : null;
+};
+
+// Registers the people behind the reservations in `next` that are not in `previous`: an unknown
+// number becomes a new customer, and a known one takes the name and email last booked with.
+// Returns `customers` itself when nothing changed.
+export const recordCustomers = (customers, previous, next, { at = new Date().toISOString(), genId }) => {
+  const known = new Set(previous.map((r) => r.id));
+  let list = customers;
+  for (const r of next) {
+    if (!r || typeof r !== "object" || known.has(r.id)) continue;
+    const phone = normalizePhone(r.phone);
+    if (!phone) continue;
+    const existing = findCustomer(list, phone);
+    if (!existing) {
+      list = [...list, { id: genId(), name: r.name || "", phones: [phone], email: r.email || "", note: "", createdAt: r.createdAt || at }];
+      continue;
+    }
+    const name = r.name || existing.name;
+    const email = r.email || existing.email;
+    if (name !== existing.name || email !== existing.email) list = list.map((c) => c.id === existing.id ? { ...c, name, email } : c);
+  }
+  return list;
+};
+
+// customer id → their reservations, newest first. Numbers no customer holds are left out.
+export const customerHistories = (customers, reservations) => {
+  const byPhone = new Map(customers.flatMap((c) => c.phones.map((p) => [p, c.id])));
+  const histories = new Map(customers.map((c) => [c.id, []]));
+  for (const r of reservations) {
+    const id = byPhone.get(normalizePhone(r.phone));
+    if (id) histories.get(id).push(r);
+  }
+  for (const list of histories.values()) {
+    list.sort((a, b) => b.date.localeCompare(a.date) || b.startTime.localeCompare(a.startTime));
+  }
+  return histories;
+};
+
+export const summarizeHistory = (history, today) => ({
+  total: history.length,
+  visits: history.filter((r) => r.status === "checked_in" || r.status === "completed").length,
+  upcoming: history.filter((r) => r.date >= today && (r.status === "confirmed" || r.status === "waitlisted")).length,
+  cancellations: history.filter((r) => r.status === "cancelled").length,
+  noShows: history.filter((r) => r.status === "no_show").length,
+  lastVisit: history.find((r) => r.date <= today && ["confirmed", "checked_in", "completed"].includes(r.status))?.date || null,
+});
+
+const compact = (s) => String(s || "").normalize("NFKC").replace(/\s/g, "").toLowerCase();
+
+// `query` matches the name, email or any phone number (with or without hyphens).
+export const searchCustomers = (customers, query) => {
+  const q = compact(query);
+  if (!q) return customers;
+  const digits = normalizePhone(query);
+  return customers.filter((c) => compact(c.name).includes(q) || compact(c.email).includes(q)
+    || (digits && c.phones.some((p) => p.includes(digits))));
+};
+
+// Other records that are probably the same person: the same name or the same email.
+export const findDuplicates = (customers, customer) => customers.filter((c) => c.id !== customer.id
+  && ((compact(c.name) && compact(c.name) === compact(customer.name)) || (compact(c.email) && compact(c.email) === compact(customer.email))));
+
+const EMAIL_RE = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+export const isValidEmail = (email) => EMAIL_RE.test(email);
+
+// Client rates are { productId: yen } and replace the list price for this customer; blank entries
+// are dropped. Returns the rates or null when one is not a whole number of yen.
+const parseRates = (rates) => {
+  const entries = Object.entries(rates || {}).filter(([, v]) => v !== "" && v !== null && v !== undefined).map(([k, v]) => [k, Number(v)]);
+  return entries.every(([, v]) => Number.isInteger(v) && v >= 0) ? Object.fromEntries(entries) : null;
+};
+
+// Admin edits. Phone numbers only change by merging. Returns { customers, customer } or { error }.
+export const updateCustomer = (customers, id, { name, email, note, rates }) => {
+  const target = customers.find((c) => c.id === id);
+  if (!target) return { error: "お客様が見つかりません" };
+  const parsedRates = rates !== undefined ? parseRates(rates) : target.rates;
+  const customer = {
+    ...target,
+    ...(name !== undefined && { name: String(name).trim() }),
+    ...(email !== undefined && { email: String(email).trim() }),
+    ...(note !== undefined && { note: String(note).trim() }),
+    ...(rates !== undefined && { rates: parsedRates }),
+  };
+  if (!customer.name) return { error: "お名前を入力してください" };
+  if (customer.email && !isValidEmail(customer.email)) return { error: "メールアドレスの形式が正しくありません" };
+  if (parsedRates === null) return { error: "特別料金は0以上の整数で入力してください" };
+  return { customers: customers.map((c) => c.id === id ? customer : c), customer };
+};
+
+// Folds `mergeId` into `keepId`: its numbers (and with them its reservations) move over, the kept
+// record's name and rates win and the notes are put together. Returns { customers, customer } or { error }.
+export const mergeCustomers = (customers, keepId, mergeId) => {
+  const keep = customers.find((c) => c.id === keepId);
+  const merge = customers.find((c) => c.id === mergeId);
+  if (!keep || !merge) return { error: "お客様が見つかりません" };
+  if (keep.id === merge.id) return { error: "同じお客様は統合できません" };
+  const customer = {
+    ...keep,
+    phones: [...keep.phones, ...merge.phones.filter((p) => !keep.phones.includes(p))],
+    email: keep.email || merge.email,
+    note: [keep.note, merge.note].filter(Boolean).join("\n"),
+    ...((keep.rates || merge.rates) && { rates: { ...merge.rates, ...keep.rates } }),
+    createdAt: keep.createdAt < merge.createdAt ? keep.createdAt : merge.createdAt,
+  };
+  return { customers: customers.filter((c) => c.id !== mergeId).map((c) => c.id === keepId ? customer : c), customer };
+};
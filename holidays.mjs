@@ -0,0 +1,103 @@
+// Japanese national holidays (国民の祝日) computed offline, plus the company's own recurring
+// closures. Pure functions only; used by getBusinessHours in scheduling.mjs.
+//
+// The rules follow the Act on National Holidays as amended for 2020 onwards, including the
+// one-off moves for the Tokyo Olympics in 2020 and 2021. Equinox days use the standard
+// approximation, which is accurate for 1980–2099; the official dates are announced each February
+// for the following year and have matched it so far.
+
+const pad2 = (n) => String(n).padStart(2, "0");
+const ymd = (y, m, d) => `${y}-${pad2(m)}-${pad2(d)}`;
+
+// Day of the month of the nth `weekday` (0 = Sunday) in month `m` (1–12).
+const nthWeekday = (y, m, n, weekday) => {
+  const first = new Date(y, m - 1, 1).getDay();
+  return 1 + ((weekday - first + 7) % 7) + (n - 1) * 7;
+};
+
+const equinox = (y, base) => Math.floor(base + 0.242194 * (y - 1980) - Math.floor((y - 1980) / 4));
+
+// Holidays moved for the Olympics: [name, 2020 date, 2021 date].
+const OLYMPIC_MOVES = {
+  海の日: ["07-23", "07-22"],
+  スポーツの日: ["07-24", "07-23"],
+  山の日: ["08-10", "08-08"],
+};
+
+const fixedHolidays = (y) => {
+  const list = [
+    ["元日", 1, 1],
+    ["成人の日", 1, nthWeekday(y, 1, 2, 1)],
+    ["建国記念の日", 2, 11],
+    y >= 2020 && ["天皇誕生日", 2, 23],
+    ["春分の日", 3, equinox(y, 20.8431)],
+    ["昭和の日", 4, 29],
+    ["憲法記念日", 5, 3],
+    ["みどりの日", 5, 4],
+    ["こどもの日", 5, 5],
+    ["海の日", 7, nthWeekday(y, 7, 3, 1)],
+    y >= 2016 && ["山の日", 8, 11],
+    ["敬老の日", 9, nthWeekday(y, 9, 3, 1)],
+    ["秋分の日", 9, equinox(y, 23.2488)],
+    [y >= 2020 ? "スポーツの日" : "体育の日", 10, nthWeekday(y, 10, 2, 1)],
+    ["文化の日", 11, 3],
+    ["勤労感謝の日", 11, 23],
+    y <= 2018 && ["天皇誕生日", 12, 23],
+  ].filter(Boolean);
+  return list.map(([name, m, d]) => {
+    const moved = (y === 2020 || y === 2021) && OLYMPIC_MOVES[name];
+    return [moved ? `${y}-${moved[y - 2020]}` : ymd(y, m, d), name];
+  });
+};
+
+const cache = new Map();
+
+// Map of "YYYY-MM-DD" → holiday name for one year, including 振替休日 (a holiday falling on a
+// Sunday moves to the next day that is not a holiday) and 国民の休日 (a weekday between two holidays).
+export const japaneseHolidays = (year) => {
+  if (cache.has(year)) return cache.get(year);
+  const holidays = new Map(fixedHolidays(year));
+  const shift = (date, days) => {
+    const [y, m, d] = date.split("-").map(Number);
+    const next = new Date(y, m - 1, d + days);
+    return ymd(next.getFullYear(), next.getMonth() + 1, next.getDate());
+  };
+  const isSunday = (date) => {
+    const [y, m, d] = date.split("-").map(Number);
+    return new Date(y, m - 1, d).getDay() === 0;
+  };
+
+  for (const date of [...holidays.keys()]) {
+    const between = shift(date, 1);
+    if (holidays.has(shift(date, 2)) && !holidays.has(between) && !isSunday(between)) holidays.set(between, "国民の休日");
+  }
+  for (const date of [...holidays.keys()].sort()) {
+    if (!isSunday(date)) continue;
+    let substitute = shift(date, 1);
+    while (holidays.has(substitute)) substitute = shift(substitute, 1);
+    holidays.set(substitute, "振替休日");
+  }
+  const sorted = new Map([...holidays.entries()].sort(([a], [b]) => a.localeCompare(b)));
+  cache.set(year, sorted);
+  return sorted;
+};
+
+export const holidayName = (date) => japaneseHolidays(Number(date.slice(0, 4))).get(date) || null;
+
+// ─── Recurring closures ───
+// { id, name, from: "MM-DD", to: "MM-DD" } repeats every year; a range whose end comes before its
+// start wraps over New Year (e.g. 12-29 → 01-03).
+export const closureMatches = (closure, date) => {
+  const md = date.slice(5);
+  return closure.from <= closure.to
+    ? md >= closure.from && md <= closure.to
+    : md >= closure.from || md <= closure.to;
+};
+
+export const isValidMonthDay = (s) => {
+  if (!/^\d{2}-\d{2}$/.test(s)) return false;
+  const [m, d] = s.split("-").map(Number);
+  // 2000 is a leap year, so 02-29 is accepted.
+  const probe = new Date(2000, m - 1, d);
+  return probe.getMonth() === m - 1 && probe.getDate() === d;
+};
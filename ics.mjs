@@ -0,0 +1,82 @@
+// iCalendar (RFC 5545) files for reservations: one per booking for customers, and a range export
+// for staff calendars. Pure functions only; times are wall-clock Asia/Tokyo like everything else.
+import { pad2 } from "./scheduling.mjs";
+
+const PRODID = "-//pick-reservation//JA";
+const TZID = "Asia/Tokyo";
+
+// Japan has no daylight saving time, so a single STANDARD block describes the zone completely.
+const VTIMEZONE = [
+  "BEGIN:VTIMEZONE", `TZID:${TZID}`,
+  "BEGIN:STANDARD", "DTSTART:19700101T000000", "TZOFFSETFROM:+0900", "TZOFFSETTO:+0900", "TZNAME:JST", "END:STANDARD",
+  "END:VTIMEZONE",
+];
+
+const escapeText = (s) => String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n");
+
+// Content lines are limited to 75 octets; continuation lines start with a single space.
+const fold = (line) => {
+  const out = [];
+  let current = "", bytes = 0;
+  for (const ch of line) {
+    const size = new TextEncoder().encode(ch).length;
+    if (bytes + size > (out.length === 0 ? 75 : 74)) {
+      out.push(current);
+      current = "";
+      bytes = 0;
+    }
+    current += ch;
+    bytes += size;
+  }
+  out.push(current);
+  return out.join("\r\n ");
+};
+
+const localDateTime = (date, time) => `${date.replace(/-/g, "")}T${time.replace(":", "")}00`;
+
+const utcStamp = (d) =>
+  `${d.getUTCFullYear()}${pad2(d.getUTCMonth() + 1)}${pad2(d.getUTCDate())}T${pad2(d.getUTCHours())}${pad2(d.getUTCMinutes())}${pad2(d.getUTCSeconds())}Z`;
+
+// The UID stays the same for the life of a booking and SEQUENCE grows with every reschedule and
+// the cancellation, so calendar apps update or remove the event they imported earlier.
+const toEvent = (reservation, settings, now) => {
+  const cancelled = reservation.status === "cancelled";
+  const sequence = (reservation.history?.length || 0) + (cancelled ? 1 : 0);
+  return [
+    "BEGIN:VEVENT",
+    `UID:${reservation.id}@pick-reservation`,
+    `DTSTAMP:${utcStamp(now)}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;TZID=${TZID}:${localDateTime(reservation.date, reservation.startTime)}`,
+    `DTEND;TZID=${TZID}:${localDateTime(reservation.date, reservation.endTime)}`,
+    `SUMMARY:${escapeText(`${settings.warehouseName} ${reservation.productName}`)}`,
+    `LOCATION:${escapeText([settings.warehouseName, settings.warehouseAddress].filter(Boolean).join(" "))}`,
+    `DESCRIPTION:${escapeText([
+      `予約番号: ${reservation.code || "-"}`,
+      `商品: ${reservation.productName}`,
+      reservation.partySize > 1 && `人数: ${reservation.partySize}名`,
+      reservation.name && `お名前: ${reservation.name}`,
+      reservation.note && `備考: ${reservation.note}`,
+    ].filter(Boolean).join("\n"))}`,
+    `STATUS:${cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+};
+
+const toCalendar = (method, events) => [
+  "BEGIN:VCALENDAR", "VERSION:2.0", `PRODID:${PRODID}`, "CALSCALE:GREGORIAN", `METHOD:${method}`,
+  ...VTIMEZONE, ...events.flat(), "END:VCALENDAR",
+].map(fold).join("\r\n") + "\r\n";
+
+// A cancelled reservation yields a METHOD:CANCEL file that removes the event imported before.
+export const reservationToIcs = (reservation, settings, now = new Date()) =>
+  toCalendar(reservation.status === "cancelled" ? "CANCEL" : "PUBLISH", [toEvent(reservation, settings, now)]);
+
+// Staff export: bookings as events, cancelled ones as cancelled events so that re-importing an
+// updated export clears them. Waitlisted entries have no time to block yet.
+export const reservationsToIcs = (reservations, settings, now = new Date()) =>
+  toCalendar("PUBLISH", reservations
+    .filter((r) => r.status !== "waitlisted")
+    .map((r) => toEvent(r, settings, now)));
+
+export const icsFilename = (reservation) => `reservation-${(reservation.code || reservation.id).replace(/[^A-Za-z0-9]/g, "")}.ics`;
@@ -0,0 +1,251 @@
+// Notification pipeline for server.mjs: Japanese templates, pluggable transports and a retry
+// queue (the "outbox") kept in the store so that pending sends survive a restart. No dependencies.
+import net from "node:net";
+import tls from "node:tls";
+import os from "node:os";
+import fs from "node:fs/promises";
+import { randomBytes } from "node:crypto";
+import { parseDate, slotUsage } from "./scheduling.mjs";
+
+const DAYS_JP = ["日", "月", "火", "水", "木", "金", "土"];
+const MAX_ATTEMPTS = 6;
+const RETRY_BASE_MS = 60 * 1000; // 1, 2, 4, 8, 16 minutes between attempts
+const OUTBOX_KEEP = 200; // finished messages kept for the admin log
+
+// ─── Templates ───
+// One template per event for customers and a short notice for staff. Reminders go to customers only.
+const SUBJECTS = {
+  confirmed: "ご予約を承りました",
+  waitlisted: "キャンセル待ちを受け付けました",
+  promoted: "キャンセル待ちのご予約が確定しました",
+  rescheduled: "ご予約を変更しました",
+  cancelled: "ご予約をキャンセルしました",
+  reminder: "明日のご予約のお知らせ",
+};
+
+const LEADS = {
+  confirmed: "以下の内容でご予約を承りました。",
+  waitlisted: "以下の内容でキャンセル待ちを受け付けました。空きが出た時点で自動的に予約が確定し、改めてご連絡します。",
+  promoted: "キャンセルが出たため、キャンセル待ちのご予約が確定しました。",
+  rescheduled: "ご予約を以下の内容に変更しました。",
+  cancelled: "以下のご予約をキャンセルしました。またのご利用をお待ちしております。",
+  reminder: "明日のご予約の確認です。お気をつけてお越しください。",
+};
+
+const STAFF_LABELS = {
+  confirmed: "新規予約", waitlisted: "キャンセル待ち登録", promoted: "キャンセル待ち確定",
+  rescheduled: "予約変更", cancelled: "予約キャンセル",
+};
+
+export const NOTIFICATION_TYPES = Object.keys(SUBJECTS);
+
+const party = (r) => r.partySize > 1 ? `・${r.partySize}名` : "";
+
+const when = (r) => `${r.date}（${DAYS_JP[parseDate(r.date).getDay()]}） ${r.startTime}〜${r.endTime}`;
+
+// Series actions send one message for all occurrences: the reservation passed in is the first one,
+// with `occurrences` listing every booking the event covers.
+const whenLines = (r) => r.occurrences
+  ? r.occurrences.map((o) => `・${when(o)}（${o.code}）`)
+  : [when(r)];
+
+export const renderNotification = (type, reservation, settings, audience) => {
+  const r = reservation;
+  const series = r.occurrences ? `（定期予約 ${r.occurrences.length}件）` : "";
+  if (audience === "staff") {
+    return {
+      subject: `[${STAFF_LABELS[type]}${series}] ${when(r)} ${r.name}`,
+      text: [
+        `${STAFF_LABELS[type]}${series}: ${r.code}`, ...whenLines(r), `${r.productName}${party(r)}（${slotUsage(r)}人分枠）`,
+        `${r.name}　${r.phone}`, r.note && `備考: ${r.note}`,
+      ].filter(Boolean).join("\n"),
+    };
+  }
+  const previous = type === "rescheduled" && r.history?.length ? r.history[r.history.length - 1].from : null;
+  return {
+    subject: `【${settings.warehouseName}】${SUBJECTS[type]}${series || `（${r.code}）`}`,
+    text: [
+      `${r.name} 様`, "", LEADS[type], "",
+      ...(r.occurrences ? ["日時と予約番号:", ...whenLines(r)] : [`予約番号: ${r.code}`, `日時: ${when(r)}`]),
+      !r.occurrences && previous && `（変更前: ${when(previous)}）`,
+      `内容: ${r.productName}${party(r)}`,
+      `場所: ${[settings.warehouseName, settings.warehouseAddress].filter(Boolean).join(" ")}`,
+      "",
+      type !== "cancelled" && "予約の確認・変更・取消は、予約番号とご登録の電話番号で行えます。",
+    ].filter((line) => typeof line === "string").join("\n").trim(),
+  };
+};
+
+// ─── Transports ───
+// A transport is { name, address(audience, reservation) → recipient or null, send({ to, subject, text }) }.
+// `address` decides who it reaches: returning null skips that audience.
+
+export const createConsoleTransport = () => ({
+  name: "console",
+  address: (audience, r) => audience === "customer" ? r.email || r.phone : "staff",
+  send: async ({ to, subject, text }) => console.log(`[notify] → ${to}: ${subject}\n${text}`),
+});
+
+// One JSON object per line; meant for testing and for feeding other tools.
+export const createFileTransport = (file) => ({
+  name: "file",
+  address: (audience, r) => audience === "customer" ? r.email || r.phone : "staff",
+  send: ({ to, subject, text }) => fs.appendFile(file, JSON.stringify({ at: new Date().toISOString(), to, subject, text }) + "\n"),
+});
+
+// Pushes staff notices to a LINE group or user through the Messaging API (or a compatible webhook).
+export const createLineTransport = ({ token, to, url = "https://api.line.me/v2/bot/message/push" }) => ({
+  name: "line",
+  address: (audience) => audience === "staff" ? to : null,
+  send: async ({ to: target, subject, text }) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${token}` },
+      body: JSON.stringify({ to: target, messages: [{ type: "text", text: `${subject}\n\n${text}`.slice(0, 5000) }] }),
+      signal: AbortSignal.timeout(15000),
+    });
+    if (!res.ok) throw new Error(`LINE ${res.status}: ${(await res.text()).slice(0, 200)}`);
+  },
+});
+
+// An address with whitespace or a line break would end the RCPT command or the To header early and
+// let the rest be read as further commands or headers, so such recipients are never mailed. smtpSend
+// checks again for messages queued before this check existed.
+const isSafeRecipient = (to) => typeof to === "string" && to !== "" && !/[\s<>]/.test(to);
+
+// Customers are mailed at the address they gave when booking; staff at `staffTo`.
+export const createSmtpTransport = ({ url, from, staffTo }) => {
+  const u = new URL(url);
+  const options = {
+    host: u.hostname,
+    secure: u.protocol === "smtps:",
+    port: Number(u.port) || (u.protocol === "smtps:" ? 465 : 587),
+    user: decodeURIComponent(u.username),
+    pass: decodeURIComponent(u.password),
+  };
+  return {
+    name: "smtp",
+    address: (audience, r) => {
+      const to = audience === "customer" ? r.email : staffTo;
+      return isSafeRecipient(to) ? to : null;
+    },
+    send: ({ to, subject, text }) => smtpSend(options, { from, to, message: buildMail({ from, to, subject, text }) }),
+  };
+};
+
+const encodeHeader = (s) => /^[\x20-\x7e]*$/.test(s) ? s : `=?UTF-8?B?${Buffer.from(s).toString("base64")}?=`;
+
+const buildMail = ({ from, to, subject, text }) => [
+  `From: ${from}`,
+  `To: ${to}`,
+  `Subject: ${encodeHeader(subject)}`,
+  `Date: ${new Date().toUTCString()}`,
+  `Message-ID: <${randomBytes(12).toString("hex")}@${from.split("@")[1] || os.hostname()}>`,
+  "MIME-Version: 1.0",
+  "Content-Type: text/plain; charset=UTF-8",
+  "Content-Transfer-Encoding: base64",
+  "",
+  Buffer.from(text.replace(/\r?\n/g, "\r\n")).toString("base64").replace(/.{76}/g, "$&\r\n"),
+].join("\r\n");
+
+// Collects complete (possibly multi-line) SMTP replies from a socket.
+const replyReader = (socket) => {
+  let buffer = "";
+  const replies = [];
+  const waiting = [];
+  const onData = (chunk) => {
+    buffer += chunk.toString("utf8");
+    let m;
+    while ((m = buffer.match(/^(?:\d{3}-.*\r?\n)*\d{3}(?: .*)?\r?\n/))) {
+      buffer = buffer.slice(m[0].length);
+      const reply = m[0].trim();
+      if (waiting.length > 0) waiting.shift().resolve(reply);
+      else replies.push(reply);
+    }
+  };
+  const onError = (e) => { while (waiting.length > 0) waiting.shift().reject(e); };
+  socket.on("data", onData);
+  socket.on("error", onError);
+  socket.on("close", () => onError(new Error("SMTP connection closed")));
+  return {
+    next: () => replies.length > 0 ? Promise.resolve(replies.shift()) : new Promise((resolve, reject) => waiting.push({ resolve, reject })),
+    detach: () => { socket.off("data", onData); socket.off("error", onError); },
+  };
+};
+
+async function smtpSend({ host, port, secure, user, pass }, { from, to, message }) {
+  if (!isSafeRecipient(to)) throw new Error(`SMTP: invalid recipient ${JSON.stringify(to)}`);
+  // `upgrade` is the plain socket to wrap after STARTTLS.
+  const open = (upgrade) => new Promise((resolve, reject) => {
+    const socket = upgrade ? tls.connect({ socket: upgrade, servername: host })
+      : secure ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    socket.once(upgrade || secure ? "secureConnect" : "connect", () => resolve(socket));
+    socket.once("error", reject);
+    socket.setTimeout(30000, () => socket.destroy(new Error("SMTP timeout")));
+  });
+
+  let socket = await open();
+  let reader = replyReader(socket);
+  const expect = async (code) => {
+    const reply = await reader.next();
+    if (!reply.startsWith(code)) throw new Error(`SMTP: ${reply}`);
+    return reply;
+  };
+  const command = (line, code) => { socket.write(`${line}\r\n`); return expect(code); };
+
+  try {
+    await expect("220");
+    let ehlo = await command(`EHLO ${os.hostname()}`, "250");
+    if (!secure && /STARTTLS/i.test(ehlo)) {
+      await command("STARTTLS", "220");
+      reader.detach();
+      socket = await open(socket);
+      reader = replyReader(socket);
+      ehlo = await command(`EHLO ${os.hostname()}`, "250");
+    }
+    if (user) await command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass}`).toString("base64")}`, "235");
+    await command(`MAIL FROM:<${from.replace(/^.*<|>.*$/g, "")}>`, "250");
+    await command(`RCPT TO:<${to}>`, "25");
+    await command("DATA", "354");
+    await command(`${message.replace(/^\./gm, "..")}\r\n.`, "250");
+    await command("QUIT", "221").catch(() => {});
+  } finally {
+    socket.end();
+  }
+}
+
+// ─── Outbox ───
+// Plans one outbox message per transport and audience that has a recipient for this event.
+export const planNotifications = (type, reservation, settings, transports, now = Date.now()) =>
+  transports.flatMap((transport) => ["customer", "staff"]
+    .filter((audience) => !(type === "reminder" && audience === "staff"))
+    .map((audience) => ({ audience, to: transport.address(audience, reservation) }))
+    .filter(({ to }) => to)
+    .map(({ audience, to }) => ({
+      id: randomBytes(6).toString("hex"),
+      transport: transport.name, type, audience, to, reservationId: reservation.id,
+      ...renderNotification(type, reservation, settings, audience),
+      status: "pending", attempts: 0, createdAt: new Date(now).toISOString(), nextAttemptAt: now,
+    })));
+
+export const dueNotifications = (outbox, now = Date.now()) =>
+  outbox.filter((m) => m.status === "pending" && m.nextAttemptAt <= now);
+
+// Failed sends back off exponentially and give up after MAX_ATTEMPTS.
+export const recordAttempt = (message, error, now = Date.now()) => {
+  const attempts = message.attempts + 1;
+  if (!error) return { ...message, attempts, status: "sent", sentAt: new Date(now).toISOString(), lastError: undefined };
+  return {
+    ...message, attempts, lastError: String(error),
+    status: attempts >= MAX_ATTEMPTS ? "failed" : "pending",
+    nextAttemptAt: now + RETRY_BASE_MS * 2 ** (attempts - 1),
+  };
+};
+
+// Keeps every pending message and the most recent finished ones.
+export const pruneOutbox = (outbox) => {
+  const finished = outbox.filter((m) => m.status !== "pending");
+  const drop = new Set(finished.slice(0, Math.max(0, finished.length - OUTBOX_KEEP)).map((m) => m.id));
+  return outbox.filter((m) => !drop.has(m.id));
+};
@@ -1,37 +1,65 @@
-import { useState, useEffect, useCallback } from "react";
-
-// ─── Constants matching spreadsheet settings ───
-const PRODUCTS = [
-  { id: "quarter", name: "クォーター", requiredSlots: 1, durationMin: 60 },
-  { id: "half", name: "ハーフ", requiredSlots: 3, durationMin: 120 },
-  { id: "full", name: "フル", requiredSlots: 2, durationMin: 180 },
-  { id: "pick-guide-half", name: "ピック指導（ハーフ）", requiredSlots: 3, durationMin: 180 },
-  { id: "pick-guide-full", name: "ピック指導（フル）", requiredSlots: 2, durationMin: 240 },
-];
-
-const DEFAULT_SETTINGS = {
-  maxCapacity: 6,
-  openHour: 9,
-  openMin: 0,
-  closeHour: 19,
-  closeMin: 0,
-  slotIntervalMin: 30,
-  calendarMonths: 3,
-  holidays: [],
-};
-
-const STORAGE_KEY = "pick-reservations-v2";
-const SETTINGS_KEY = "pick-settings-v2";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import {
+  DEFAULT_PRODUCTS, DEFAULT_SETTINGS, STORAGE_KEY, SETTINGS_KEY, PRODUCTS_KEY, AUTH_KEY, AUDIT_KEY, META_KEY, QUARANTINE_KEY,
+  CUSTOMERS_KEY, PASSCODE_ITERATIONS,
+  fmtDate, parseDate, fmtTime, timeToMinutes, minutesToTime,
+  getClosure, getBusinessHours, generateTimeSlots, getSlotOccupancy, getSlotCapacity, canBook, getDateAvailability,
+  createOccupancyIndex, RESOURCE_KINDS, assignResources, withResources, resourceNames, generateReservationCode, findReservationByCode, applyReschedule, canWaitlist, promoteWaitlist, STATUS_LABELS,
+  occupiesSlot, canChangeStatus, applyStatus, countNoShows, isBlockedForNoShows,
+  slotUsage, partySizeLimit, bookingRuleViolation, cancelRuleViolation, phoneLimitViolation, RECURRENCE_LABELS, MAX_OCCURRENCES, expandRecurrence, planSeries, bookSeries, upcomingInSeries, rescheduleSeries,
+} from "./scheduling.mjs";
+import { filterReservations, reservationsToCsv, importReservationsCsv } from "./csv.mjs";
+import { reservationToIcs, reservationsToIcs, icsFilename } from "./ics.mjs";
+import { computeAnalytics } from "./analytics.mjs";
+import { japaneseHolidays, isValidMonthDay } from "./holidays.mjs";
+import {
+  AUDIT_ACTIONS, AUDIT_ACTORS, auditReservationChanges, auditSettingsChanges, auditProductChanges, auditDiff, filterAuditLog,
+  restoreFromAudit, restoredAuditLog,
+} from "./audit.mjs";
+import {
+  INVALID_PHONE_MESSAGE, isValidPhone, formatPhone, findCustomer, recordCustomers, customerHistories, summarizeHistory,
+  searchCustomers, findDuplicates, updateCustomer, mergeCustomers,
+} from "./customers.mjs";
+import {
+  SCHEMA_VERSION, DATA_KEYS, LEGACY_KEYS, STORED_KEYS, upgradeStoredData, toQuarantine, createBackup, readBackup,
+  summarizeData,
+} from "./schema.mjs";
+import {
+  SURCHARGE_KINDS, quotePrice, priceReservations, monthlyStatements, unpricedInMonth, includedTax, statementToHtml, statementsToCsv,
+} from "./billing.mjs";
+
+// ─── Constants ───
 const DAYS_JP = ["日", "月", "火", "水", "木", "金", "土"];
 
 // ─── Utilities ───
 const genId = () => Math.random().toString(36).substr(2, 9);
-const pad2 = (n) => String(n).padStart(2, "0");
-const fmtDate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
-const parseDate = (s) => { const [y, m, d] = s.split("-").map(Number); return new Date(y, m - 1, d); };
-const fmtTime = (h, m) => `${pad2(h)}:${pad2(m)}`;
 const isToday = (s) => fmtDate(new Date()) === s;
 const isPast = (s) => parseDate(s) < new Date(new Date().toDateString());
+const fmtYen = (n) => `¥${Number(n || 0).toLocaleString("ja-JP")}`;
+const fmtStamp = (iso) => { const d = new Date(iso); return `${fmtDate(d)} ${fmtTime(d.getHours(), d.getMinutes())}`; };
+const sortProducts = (products) => [...products].sort((a, b) => a.order - b.order);
+const partyLabel = (r) => r.partySize > 1 ? `・${r.partySize}名` : "";
+const priceLabel = (r) => r.price > 0 ? `・${fmtYen(r.price)}` : "";
+const resourceLabel = (r) => r.resources?.length > 0 ? `　担当: ${resourceNames(r)}` : "";
+
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = Object.assign(document.createElement("a"), { href: url, download: filename });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+};
+
+const downloadIcs = (reservation, settings) =>
+  downloadFile(icsFilename(reservation), reservationToIcs(reservation, settings), "text/calendar;charset=utf-8");
+
+// Excel on Japanese Windows saves CSV as Shift_JIS unless told otherwise, so fall back to it.
+const readTextFile = async (file) => {
+  const buf = await file.arrayBuffer();
+  try { return new TextDecoder("utf-8", { fatal: true }).decode(buf); }
+  catch { return new TextDecoder("shift_jis").decode(buf); }
+};
 
 const getMonthDays = (year, month) => {
   const first = new Date(year, month, 1);
@@ -42,71 +70,442 @@ const getMonthDays = (year, month) => {
   return days;
 };
 
-const generateTimeSlots = (settings) => {
-  const slots = [];
-  let h = settings.openHour, m = settings.openMin;
-  const endTotal = settings.closeHour * 60 + settings.closeMin;
-  while (h * 60 + m < endTotal) {
-    slots.push({ hour: h, min: m, label: fmtTime(h, m) });
-    m += settings.slotIntervalMin;
-    if (m >= 60) { h += Math.floor(m / 60); m = m % 60; }
+// ─── Storage ───
+// Local mode keeps everything in this browser's window.storage. Setting window.PICK_API_BASE
+// (e.g. "/api") switches to server.mjs so that all customers share one reservation store.
+const API_BASE = typeof window !== "undefined" && window.PICK_API_BASE ? window.PICK_API_BASE.replace(/\/$/, "") : null;
+const SERVER_PATHS = { [STORAGE_KEY]: "/reservations", [SETTINGS_KEY]: "/settings", [PRODUCTS_KEY]: "/products" };
+
+let adminToken = null;
+
+async function apiRequest(path, options = {}) {
+  const res = await fetch(`${API_BASE}${path}`, {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(adminToken ? { Authorization: `Bearer ${adminToken}` } : {}),
+      ...options.headers,
+    },
+  });
+  const body = await res.json().catch(() => null);
+  if (!res.ok) {
+    const err = new Error(body?.error || `サーバーエラー（${res.status}）`);
+    err.status = res.status;
+    throw err;
   }
-  return slots;
-};
-
-const timeToMinutes = (t) => {
-  const [h, m] = t.split(":").map(Number);
-  return h * 60 + m;
-};
+  return body;
+}
 
-const getSlotOccupancy = (date, slotLabel, reservations) => {
-  return reservations
-    .filter((r) => r.date === date && r.status === "confirmed")
-    .reduce((sum, r) => {
-      const startIdx = timeToMinutes(r.startTime);
-      const endIdx = timeToMinutes(r.endTime);
-      const slotMin = timeToMinutes(slotLabel);
-      if (slotMin >= startIdx && slotMin < endIdx) {
-        return sum + r.requiredSlots;
-      }
-      return sum;
-    }, 0);
+const localAdapter = {
+  get: async (key) => {
+    const r = await window.storage.get(key);
+    return r ? JSON.parse(r.value) : null;
+  },
+  set: (key, data) => window.storage.set(key, JSON.stringify(data)),
 };
 
-const canBook = (date, startTime, product, reservations, settings) => {
-  const startMin = timeToMinutes(startTime);
-  const endMin = startMin + product.durationMin;
-  const closeMin = settings.closeHour * 60 + settings.closeMin;
-  if (endMin > closeMin) return false;
-  for (let m = startMin; m < endMin; m += settings.slotIntervalMin) {
-    const slotLabel = fmtTime(Math.floor(m / 60), m % 60);
-    const occ = getSlotOccupancy(date, slotLabel, reservations);
-    if (occ + product.requiredSlots > settings.maxCapacity) return false;
-  }
-  return true;
+const serverAdapter = {
+  get: (key) => apiRequest(SERVER_PATHS[key]),
+  set: (key, data) => apiRequest(SERVER_PATHS[key], { method: "PUT", body: JSON.stringify(data) }),
 };
 
-const getDateAvailability = (dateStr, reservations, settings) => {
-  const slots = generateTimeSlots(settings);
-  let totalAvail = 0;
-  for (const slot of slots) {
-    const occ = getSlotOccupancy(dateStr, slot.label, reservations);
-    totalAvail += Math.max(0, settings.maxCapacity - occ);
-  }
-  const maxPossible = slots.length * settings.maxCapacity;
-  return totalAvail / maxPossible;
-};
+const storageAdapter = API_BASE ? serverAdapter : localAdapter;
 
-// ─── Storage ───
 async function loadData(key, fallback) {
   try {
-    const r = await window.storage.get(key);
-    return r ? JSON.parse(r.value) : fallback;
-  } catch { return fallback; }
+    const value = await storageAdapter.get(key);
+    return value ?? fallback;
+  } catch (e) {
+    console.error("Load error:", e);
+    return fallback;
+  }
 }
 async function saveData(key, data) {
-  try { await window.storage.set(key, JSON.stringify(data)); }
-  catch (e) { console.error("Save error:", e); }
+  try { await storageAdapter.set(key, data); }
+  catch (e) { console.error("Save error:", e); throw e; }
+}
+
+// In server mode the public list carries occupancy only; names and phone numbers come from the
+// admin endpoint.
+async function loadReservations({ admin = false } = {}) {
+  if (API_BASE && admin) return apiRequest("/admin/reservations");
+  return loadData(STORAGE_KEY, []);
+}
+
+// Both modes re-check canBook against freshly loaded data; in server mode the check and the
+// write happen atomically on the server, so concurrent bookings cannot overbook a slot.
+// With `waitlist` a full slot gives a "waitlisted" entry instead of an error.
+async function createReservation(info, { waitlist = false } = {}) {
+  if (API_BASE) return apiRequest("/reservations", { method: "POST", body: JSON.stringify({ ...info, waitlist }) });
+  const [reservations, stored] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const settings = { ...DEFAULT_SETTINGS, ...stored };
+  if (!isValidPhone(info.phone)) throw new Error(INVALID_PHONE_MESSAGE);
+  if (isBlockedForNoShows(reservations, info.phone, settings)) {
+    throw new Error("現在ご予約を承ることができません。お手数ですが店舗までお問い合わせください");
+  }
+  const rule = bookingRuleViolation(info.date, info.startTime, settings)
+    || phoneLimitViolation(reservations, info.phone, settings, fmtDate(new Date()));
+  if (rule) throw new Error(rule);
+  let status = "confirmed";
+  if (!canBook(info.date, info.startTime, info, reservations, settings)) {
+    if (!waitlist || !canWaitlist(info.date, info.startTime, info, settings)) throw new Error("この時間帯は満員になりました");
+    status = "waitlisted";
+  }
+  const record = {
+    id: genId(), code: generateReservationCode(reservations), ...info,
+    status, createdAt: new Date().toISOString(),
+  };
+  const reservation = status === "confirmed" ? withResources(record, reservations, settings) : record;
+  const saved = await saveWithPromotion([...reservations, reservation], "customer");
+  return savedRecord(saved, reservation);
+}
+
+async function lookupReservation(code, phone) {
+  if (API_BASE) return apiRequest("/reservations/lookup", { method: "POST", body: JSON.stringify({ code, phone }) });
+  const found = findReservationByCode(await loadData(STORAGE_KEY, []), code, phone);
+  if (!found) throw new Error("予約番号または電話番号が一致しません");
+  return found;
+}
+
+async function appendAuditLog(entries) {
+  if (entries.length > 0) await saveData(AUDIT_KEY, [...(await loadData(AUDIT_KEY, [])), ...entries]);
+}
+
+// Local-mode counterpart of the server's saveReservations: prices new and moved reservations,
+// confirms waitlisted entries that now fit, registers new customers and logs the change by
+// `actor` ("customer" or "admin") and the promotions it caused. Resolves to the list as saved.
+async function saveWithPromotion(reservations, actor) {
+  const [previous, stored, products, customers] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS), loadData(PRODUCTS_KEY, DEFAULT_PRODUCTS), loadData(CUSTOMERS_KEY, []),
+  ]);
+  const settings = { ...DEFAULT_SETTINGS, ...stored };
+  const priced = priceReservations(previous, reservations, { products, settings, customers });
+  const next = promoteWaitlist(priced, settings, fmtDate(new Date())).reservations;
+  const at = new Date().toISOString();
+  await saveData(STORAGE_KEY, next);
+  const registered = recordCustomers(customers, previous, next, { at, genId });
+  if (registered !== customers) await saveData(CUSTOMERS_KEY, registered);
+  await appendAuditLog([
+    ...auditReservationChanges(previous, priced, { actor, at, genId }),
+    ...auditReservationChanges(priced, next, { actor: "system", at, genId }),
+  ]);
+  return next;
+}
+
+const savedRecord = (saved, record) => saved.find((r) => r.id === record.id);
+
+// Cancellation by id; customers come through cancelReservationByCode.
+async function cancelReservation(id, actor = "admin") {
+  if (API_BASE) return apiRequest(`/admin/reservations/${encodeURIComponent(id)}/cancel`, { method: "POST" });
+  const reservations = await loadData(STORAGE_KEY, []);
+  const target = reservations.find((r) => r.id === id);
+  await saveWithPromotion(reservations.map((r) => r.id === id ? { ...r, status: "cancelled" } : r), actor);
+  return { ...target, status: "cancelled" };
+}
+
+// Customer cancellation, authorised by reservation code + phone number.
+async function cancelReservationByCode(code, phone) {
+  if (API_BASE) return apiRequest("/reservations/cancel", { method: "POST", body: JSON.stringify({ code, phone }) });
+  const found = await lookupReservation(code, phone);
+  if (!["confirmed", "waitlisted"].includes(found.status)) throw new Error("この予約は取消できません");
+  const rule = cancelRuleViolation(found, { ...DEFAULT_SETTINGS, ...(await loadData(SETTINGS_KEY, DEFAULT_SETTINGS)) });
+  if (rule) throw new Error(rule);
+  return cancelReservation(found.id, "customer");
+}
+
+// Admin attendance tracking (来店 / 完了 / 無断キャンセル, and back). Mirrors the server's checks.
+async function setReservationStatus(id, status) {
+  if (API_BASE) {
+    return apiRequest(`/admin/reservations/${encodeURIComponent(id)}/status`, { method: "POST", body: JSON.stringify({ status }) });
+  }
+  const [reservations, settings] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const target = reservations.find((r) => r.id === id);
+  if (!target || !canChangeStatus(target, status)) throw new Error("この状態には変更できません");
+  if (status !== "confirmed" && target.date > fmtDate(new Date())) throw new Error("来店日より前は変更できません");
+  let next = applyStatus(target, status);
+  const others = reservations.filter((r) => r.id !== id);
+  if (occupiesSlot(next) && !occupiesSlot(target)) {
+    if (!canBook(target.date, target.startTime, target, others, { ...DEFAULT_SETTINGS, ...settings })) throw new Error("この時間帯は満員になりました");
+    next = withResources(next, others, { ...DEFAULT_SETTINGS, ...settings });
+  }
+  await saveWithPromotion(reservations.map((r) => r.id === id ? next : r), "admin");
+  return next;
+}
+
+// `lookup` ({ code, phone }) authorises a customer; without it the change is made as admin.
+// The reservation being moved is left out of the capacity check so it can shift within its own slot.
+async function rescheduleReservation(id, { date, startTime, product }, lookup) {
+  const changes = { date, startTime, productId: product.id };
+  if (API_BASE) {
+    return lookup
+      ? apiRequest("/reservations/reschedule", { method: "POST", body: JSON.stringify({ ...lookup, ...changes }) })
+      : apiRequest(`/admin/reservations/${encodeURIComponent(id)}/reschedule`, { method: "POST", body: JSON.stringify(changes) });
+  }
+  const [reservations, settings] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const target = lookup ? findReservationByCode(reservations, lookup.code, lookup.phone) : reservations.find((r) => r.id === id);
+  if (!target || target.status !== "confirmed") throw new Error("変更できる予約が見つかりません");
+  const rule = lookup && (cancelRuleViolation(target, { ...DEFAULT_SETTINGS, ...settings })
+    || bookingRuleViolation(date, startTime, { ...DEFAULT_SETTINGS, ...settings }));
+  if (rule) throw new Error(rule);
+  const limit = partySizeLimit(product, { ...DEFAULT_SETTINGS, ...settings });
+  if (target.partySize > limit) throw new Error(`この商品は${limit}名までのため変更できません`);
+  if (lookup && isBlockedForNoShows(reservations, target.phone, { ...DEFAULT_SETTINGS, ...settings })) {
+    throw new Error("現在ご予約を承ることができません。お手数ですが店舗までお問い合わせください");
+  }
+  const others = reservations.filter((r) => r.id !== target.id);
+  if (!canBook(date, startTime, { ...product, partySize: target.partySize }, others, { ...DEFAULT_SETTINGS, ...settings })) {
+    throw new Error("この時間帯は満員になりました");
+  }
+  const moved = withResources(
+    applyReschedule(target, { date, startTime, product }, lookup ? "customer" : "admin"), others, { ...DEFAULT_SETTINGS, ...settings },
+  );
+  const saved = await saveWithPromotion(reservations.map((r) => r.id === target.id ? moved : r), lookup ? "customer" : "admin");
+  return savedRecord(saved, moved);
+}
+
+// Recurring booking; resolves to { seriesId, booked, conflicts }. Dates that do not fit are
+// skipped and reported, and it only fails when none of them fit.
+async function createSeries(info, recurrence) {
+  if (API_BASE) return apiRequest("/reservations/series", { method: "POST", body: JSON.stringify({ ...info, recurrence }) });
+  const [reservations, stored] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const settings = { ...DEFAULT_SETTINGS, ...stored };
+  if (!isValidPhone(info.phone)) throw new Error(INVALID_PHONE_MESSAGE);
+  if (isBlockedForNoShows(reservations, info.phone, settings)) {
+    throw new Error("現在ご予約を承ることができません。お手数ですが店舗までお問い合わせください");
+  }
+  const rule = bookingRuleViolation(info.date, info.startTime, settings);
+  if (rule) throw new Error(rule);
+  const { date, ...base } = info;
+  const seriesId = genId();
+  const result = bookSeries(reservations, settings, {
+    base, dates: expandRecurrence(date, recurrence), frequency: recurrence.frequency, seriesId, genId,
+  });
+  if (result.booked.length === 0) throw new Error("いずれの日程も予約できませんでした");
+  const limit = phoneLimitViolation(reservations, info.phone, settings, fmtDate(new Date()), result.booked.length);
+  if (limit) throw new Error(`${limit}（定期予約 ${result.booked.length}件）`);
+  const saved = await saveWithPromotion(result.reservations, "customer");
+  return { seriesId, booked: result.booked.map((r) => savedRecord(saved, r)), conflicts: result.conflicts };
+}
+
+// Cancels the upcoming occurrences of a series. `lookup` ({ code, phone } of any occurrence)
+// authorises a customer, who skips occurrences past the cancellation deadline; the admin passes
+// the series id. Resolves to { cancelled }.
+async function cancelSeries(seriesId, lookup) {
+  if (API_BASE) {
+    return lookup
+      ? apiRequest("/reservations/series/cancel", { method: "POST", body: JSON.stringify(lookup) })
+      : apiRequest(`/admin/series/${encodeURIComponent(seriesId)}/cancel`, { method: "POST" });
+  }
+  const [reservations, settings] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const id = lookup ? findReservationByCode(reservations, lookup.code, lookup.phone)?.seriesId : seriesId;
+  const cancelled = (id ? upcomingInSeries(reservations, id, fmtDate(new Date())) : [])
+    .filter((r) => !lookup || !cancelRuleViolation(r, { ...DEFAULT_SETTINGS, ...settings }))
+    .map((r) => ({ ...r, status: "cancelled" }));
+  if (cancelled.length === 0) throw new Error("取消できる定期予約がありません");
+  await saveWithPromotion(reservations.map((r) => cancelled.find((c) => c.id === r.id) || r), lookup ? "customer" : "admin");
+  return { cancelled };
+}
+
+// Admin only. Resolves to { changed, conflicts }; conflicting occurrences keep their slot.
+async function rescheduleSeriesById(seriesId, { startTime, product }) {
+  if (API_BASE) {
+    return apiRequest(`/admin/series/${encodeURIComponent(seriesId)}/reschedule`, {
+      method: "POST", body: JSON.stringify({ startTime, productId: product.id }),
+    });
+  }
+  const [reservations, settings] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const result = rescheduleSeries(
+    reservations, seriesId, { startTime, product }, { ...DEFAULT_SETTINGS, ...settings }, fmtDate(new Date()), "admin",
+  );
+  if (result.changed.length === 0) return { changed: [], conflicts: result.conflicts };
+  const saved = await saveWithPromotion(result.reservations, "admin");
+  return { changed: result.changed.map((r) => savedRecord(saved, r)), conflicts: result.conflicts };
+}
+
+// Resolves to { imported, errors }; rows with errors are skipped, the rest are saved together.
+async function importReservations(csv) {
+  if (API_BASE) return apiRequest("/admin/reservations/import", { method: "POST", body: JSON.stringify({ csv }) });
+  const [reservations, products, settings] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(PRODUCTS_KEY, DEFAULT_PRODUCTS), loadData(SETTINGS_KEY, DEFAULT_SETTINGS),
+  ]);
+  const result = importReservationsCsv(csv, { reservations, products, settings: { ...DEFAULT_SETTINGS, ...settings }, genId });
+  if (result.imported.length > 0) await saveWithPromotion(result.reservations, "admin");
+  return { imported: result.imported, errors: result.errors };
+}
+
+// Admin only. The server logs settings changes itself; locally the difference is logged here.
+async function saveSettings(settings) {
+  if (!API_BASE) {
+    const previous = { ...DEFAULT_SETTINGS, ...(await loadData(SETTINGS_KEY, DEFAULT_SETTINGS)) };
+    await appendAuditLog(auditSettingsChanges(previous, { ...DEFAULT_SETTINGS, ...settings }, { genId }));
+  }
+  await saveData(SETTINGS_KEY, settings);
+}
+
+// Admin only. Logged the same way as settings: by the server, or here in local mode.
+async function saveProducts(products) {
+  if (!API_BASE) await appendAuditLog(auditProductChanges(await loadData(PRODUCTS_KEY, DEFAULT_PRODUCTS), products, { genId }));
+  await saveData(PRODUCTS_KEY, products);
+}
+
+// ─── Audit log ───
+// Admin only; newest entry first.
+async function loadAuditLog() {
+  if (API_BASE) return apiRequest("/admin/audit");
+  return [...(await loadData(AUDIT_KEY, []))].reverse();
+}
+
+// Undoes the cancellation recorded by an audit entry; resolves to the restored reservation.
+async function restoreReservation(entryId) {
+  if (API_BASE) return apiRequest(`/admin/audit/${encodeURIComponent(entryId)}/restore`, { method: "POST" });
+  const [reservations, settings, log] = await Promise.all([
+    loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS), loadData(AUDIT_KEY, []),
+  ]);
+  const result = restoreFromAudit(reservations, log.find((e) => e.id === entryId), { ...DEFAULT_SETTINGS, ...settings });
+  if (result.error) throw new Error(result.error);
+  await saveWithPromotion(result.reservations, "admin");
+  return result.restored;
+}
+
+// ─── Customers ───
+// Admin only.
+async function loadCustomers() {
+  if (API_BASE) return apiRequest("/admin/customers");
+  return loadData(CUSTOMERS_KEY, []);
+}
+
+// For filling in the booking form. The public API does not say who a phone number belongs to, so
+// in server mode only a signed-in admin (taking a booking on the phone) gets an answer.
+async function findCustomerByPhone(phone) {
+  if (API_BASE) return adminToken ? apiRequest("/admin/customers/lookup", { method: "POST", body: JSON.stringify({ phone }) }) : null;
+  return findCustomer(await loadData(CUSTOMERS_KEY, []), phone);
+}
+
+async function saveCustomer(id, patch) {
+  if (API_BASE) return apiRequest(`/admin/customers/${encodeURIComponent(id)}`, { method: "PUT", body: JSON.stringify(patch) });
+  const result = updateCustomer(await loadData(CUSTOMERS_KEY, []), id, patch);
+  if (result.error) throw new Error(result.error);
+  await saveData(CUSTOMERS_KEY, result.customers);
+  return result.customer;
+}
+
+// Folds customer `fromId` into `id`; resolves to the merged record.
+async function mergeCustomer(id, fromId) {
+  if (API_BASE) {
+    return apiRequest(`/admin/customers/${encodeURIComponent(id)}/merge`, { method: "POST", body: JSON.stringify({ from: fromId }) });
+  }
+  const result = mergeCustomers(await loadData(CUSTOMERS_KEY, []), id, fromId);
+  if (result.error) throw new Error(result.error);
+  await saveData(CUSTOMERS_KEY, result.customers);
+  return result.customer;
+}
+
+// ─── Schema and backup ───
+// Local mode only; the server upgrades its own store on start. Migrates the stored documents to
+// the current schema version and moves records that fail validation, or documents that no longer
+// parse, to the quarantine. Resolves to the problems found.
+async function prepareStorage() {
+  if (API_BASE) return [];
+  const raw = {};
+  for (const key of STORED_KEYS) {
+    try { raw[key] = (await window.storage.get(key))?.value ?? null; } catch { raw[key] = null; }
+  }
+  const meta = await loadData(META_KEY, null);
+  const { data, problems, current } = upgradeStoredData(raw, meta?.schemaVersion);
+  if (current) return [];
+
+  for (const key of Object.keys(LEGACY_KEYS)) if (raw[key] !== null) await saveData(key, null);
+  for (const key of DATA_KEYS) await saveData(key, data[key] ?? null);
+  if (problems.length > 0) {
+    await saveData(QUARANTINE_KEY, [...(await loadData(QUARANTINE_KEY, [])), ...toQuarantine(problems, "load")]);
+  }
+  await saveData(META_KEY, { schemaVersion: SCHEMA_VERSION });
+  return problems;
+}
+
+// Admin only.
+async function loadBackup() {
+  if (API_BASE) return apiRequest("/admin/backup");
+  return createBackup(Object.fromEntries(await Promise.all(DATA_KEYS.map(async (key) => [key, await loadData(key, null)]))));
+}
+
+// Admin only. Replaces every data document with the backup's (the passcode stays, and the audit
+// log keeps its entries and records the restore); records that fail validation go to the
+// quarantine. Resolves to the record counts and the problems.
+async function restoreBackup(backup) {
+  if (API_BASE) return apiRequest("/admin/restore", { method: "POST", body: JSON.stringify(backup) });
+  const { data, problems, exportedAt } = readBackup(backup);
+  const log = restoredAuditLog(await loadData(AUDIT_KEY, []), data[AUDIT_KEY] || [], { exportedAt, summary: summarizeData(data), genId });
+  for (const key of DATA_KEYS) await saveData(key, key === AUDIT_KEY ? log : data[key] ?? null);
+  if (problems.length > 0) {
+    await saveData(QUARANTINE_KEY, [...(await loadData(QUARANTINE_KEY, [])), ...toQuarantine(problems, "restore")]);
+  }
+  await saveData(META_KEY, { schemaVersion: SCHEMA_VERSION });
+  return { ...summarizeData(data), problems };
+}
+
+async function loadQuarantine() {
+  if (API_BASE) return apiRequest("/admin/quarantine");
+  return loadData(QUARANTINE_KEY, []);
+}
+
+// ─── Admin auth ───
+// In local mode the passcode only gates the UI, since the data already lives in this browser.
+// In server mode the server verifies it and every admin request carries the session token.
+const toHex = (buf) => Array.from(new Uint8Array(buf), (b) => b.toString(16).padStart(2, "0")).join("");
+const fromHex = (hex) => new Uint8Array(hex.match(/../g).map((h) => parseInt(h, 16)));
+
+async function hashPasscode(passcode, salt, iterations = PASSCODE_ITERATIONS) {
+  const key = await crypto.subtle.importKey("raw", new TextEncoder().encode(passcode), "PBKDF2", false, ["deriveBits"]);
+  const bits = await crypto.subtle.deriveBits({ name: "PBKDF2", hash: "SHA-256", salt: fromHex(salt), iterations }, key, 256);
+  return toHex(bits);
+}
+
+async function isAdminConfigured() {
+  if (API_BASE) return (await apiRequest("/admin/status")).configured;
+  return Boolean(await loadData(AUTH_KEY, null));
+}
+
+// Resolves to the session expiry (epoch ms); rejects on a wrong passcode.
+async function adminLogin(passcode, settings) {
+  if (API_BASE) {
+    const { token, expiresAt } = await apiRequest("/admin/login", { method: "POST", body: JSON.stringify({ passcode }) });
+    adminToken = token;
+    return expiresAt;
+  }
+  const auth = await loadData(AUTH_KEY, null);
+  if (!auth || await hashPasscode(passcode, auth.salt, auth.iterations) !== auth.hash) {
+    throw new Error("パスコードが正しくありません");
+  }
+  return Date.now() + settings.adminSessionMinutes * 60 * 1000;
+}
+
+async function adminLogout() {
+  if (API_BASE && adminToken) await apiRequest("/admin/logout", { method: "POST" }).catch(() => {});
+  adminToken = null;
+}
+
+// `current` is not checked on the very first setup (local mode only; the server takes ADMIN_PASSCODE).
+async function setAdminPasscode(passcode, current) {
+  if (API_BASE) return apiRequest("/admin/passcode", { method: "PUT", body: JSON.stringify({ current, passcode }) });
+  const auth = await loadData(AUTH_KEY, null);
+  if (auth && await hashPasscode(current, auth.salt, auth.iterations) !== auth.hash) {
+    throw new Error("現在のパスコードが正しくありません");
+  }
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  await saveData(AUTH_KEY, { salt, hash: await hashPasscode(passcode, salt), iterations: PASSCODE_ITERATIONS });
 }
 
 // ─── Styles ───
@@ -128,6 +527,11 @@ const baseBtn = {
   fontWeight: 600, cursor: "pointer", transition: "all 0.15s", fontFamily: "inherit",
 };
 
+const statusColors = {
+  confirmed: colors.sub, checked_in: colors.success, completed: colors.muted, no_show: colors.danger,
+  waitlisted: colors.warn, cancelled: colors.danger,
+};
+
 // ─── Components ───
 
 function Toast({ message, type, onClose }) {
@@ -144,7 +548,7 @@ function Toast({ message, type, onClose }) {
   );
 }
 
-function Calendar({ selectedDate, onSelect, reservations, settings, currentMonth, setCurrentMonth }) {
+function Calendar({ selectedDate, onSelect, occupancy, settings, currentMonth, setCurrentMonth }) {
   const year = currentMonth.getFullYear();
   const month = currentMonth.getMonth();
   const days = getMonthDays(year, month);
@@ -185,12 +589,13 @@ function Calendar({ selectedDate, onSelect, reservations, settings, currentMonth
           const past = isPast(dateStr);
           const today = isToday(dateStr);
           const dow = new Date(year, month, day).getDay();
-          const holiday = settings.holidays.includes(dateStr);
+          const closure = getClosure(dateStr, settings);
+          const holiday = !getBusinessHours(dateStr, settings);
           const disabled = past || holiday;
 
           let availDot = null;
           if (!disabled) {
-            const ratio = getDateAvailability(dateStr, reservations, settings);
+            const ratio = getDateAvailability(dateStr, occupancy, settings);
             const dotColor = ratio <= 0 ? colors.danger : ratio < 0.3 ? colors.warn : colors.success;
             availDot = (
               <div style={{ width: 6, height: 6, borderRadius: "50%", background: dotColor, marginTop: 2 }} />
@@ -198,7 +603,7 @@ function Calendar({ selectedDate, onSelect, reservations, settings, currentMonth
           }
 
           return (
-            <button key={day} onClick={() => !disabled && onSelect(dateStr)} disabled={disabled}
+            <button key={day} onClick={() => !disabled && onSelect(dateStr)} disabled={disabled} title={closure || undefined}
               style={{
                 aspectRatio: "1", display: "flex", flexDirection: "column", alignItems: "center", justifyContent: "center",
                 border: selected ? `2px solid ${colors.accent}` : today ? `2px solid ${colors.warn}` : "1px solid transparent",
@@ -230,11 +635,15 @@ function Calendar({ selectedDate, onSelect, reservations, settings, currentMonth
   );
 }
 
-function ProductPicker({ selected, onSelect }) {
+function ProductPicker({ products, selected, onSelect }) {
+  const available = sortProducts(products.filter((p) => p.active));
   return (
     <div style={{ display: "flex", flexDirection: "column", gap: 8, marginBottom: 20 }}>
       <label style={{ fontSize: 13, fontWeight: 600, color: colors.sub }}>商品を選択</label>
-      {PRODUCTS.map((p) => {
+      {available.length === 0 && (
+        <p style={{ textAlign: "center", color: colors.muted, fontSize: 13, padding: 16 }}>予約可能な商品がありません</p>
+      )}
+      {available.map((p) => {
         const active = selected?.id === p.id;
         return (
           <button key={p.id} onClick={() => onSelect(p)}
@@ -248,10 +657,14 @@ function ProductPicker({ selected, onSelect }) {
             <div>
               <div style={{ fontWeight: 600, fontSize: 15, color: colors.text }}>{p.name}</div>
               <div style={{ fontSize: 12, color: colors.sub, marginTop: 2 }}>
-                所要時間 {p.durationMin}分 ／ 必要人数枠 {p.requiredSlots}人分
+                所要時間 {p.durationMin}分 ／ 必要人数枠 {p.requiredSlots}人分{p.maxPartySize > 0 && ` ／ 最大${p.maxPartySize}名`}
               </div>
+              {p.description && <div style={{ fontSize: 11, color: colors.muted, marginTop: 3 }}>{p.description}</div>}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: 8, flexShrink: 0 }}>
+              {p.price > 0 && <span style={{ fontSize: 13, fontWeight: 600, color: colors.text }}>{fmtYen(p.price)}<span style={{ fontSize: 11, fontWeight: 400, color: colors.sub }}>/名</span></span>}
+              {active && <span style={{ fontSize: 18, color: colors.accent }}>✓</span>}
             </div>
-            {active && <span style={{ fontSize: 18, color: colors.accent }}>✓</span>}
           </button>
         );
       })}
@@ -259,54 +672,95 @@ function ProductPicker({ selected, onSelect }) {
   );
 }
 
-function TimeSlotPicker({ date, product, reservations, settings, onSelect }) {
+// `onWaitlist` is omitted while rescheduling; full slots are then simply unavailable.
+// Chosen before the time so that only slots with room for the whole group are offered.
+function PartySizePicker({ product, settings, value, onChange }) {
+  const limit = partySizeLimit(product, settings);
+  if (limit <= 1) return null;
+  return (
+    <div style={{ display: "flex", alignItems: "center", justifyContent: "space-between", marginBottom: 20 }}>
+      <label style={{ fontSize: 13, fontWeight: 600, color: colors.sub }}>人数</label>
+      <div style={{ display: "flex", alignItems: "center", gap: 10 }}>
+        <button onClick={() => onChange(value - 1)} disabled={value <= 1}
+          style={{ ...baseBtn, padding: "6px 14px", background: colors.border, color: colors.sub, opacity: value <= 1 ? 0.5 : 1 }}>
+          −
+        </button>
+        <span style={{ fontSize: 15, fontWeight: 700, color: colors.text, minWidth: 40, textAlign: "center" }}>{value}名</span>
+        <button onClick={() => onChange(value + 1)} disabled={value >= limit}
+          style={{ ...baseBtn, padding: "6px 14px", background: colors.border, color: colors.sub, opacity: value >= limit ? 0.5 : 1 }}>
+          ＋
+        </button>
+        <span style={{ fontSize: 11, color: colors.muted }}>{slotUsage({ ...product, partySize: value })}人分枠</span>
+      </div>
+    </div>
+  );
+}
+
+// `ignoreRules` is set when the admin moves a booking, since the booking rules only bind customers.
+function TimeSlotPicker({ date, product, partySize = 1, occupancy, settings, onSelect, onWaitlist, current, ignoreRules = false }) {
   if (!date || !product) {
     return <p style={{ color: colors.muted, textAlign: "center", padding: 16, fontSize: 13 }}>
       {!date ? "日付を選択してください" : "商品を選択してください"}
     </p>;
   }
 
-  const allSlots = generateTimeSlots(settings);
-  const closeMin = settings.closeHour * 60 + settings.closeMin;
+  const hours = getBusinessHours(date, settings);
+  if (!hours) {
+    const closure = getClosure(date, settings);
+    return <p style={{ color: colors.muted, textAlign: "center", padding: 16, fontSize: 13 }}>
+      この日は休業日です{closure && closure !== "休業日" && `（${closure}）`}
+    </p>;
+  }
+
+  const allSlots = generateTimeSlots(settings, date);
   const validSlots = allSlots.filter((s) => {
     const startMin = s.hour * 60 + s.min;
-    return startMin + product.durationMin <= closeMin;
+    return startMin + product.durationMin <= hours.closeMin;
   });
 
-  const endTimeLabel = (slot) => {
-    const endMin = slot.hour * 60 + slot.min + product.durationMin;
-    return fmtTime(Math.floor(endMin / 60), endMin % 60);
-  };
+  const booking = { ...product, partySize };
+  const needed = (product.resourceKinds || []).map((kind) => RESOURCE_KINDS[kind]).join("・");
+  const ruleFor = (slot) => ignoreRules ? null : bookingRuleViolation(date, slot.label, settings);
+  const ruleNotes = [...new Set(validSlots.map(ruleFor).filter(Boolean))];
+  const endTimeLabel = (slot) => minutesToTime(slot.hour * 60 + slot.min + product.durationMin);
+  const isCurrent = (slot) => current && current.date === date && current.productId === product.id && current.startTime === slot.label;
 
   return (
     <div>
       <label style={{ fontSize: 13, fontWeight: 600, color: colors.sub, marginBottom: 8, display: "block" }}>
-        時間帯を選択（{date}　{product.name}）
+        時間帯を選択（{date}　{product.name}{partySize > 1 && `・${partySize}名`}）
       </label>
       <div style={{ display: "grid", gridTemplateColumns: "repeat(2, 1fr)", gap: 8 }}>
         {validSlots.map((slot) => {
-          const available = canBook(date, slot.label, product, reservations, settings);
-          const occ = getSlotOccupancy(date, slot.label, reservations);
-          const remaining = settings.maxCapacity - occ;
+          const closed = ruleFor(slot);
+          const available = !closed && canBook(date, slot.label, booking, occupancy, settings);
+          const waitlist = !closed && !available && onWaitlist && canWaitlist(date, slot.label, booking, settings);
+          const occ = getSlotOccupancy(date, slot.label, occupancy);
+          const remaining = Math.max(0, getSlotCapacity(date, slot.label, settings) - occ);
+          const selectable = available || waitlist;
+          // Room for the group, but every resource the product needs is taken or off.
+          const noResource = !closed && !available && remaining >= slotUsage(booking) && needed
+            && !assignResources(date, slot.label, booking, occupancy, settings);
 
           return (
-            <button key={slot.label} onClick={() => available && onSelect(slot.label)}
-              disabled={!available}
+            <button key={slot.label} onClick={() => available ? onSelect(slot.label) : waitlist && onWaitlist(slot.label)}
+              disabled={!selectable} title={closed || undefined}
               style={{
                 padding: "12px 10px", borderRadius: 8,
-                border: `1px solid ${available ? colors.border : "#eee"}`,
-                background: available ? colors.card : "#f5f0ea",
-                cursor: available ? "pointer" : "default",
-                opacity: available ? 1 : 0.5, transition: "all 0.15s", textAlign: "center",
+                border: `1px solid ${available ? colors.border : waitlist ? colors.warn : "#eee"}`,
+                background: available ? colors.card : waitlist ? colors.warnLight : "#f5f0ea",
+                cursor: selectable ? "pointer" : "default",
+                opacity: selectable ? 1 : 0.5, transition: "all 0.15s", textAlign: "center",
               }}>
               <div style={{ fontWeight: 600, fontSize: 14, color: colors.text, fontVariantNumeric: "tabular-nums" }}>
                 {slot.label}〜{endTimeLabel(slot)}
               </div>
               <div style={{
                 fontSize: 11, fontWeight: 600, marginTop: 4,
-                color: !available ? colors.muted : remaining <= 2 ? colors.danger : colors.success,
+                color: waitlist ? colors.warn : !available ? colors.muted : remaining <= 2 ? colors.danger : colors.success,
               }}>
-                {available ? `残り${remaining}枠` : "予約不可"}
+                {isCurrent(slot) ? "現在の予約" : closed ? "受付終了" : available ? `残り${remaining}枠`
+                  : noResource ? `${needed}の空きなし${waitlist ? "・キャンセル待ち" : ""}` : waitlist ? "満員・キャンセル待ち" : "予約不可"}
               </div>
             </button>
           );
@@ -317,35 +771,183 @@ function TimeSlotPicker({ date, product, reservations, settings, onSelect }) {
           この商品の所要時間に合う空き枠がありません
         </p>
       )}
+      {ruleNotes.map((note) => (
+        <p key={note} style={{ margin: "8px 0 0", fontSize: 11, color: colors.sub }}>※「受付終了」の時間帯: {note}</p>
+      ))}
     </div>
   );
 }
 
-function BookingForm({ date, startTime, product, settings, onConfirm, onCancel }) {
+function BookingForm({ date, startTime, product, partySize = 1, occupancy, settings, waitlist = false, onConfirm, onCancel, onFindCustomer }) {
+  const [size, setSize] = useState(partySize);
   const [name, setName] = useState("");
   const [phone, setPhone] = useState("");
+  const [phoneTouched, setPhoneTouched] = useState(false);
+  const [known, setKnown] = useState(null);
+  const [email, setEmail] = useState("");
   const [note, setNote] = useState("");
+  // { frequency, endBy: "count" | "until", count, until } while 繰り返し予約 is switched on.
+  const [repeat, setRepeat] = useState(null);
 
   const endMin = timeToMinutes(startTime) + product.durationMin;
   const endTime = fmtTime(Math.floor(endMin / 60), endMin % 60);
 
-  const valid = name.trim() && phone.trim();
+  // Once the number is complete, a returning customer's name and email are filled in (without
+  // overwriting anything already typed).
+  const phoneValid = isValidPhone(phone);
+  useEffect(() => {
+    setKnown(null);
+    if (!phoneValid || !onFindCustomer) return;
+    let live = true;
+    onFindCustomer(phone).then((customer) => {
+      if (!live || !customer) return;
+      setKnown(customer);
+      setName((n) => n || customer.name);
+      setEmail((e) => e || customer.email);
+    }).catch(() => {});
+    return () => { live = false; };
+  }, [phone, phoneValid]);
+
+  const recurrence = repeat && (repeat.endBy === "until"
+    ? { frequency: repeat.frequency, until: repeat.until }
+    : { frequency: repeat.frequency, count: repeat.count });
+  const preview = recurrence && (recurrence.until || recurrence.count > 0)
+    ? planSeries(expandRecurrence(date, recurrence), startTime, { ...product, partySize: size }, occupancy, settings)
+    : [];
+  const bookable = preview.filter((o) => o.ok).length;
+
+  // The group can still be resized here, within what this slot has room for.
+  const sizeOptions = Array.from({ length: partySizeLimit(product, settings) }, (_, i) => i + 1)
+    .filter((n) => n === partySize || (waitlist
+      ? canWaitlist(date, startTime, { ...product, partySize: n }, settings)
+      : canBook(date, startTime, { ...product, partySize: n }, occupancy, settings)));
+
+  // Who will be assigned if the booking goes through now; waitlisted entries get theirs on promotion.
+  const assigned = waitlist ? [] : assignResources(date, startTime, product, occupancy, settings) || [];
+
+  // The stored price is worked out again on save; the client rate shows once the number is recognised.
+  const quote = quotePrice({ product, date, startTime, partySize: size }, settings, known);
+
+  // The form may have stayed open past the lead time or the same-day cutoff.
+  const closed = bookingRuleViolation(date, startTime, settings);
+  const valid = !closed && name.trim() && phoneValid && (!repeat || bookable > 0);
+  const ruleNotes = [
+    settings.cancelDeadlineHours > 0 && `お客様による取消・変更は開始${settings.cancelDeadlineHours}時間前までです。`,
+    settings.maxActivePerPhone > 0 && `同じ電話番号でお持ちいただける予約は${settings.maxActivePerPhone}件までです。`,
+  ].filter(Boolean);
 
   return (
     <div style={{ background: colors.card, borderRadius: 12, padding: 20, border: `1px solid ${colors.border}` }}>
-      <h3 style={{ margin: "0 0 6px", color: colors.text, fontSize: 17 }}>予約確認</h3>
+      <h3 style={{ margin: "0 0 6px", color: colors.text, fontSize: 17 }}>{waitlist ? "キャンセル待ち登録" : "予約確認"}</h3>
       <div style={{ fontSize: 13, color: colors.sub, marginBottom: 18, lineHeight: 1.7 }}>
         <div>📅 {date}（{DAYS_JP[parseDate(date).getDay()]}）</div>
         <div>🕐 {startTime} 〜 {endTime}（{product.durationMin}分）</div>
-        <div>📦 {product.name}（{product.requiredSlots}人分枠を使用）</div>
+        <div>📦 {product.name}（{slotUsage({ ...product, partySize: size })}人分枠を使用）</div>
+        {assigned.length > 0 && <div>👤 担当: {assigned.map((r) => r.name).join("・")}</div>}
+        {sizeOptions.length > 1 ? (
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4 }}>
+            👥
+            <select value={size} onChange={(e) => setSize(Number(e.target.value))}
+              style={{ ...baseInput, width: "auto", padding: "4px 8px", fontSize: 13 }}>
+              {sizeOptions.map((n) => <option key={n} value={n}>{n}名</option>)}
+            </select>
+          </div>
+        ) : size > 1 && <div>👥 {size}名</div>}
+        {quote.total > 0 && (
+          <div>
+            💴 <strong style={{ color: colors.text }}>{fmtYen(quote.total)}</strong>（税込{repeat && "・1回あたり"}）
+            <div style={{ fontSize: 11, color: colors.muted, marginLeft: 22 }}>
+              {quote.clientRate ? "特別料金" : "基本料金"} {fmtYen(quote.unitPrice)}
+              {quote.surcharges.map((s) => ` ＋ ${s.label} ${fmtYen(s.amount)}`).join("")}
+              {size > 1 && ` × ${size}名`}
+            </div>
+          </div>
+        )}
       </div>
+      {waitlist && (
+        <p style={{ fontSize: 12, color: colors.sub, margin: "-8px 0 16px", padding: "8px 12px", borderRadius: 8, background: colors.warnLight, lineHeight: 1.6 }}>
+          この時間帯は満員です。キャンセルで空きが出た場合、登録順に自動で予約が確定します。
+        </p>
+      )}
       <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+        <div>
+          <input placeholder="電話番号 *" value={phone} onChange={(e) => setPhone(e.target.value)} onBlur={() => setPhoneTouched(true)}
+            type="tel" style={baseInput} />
+          {phoneTouched && phone.trim() && !phoneValid && (
+            <p style={{ margin: "4px 0 0", fontSize: 11, color: colors.danger }}>{INVALID_PHONE_MESSAGE}</p>
+          )}
+          {known && <p style={{ margin: "4px 0 0", fontSize: 11, color: colors.success }}>✓ {known.name} 様のご登録内容を入力しました</p>}
+        </div>
         <input placeholder="お名前 *" value={name} onChange={(e) => setName(e.target.value)}
           style={baseInput} />
-        <input placeholder="電話番号 *" value={phone} onChange={(e) => setPhone(e.target.value)}
-          type="tel" style={baseInput} />
+        {/* Confirmation mails are sent by the server; local mode has no one to send them. */}
+        {API_BASE && (
+          <input placeholder="メールアドレス（任意・確認メールをお送りします）" value={email} onChange={(e) => setEmail(e.target.value)}
+            type="email" style={baseInput} />
+        )}
         <textarea placeholder="備考（任意）" value={note} onChange={(e) => setNote(e.target.value)}
           rows={2} style={{ ...baseInput, resize: "vertical" }} />
+        {!waitlist && (
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13, color: colors.sub, cursor: "pointer" }}>
+            <input type="checkbox" checked={Boolean(repeat)}
+              onChange={(e) => setRepeat(e.target.checked ? { frequency: "weekly", endBy: "count", count: 4, until: "" } : null)} />
+            繰り返し予約（定期利用）
+          </label>
+        )}
+        {repeat && (
+          <div style={{ padding: 12, borderRadius: 8, background: "#f9f5ef", border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 8 }}>
+            <div style={{ display: "flex", gap: 6 }}>
+              {Object.entries(RECURRENCE_LABELS).map(([key, label]) => (
+                <button key={key} onClick={() => setRepeat((r) => ({ ...r, frequency: key }))}
+                  style={{
+                    ...baseBtn, flex: 1, padding: "6px 0", fontSize: 12,
+                    background: repeat.frequency === key ? colors.accent : colors.border,
+                    color: repeat.frequency === key ? "#fff" : colors.sub,
+                  }}>
+                  {label}
+                </button>
+              ))}
+            </div>
+            <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, color: colors.sub }}>
+              <select value={repeat.endBy} onChange={(e) => setRepeat((r) => ({ ...r, endBy: e.target.value }))}
+                style={{ ...baseInput, width: "auto", padding: "6px 8px", fontSize: 12 }}>
+                <option value="count">回数</option>
+                <option value="until">終了日</option>
+              </select>
+              {repeat.endBy === "count" ? (
+                <>
+                  <input type="number" min={2} max={MAX_OCCURRENCES} value={repeat.count}
+                    onChange={(e) => setRepeat((r) => ({ ...r, count: Math.min(MAX_OCCURRENCES, Math.max(0, parseInt(e.target.value) || 0)) }))}
+                    style={{ ...baseInput, width: 70, padding: "6px 8px", fontSize: 12 }} />
+                  回
+                </>
+              ) : (
+                <input type="date" min={date} value={repeat.until}
+                  onChange={(e) => setRepeat((r) => ({ ...r, until: e.target.value }))}
+                  style={{ ...baseInput, flex: 1, padding: "6px 8px", fontSize: 12 }} />
+              )}
+            </div>
+            {preview.length > 0 && (
+              <div style={{ maxHeight: 160, overflowY: "auto", fontSize: 12, lineHeight: 1.8, fontVariantNumeric: "tabular-nums" }}>
+                {preview.map((o) => (
+                  <div key={o.date} style={{ color: o.ok ? colors.text : colors.muted }}>
+                    {o.ok ? "✓" : "✕"} {o.date}（{DAYS_JP[parseDate(o.date).getDay()]}） {startTime}〜{endTime}
+                    {!o.ok && <span style={{ color: colors.danger, marginLeft: 6 }}>{o.reason}</span>}
+                  </div>
+                ))}
+              </div>
+            )}
+            <div style={{ fontSize: 11, color: colors.sub }}>
+              {bookable}件を予約します{preview.length > bookable && `（${preview.length - bookable}件は予約できないため除きます）`}
+            </div>
+          </div>
+        )}
+        {ruleNotes.length > 0 && (
+          <div style={{ fontSize: 11, color: colors.sub, lineHeight: 1.6 }}>
+            {ruleNotes.map((note) => <div key={note}>※ {note}</div>)}
+          </div>
+        )}
+        {closed && <p style={{ margin: 0, fontSize: 12, color: colors.danger }}>この時間帯は受付を終了しました（{closed}）</p>}
         <div style={{ display: "flex", gap: 10, marginTop: 4 }}>
           <button onClick={onCancel}
             style={{ ...baseBtn, flex: 1, background: colors.border, color: colors.sub }}>
@@ -353,17 +955,18 @@ function BookingForm({ date, startTime, product, settings, onConfirm, onCancel }
           </button>
           <button disabled={!valid}
             onClick={() => valid && onConfirm({
-              name: name.trim(), phone: phone.trim(), note: note.trim(),
+              name: name.trim(), phone: phone.trim(), email: email.trim(), note: note.trim(),
               startTime, endTime, date,
               productId: product.id, productName: product.name,
-              requiredSlots: product.requiredSlots, durationMin: product.durationMin,
-            })}
+              requiredSlots: product.requiredSlots, durationMin: product.durationMin, resourceKinds: product.resourceKinds || [],
+              partySize: size,
+            }, recurrence)}
             style={{
               ...baseBtn, flex: 2, color: "#fff",
               background: valid ? colors.accent : colors.border,
               cursor: valid ? "pointer" : "default",
             }}>
-            予約を確定する
+            {waitlist ? "キャンセル待ちに登録する" : repeat ? `${bookable}件の予約を確定する` : "予約を確定する"}
           </button>
         </div>
       </div>
@@ -371,116 +974,2224 @@ function BookingForm({ date, startTime, product, settings, onConfirm, onCancel }
   );
 }
 
-function ReservationList({ reservations, onCancel }) {
-  const active = reservations
-    .filter((r) => r.status === "confirmed")
-    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
-
-  if (active.length === 0) {
-    return <p style={{ textAlign: "center", color: colors.muted, padding: 30, fontSize: 14 }}>予約はありません</p>;
-  }
+function RescheduleForm({ reservation, date, startTime, product, onConfirm, onCancel }) {
+  const endTime = minutesToTime(timeToMinutes(startTime) + product.durationMin);
+  const unchanged = reservation.date === date && reservation.startTime === startTime && reservation.productId === product.id;
 
   return (
-    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
-      {active.map((r) => {
-        const past = isPast(r.date);
-        return (
-          <div key={r.id} style={{
-            padding: "14px 16px", borderRadius: 10, border: `1px solid ${colors.border}`,
-            background: past ? "#f5f0ea" : colors.card, opacity: past ? 0.65 : 1,
+    <div style={{ background: colors.card, borderRadius: 12, padding: 20, border: `1px solid ${colors.border}` }}>
+      <h3 style={{ margin: "0 0 6px", color: colors.text, fontSize: 17 }}>予約変更の確認</h3>
+      <div style={{ fontSize: 12, color: colors.muted, marginBottom: 12, lineHeight: 1.7, textDecoration: "line-through" }}>
+        {reservation.date}（{DAYS_JP[parseDate(reservation.date).getDay()]}） {reservation.startTime} 〜 {reservation.endTime}　{reservation.productName}
+      </div>
+      <div style={{ fontSize: 13, color: colors.sub, marginBottom: 18, lineHeight: 1.7 }}>
+        <div>📅 {date}（{DAYS_JP[parseDate(date).getDay()]}）</div>
+        <div>🕐 {startTime} 〜 {endTime}（{product.durationMin}分）</div>
+        <div>📦 {product.name}（{slotUsage({ ...product, partySize: reservation.partySize })}人分枠を使用）</div>
+        <div>👤 {reservation.name}{reservation.partySize > 1 && `（${reservation.partySize}名）`}</div>
+      </div>
+      <div style={{ display: "flex", gap: 10 }}>
+        <button onClick={onCancel}
+          style={{ ...baseBtn, flex: 1, background: colors.border, color: colors.sub }}>
+          戻る
+        </button>
+        <button disabled={unchanged} onClick={() => !unchanged && onConfirm({ date, startTime, product })}
+          style={{
+            ...baseBtn, flex: 2, color: "#fff",
+            background: unchanged ? colors.border : colors.accent,
+            cursor: unchanged ? "default" : "pointer",
           }}>
-            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start" }}>
-              <div>
-                <div style={{ fontWeight: 700, fontSize: 15, color: colors.text }}>
-                  {r.date}（{DAYS_JP[parseDate(r.date).getDay()]}）
-                </div>
-                <div style={{ fontSize: 13, color: colors.sub, marginTop: 2, fontVariantNumeric: "tabular-nums" }}>
-                  {r.startTime} 〜 {r.endTime}
-                </div>
-                <div style={{ fontSize: 12, color: colors.muted, marginTop: 4 }}>
-                  {r.productName}　／　{r.name}
-                </div>
-                {r.note && <div style={{ fontSize: 11, color: colors.muted, marginTop: 3 }}>備考: {r.note}</div>}
-              </div>
-              {!past && (
-                <button onClick={() => onCancel(r.id)}
-                  style={{ ...baseBtn, padding: "7px 14px", fontSize: 12, background: colors.dangerLight, color: colors.danger }}>
-                  取消
-                </button>
-              )}
-            </div>
-          </div>
-        );
-      })}
+          変更を確定する
+        </button>
+      </div>
     </div>
   );
 }
 
-function AdminPanel({ reservations, settings, onSettingsChange, onDeleteReservation }) {
-  const [showSettings, setShowSettings] = useState(false);
-  const [local, setLocal] = useState(settings);
-  const [holidayInput, setHolidayInput] = useState("");
+function RescheduleBanner({ reservation, onAbort }) {
+  return (
+    <div style={{
+      display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8,
+      padding: "10px 14px", marginBottom: 16, borderRadius: 8, background: colors.warnLight, fontSize: 12, color: colors.text,
+    }}>
+      <span>
+        <strong>予約を変更中</strong>　{reservation.date} {reservation.startTime}〜{reservation.endTime}　{reservation.productName}
+      </span>
+      <button onClick={onAbort}
+        style={{ ...baseBtn, padding: "5px 10px", fontSize: 11, background: colors.border, color: colors.sub, flexShrink: 0 }}>
+        変更をやめる
+      </button>
+    </div>
+  );
+}
 
-  const active = reservations
-    .filter((r) => r.status === "confirmed")
-    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+const historyLabel = (history) => {
+  if (!history?.length) return null;
+  const last = history[history.length - 1];
+  return `変更${history.length}回（最終 ${last.at.slice(0, 10)} ${last.by === "admin" ? "管理者" : "お客様"}）`;
+};
+
+function BookingComplete({ reservation, settings, title = "予約が確定しました", onLookup, onDone }) {
+  const waitlisted = reservation.status === "waitlisted";
+  return (
+    <div style={{ background: colors.card, borderRadius: 12, padding: 20, border: `1px solid ${colors.border}`, textAlign: "center" }}>
+      <h3 style={{ margin: "0 0 6px", color: waitlisted ? colors.warn : colors.success, fontSize: 17 }}>
+        {waitlisted ? "キャンセル待ちに登録しました" : title}
+      </h3>
+      {waitlisted && (
+        <p style={{ fontSize: 12, color: colors.sub, margin: "4px 0 0", lineHeight: 1.6 }}>
+          空きが出た時点で自動的に予約が確定します。状況は予約確認から確認できます。
+        </p>
+      )}
+      <div style={{ fontSize: 12, color: colors.sub, marginTop: 12 }}>予約番号</div>
+      <div style={{ fontSize: 28, fontWeight: 700, letterSpacing: 4, color: colors.text, fontVariantNumeric: "tabular-nums" }}>
+        {reservation.code}
+      </div>
+      <p style={{ fontSize: 12, color: colors.sub, margin: "8px 0 16px", lineHeight: 1.6 }}>
+        予約番号とご登録の電話番号で、予約の確認・取消ができます。<br />
+        この番号を控えておいてください。
+      </p>
+      <div style={{ fontSize: 13, color: colors.sub, marginBottom: 18, lineHeight: 1.7, textAlign: "left", display: "inline-block" }}>
+        <div>📅 {reservation.date}（{DAYS_JP[parseDate(reservation.date).getDay()]}）</div>
+        <div>🕐 {reservation.startTime} 〜 {reservation.endTime}</div>
+        <div>📦 {reservation.productName}{partyLabel(reservation)}</div>
+        {reservation.price > 0 && <div>💴 {fmtYen(reservation.price)}（税込）</div>}
+        {reservation.resources?.length > 0 && <div>👤 担当: {resourceNames(reservation)}</div>}
+      </div>
+      {!waitlisted && (
+        <button onClick={() => downloadIcs(reservation, settings)}
+          style={{ ...baseBtn, width: "100%", marginBottom: 10, background: colors.accentLight, color: colors.accent }}>
+          📅 カレンダーに追加（.ics）
+        </button>
+      )}
+      <div style={{ display: "flex", gap: 10 }}>
+        <button onClick={onLookup}
+          style={{ ...baseBtn, flex: 1, background: colors.border, color: colors.sub }}>
+          予約確認へ
+        </button>
+        <button onClick={onDone}
+          style={{ ...baseBtn, flex: 1, background: colors.accent, color: "#fff" }}>
+          続けて予約する
+        </button>
+      </div>
+    </div>
+  );
+}
 
-  const handleSave = () => { onSettingsChange(local); setShowSettings(false); };
+// Every occurrence of a series has its own code, so all of them are listed.
+function SeriesComplete({ series, settings, onLookup, onDone }) {
+  const { booked, conflicts } = series;
+  return (
+    <div style={{ background: colors.card, borderRadius: 12, padding: 20, border: `1px solid ${colors.border}`, textAlign: "center" }}>
+      <h3 style={{ margin: "0 0 6px", color: colors.success, fontSize: 17 }}>
+        定期予約が確定しました（{RECURRENCE_LABELS[booked[0].recurrence]}・{booked.length}件）
+      </h3>
+      <p style={{ fontSize: 12, color: colors.sub, margin: "4px 0 14px", lineHeight: 1.6 }}>
+        予約番号は日程ごとに異なります。どの番号からでも、今後の定期予約をまとめて取消できます。
+      </p>
+      <div style={{ textAlign: "left", fontSize: 13, color: colors.text, lineHeight: 1.9, marginBottom: 14, fontVariantNumeric: "tabular-nums" }}>
+        <div style={{ fontSize: 12, color: colors.sub }}>📦 {booked[0].productName}{partyLabel(booked[0])}　🕐 {booked[0].startTime} 〜 {booked[0].endTime}</div>
+        {booked.map((r) => (
+          <div key={r.id} style={{ display: "flex", justifyContent: "space-between" }}>
+            <span>{r.date}（{DAYS_JP[parseDate(r.date).getDay()]}）</span>
+            <span style={{ fontWeight: 700, letterSpacing: 2 }}>{r.code}</span>
+          </div>
+        ))}
+      </div>
+      {conflicts.length > 0 && (
+        <div style={{ textAlign: "left", fontSize: 12, color: colors.danger, padding: "8px 12px", borderRadius: 8, background: colors.dangerLight, marginBottom: 14, lineHeight: 1.7 }}>
+          <div style={{ fontWeight: 600 }}>予約できなかった日程</div>
+          {conflicts.map((o) => (
+            <div key={o.date}>{o.date}（{DAYS_JP[parseDate(o.date).getDay()]}）　{o.reason}</div>
+          ))}
+        </div>
+      )}
+      <button onClick={() => downloadFile(`series-${booked[0].code.replace(/[^A-Za-z0-9]/g, "")}.ics`, reservationsToIcs(booked, settings), "text/calendar;charset=utf-8")}
+        style={{ ...baseBtn, width: "100%", marginBottom: 10, background: colors.accentLight, color: colors.accent }}>
+        📅 カレンダーに追加（.ics）
+      </button>
+      <div style={{ display: "flex", gap: 10 }}>
+        <button onClick={onLookup}
+          style={{ ...baseBtn, flex: 1, background: colors.border, color: colors.sub }}>
+          予約確認へ
+        </button>
+        <button onClick={onDone}
+          style={{ ...baseBtn, flex: 1, background: colors.accent, color: "#fff" }}>
+          続けて予約する
+        </button>
+      </div>
+    </div>
+  );
+}
 
-  const addHoliday = () => {
-    if (holidayInput && !local.holidays.includes(holidayInput)) {
-      setLocal((s) => ({ ...s, holidays: [...s.holidays, holidayInput].sort() }));
-      setHolidayInput("");
+function ReservationLookup({ settings, onLookup, onCancel, onCancelSeries, onReschedule }) {
+  const [code, setCode] = useState("");
+  const [phone, setPhone] = useState("");
+  const [found, setFound] = useState(null);
+  const [error, setError] = useState("");
+
+  const valid = code.trim() && phone.trim();
+
+  const handleLookup = async () => {
+    if (!valid) return;
+    try {
+      setFound(await onLookup(code, phone));
+      setError("");
+    } catch (e) {
+      setFound(null);
+      setError(e.message);
     }
   };
 
-  const removeHoliday = (d) => setLocal((s) => ({ ...s, holidays: s.holidays.filter((h) => h !== d) }));
+  const handleCancel = async () => {
+    const updated = await onCancel(code, phone);
+    if (updated) setFound(updated);
+  };
 
-  return (
-    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
-      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
-        <h3 style={{ margin: 0, fontSize: 17, color: colors.text }}>管理パネル</h3>
-        <button onClick={() => setShowSettings(!showSettings)}
-          style={{ ...baseBtn, padding: "8px 16px", fontSize: 12, background: colors.border, color: colors.sub }}>
-          {showSettings ? "閉じる" : "⚙ 設定"}
-        </button>
-      </div>
+  const handleCancelSeries = async () => {
+    if (await onCancelSeries(code, phone)) setFound(await onLookup(code, phone));
+  };
 
-      {showSettings && (
-        <div style={{ background: "#f9f5ef", borderRadius: 10, padding: 18, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 14 }}>
-          <div>
-            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>同時利用上限人数</label>
-            <input type="number" min={1} max={20} value={local.maxCapacity}
-              onChange={(e) => setLocal((s) => ({ ...s, maxCapacity: parseInt(e.target.value) || 1 }))}
-              style={{ ...baseInput, width: 80 }} />
-          </div>
+  const past = found && isPast(found.date);
+  const cancelled = found?.status === "cancelled";
+  const waitlisted = found?.status === "waitlisted";
+  // Checked in, completed or no-show: the visit is settled, so nothing is left to change.
+  const attended = found && !["confirmed", "waitlisted", "cancelled"].includes(found.status);
+  // Past the cancellation deadline the buttons stay visible but disabled, with the reason below.
+  const locked = found && !past && cancelRuleViolation(found, settings);
 
-          <div>
-            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>営業時間</label>
-            <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
-              <input type="number" min={0} max={23} value={local.openHour}
-                onChange={(e) => setLocal((s) => ({ ...s, openHour: parseInt(e.target.value) || 0 }))}
-                style={{ ...baseInput, width: 55 }} />
-              <span style={{ color: colors.sub }}>:</span>
-              <input type="number" min={0} max={59} step={30} value={local.openMin}
-                onChange={(e) => setLocal((s) => ({ ...s, openMin: parseInt(e.target.value) || 0 }))}
-                style={{ ...baseInput, width: 55 }} />
-              <span style={{ color: colors.sub, margin: "0 4px" }}>〜</span>
-              <input type="number" min={0} max={23} value={local.closeHour}
-                onChange={(e) => setLocal((s) => ({ ...s, closeHour: parseInt(e.target.value) || 0 }))}
-                style={{ ...baseInput, width: 55 }} />
-              <span style={{ color: colors.sub }}>:</span>
-              <input type="number" min={0} max={59} step={30} value={local.closeMin}
-                onChange={(e) => setLocal((s) => ({ ...s, closeMin: parseInt(e.target.value) || 0 }))}
-                style={{ ...baseInput, width: 55 }} />
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 12 }}>
+      <p style={{ margin: 0, fontSize: 12, color: colors.sub, lineHeight: 1.6 }}>
+        予約確定時に表示された予約番号と、予約時の電話番号を入力してください。
+      </p>
+      <input placeholder="予約番号（例: ABC-234）" value={code} onChange={(e) => setCode(e.target.value)}
+        style={{ ...baseInput, textTransform: "uppercase", letterSpacing: 1 }} />
+      <input placeholder="電話番号" value={phone} onChange={(e) => setPhone(e.target.value)}
+        type="tel" style={baseInput} />
+      <button onClick={handleLookup} disabled={!valid}
+        style={{ ...baseBtn, color: "#fff", background: valid ? colors.accent : colors.border, cursor: valid ? "pointer" : "default" }}>
+        予約を確認する
+      </button>
+      {error && <p style={{ margin: 0, textAlign: "center", color: colors.danger, fontSize: 13 }}>{error}</p>}
+
+      {found && (
+        <div style={{
+          padding: "14px 16px", borderRadius: 10, border: `1px solid ${colors.border}`,
+          background: past || cancelled ? "#f5f0ea" : colors.card,
+        }}>
+          <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start" }}>
+            <div>
+              <div style={{ fontSize: 11, color: colors.muted, letterSpacing: 1 }}>{found.code}</div>
+              <div style={{ fontWeight: 700, fontSize: 15, color: colors.text }}>
+                {found.date}（{DAYS_JP[parseDate(found.date).getDay()]}）
+              </div>
+              <div style={{ fontSize: 13, color: colors.sub, marginTop: 2, fontVariantNumeric: "tabular-nums" }}>
+                {found.startTime} 〜 {found.endTime}
+              </div>
+              <div style={{ fontSize: 12, color: colors.muted, marginTop: 4 }}>
+                {found.productName}{partyLabel(found)}{priceLabel(found)}　／　{found.name}{resourceLabel(found)}
+              </div>
+              {found.note && <div style={{ fontSize: 11, color: colors.muted, marginTop: 3 }}>備考: {found.note}</div>}
+              {historyLabel(found.history) && (
+                <div style={{ fontSize: 11, color: colors.muted, marginTop: 3 }}>{historyLabel(found.history)}</div>
+              )}
+              {found.promotedAt && (
+                <div style={{ fontSize: 11, color: colors.success, marginTop: 3 }}>キャンセル待ちから確定しました</div>
+              )}
+              {found.seriesId && (
+                <div style={{ fontSize: 11, color: colors.sub, marginTop: 3 }}>🔁 {RECURRENCE_LABELS[found.recurrence]}の定期予約</div>
+              )}
+              {waitlisted && (
+                <div style={{ fontSize: 12, fontWeight: 600, color: colors.warn, marginTop: 4 }}>
+                  {past ? "キャンセル待ち（空きが出ませんでした）" : "キャンセル待ち中"}
+                </div>
+              )}
+              {attended && (
+                <div style={{ fontSize: 12, fontWeight: 600, color: statusColors[found.status], marginTop: 4 }}>
+                  {STATUS_LABELS[found.status]}
+                </div>
+              )}
             </div>
+            {cancelled ? (
+              <span style={{ fontSize: 12, fontWeight: 600, color: colors.danger }}>キャンセル済み</span>
+            ) : !past && !attended && (
+              <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+                {!waitlisted && (
+                  <button onClick={() => onReschedule(found, { code, phone })} disabled={Boolean(locked)}
+                    style={{ ...baseBtn, padding: "7px 14px", fontSize: 12, background: colors.border, color: colors.sub, opacity: locked ? 0.5 : 1 }}>
+                    変更
+                  </button>
+                )}
+                <button onClick={handleCancel} disabled={Boolean(locked)}
+                  style={{ ...baseBtn, padding: "7px 14px", fontSize: 12, background: colors.dangerLight, color: colors.danger, opacity: locked ? 0.5 : 1 }}>
+                  取消
+                </button>
+              </div>
+            )}
           </div>
-
-          <div>
-            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>カレンダー表示月数</label>
-            <input type="number" min={1} max={12} value={local.calendarMonths}
-              onChange={(e) => setLocal((s) => ({ ...s, calendarMonths: parseInt(e.target.value) || 3 }))}
-              style={{ ...baseInput, width: 55 }} />
+          {locked && <p style={{ margin: "8px 0 0", fontSize: 11, color: colors.danger, lineHeight: 1.6 }}>{locked}</p>}
+          {!past && !waitlisted && !attended && (
+            <button onClick={() => downloadIcs(found, settings)}
+              style={{ ...baseBtn, width: "100%", marginTop: 10, padding: "8px 14px", fontSize: 12, background: colors.accentLight, color: colors.accent }}>
+              {cancelled ? "📅 カレンダーから削除（.ics）" : "📅 カレンダーに追加（.ics）"}
+            </button>
+          )}
+          {found.seriesId && (
+            <button onClick={handleCancelSeries}
+              style={{ ...baseBtn, width: "100%", marginTop: 8, padding: "8px 14px", fontSize: 12, background: colors.dangerLight, color: colors.danger }}>
+              今後の定期予約をまとめて取消
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function HoursInput({ hours, onChange }) {
+  const field = (key, max, step) => (
+    <input type="number" min={0} max={max} step={step} value={hours[key]}
+      onChange={(e) => onChange({ [key]: parseInt(e.target.value) || 0 })}
+      style={{ ...baseInput, width: 55 }} />
+  );
+  return (
+    <div style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 13 }}>
+      {field("openHour", 23)}
+      <span style={{ color: colors.sub }}>:</span>
+      {field("openMin", 59, 30)}
+      <span style={{ color: colors.sub, margin: "0 4px" }}>〜</span>
+      {field("closeHour", 23)}
+      <span style={{ color: colors.sub }}>:</span>
+      {field("closeMin", 59, 30)}
+    </div>
+  );
+}
+
+const WEEK_ORDER = [1, 2, 3, 4, 5, 6, 0];
+
+function BusinessHoursEditor({ settings, onChange }) {
+  const [overrideDate, setOverrideDate] = useState("");
+  const [overrideClosed, setOverrideClosed] = useState(false);
+  const [overrideHours, setOverrideHours] = useState(() => ({
+    openHour: settings.openHour, openMin: settings.openMin, closeHour: settings.closeHour, closeMin: settings.closeMin,
+  }));
+
+  const standardHours = {
+    openHour: settings.openHour, openMin: settings.openMin, closeHour: settings.closeHour, closeMin: settings.closeMin,
+  };
+  const weekdayMode = (h) => !h ? "standard" : h.closed ? "closed" : "custom";
+
+  const setWeekday = (dow, value) => onChange((s) => ({
+    ...s, weeklyHours: s.weeklyHours.map((h, i) => i === dow ? value : h),
+  }));
+  const changeWeekdayMode = (dow, mode) =>
+    setWeekday(dow, mode === "standard" ? null : mode === "closed" ? { closed: true } : standardHours);
+
+  const addOverride = () => {
+    if (!overrideDate) return;
+    const entry = overrideClosed ? { date: overrideDate, closed: true } : { date: overrideDate, ...overrideHours };
+    onChange((s) => ({
+      ...s,
+      hourOverrides: [...s.hourOverrides.filter((o) => o.date !== overrideDate), entry]
+        .sort((a, b) => a.date.localeCompare(b.date)),
+    }));
+    setOverrideDate("");
+  };
+  const removeOverride = (d) => onChange((s) => ({ ...s, hourOverrides: s.hourOverrides.filter((o) => o.date !== d) }));
+
+  return (
+    <>
+      <div>
+        <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>曜日別営業時間</label>
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {WEEK_ORDER.map((dow) => {
+            const h = settings.weeklyHours[dow];
+            const mode = weekdayMode(h);
+            return (
+              <div key={dow} style={{ display: "flex", alignItems: "center", gap: 6, flexWrap: "wrap" }}>
+                <span style={{
+                  width: 20, fontSize: 13, fontWeight: 600,
+                  color: dow === 0 ? colors.sunday : dow === 6 ? colors.saturday : colors.text,
+                }}>
+                  {DAYS_JP[dow]}
+                </span>
+                <select value={mode} onChange={(e) => changeWeekdayMode(dow, e.target.value)}
+                  style={{ ...baseInput, width: 90, padding: "8px 10px", fontSize: 13 }}>
+                  <option value="standard">標準</option>
+                  <option value="custom">個別</option>
+                  <option value="closed">休業</option>
+                </select>
+                {mode === "custom" && <HoursInput hours={h} onChange={(patch) => setWeekday(dow, { ...h, ...patch })} />}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>日付別営業時間（短縮・臨時営業）</label>
+        <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 8 }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input type="date" value={overrideDate} onChange={(e) => setOverrideDate(e.target.value)}
+              style={{ ...baseInput, flex: 1 }} />
+            <label style={{ fontSize: 12, color: colors.sub, display: "flex", alignItems: "center", gap: 4, flexShrink: 0 }}>
+              <input type="checkbox" checked={overrideClosed} onChange={(e) => setOverrideClosed(e.target.checked)} />
+              休業
+            </label>
+            <button onClick={addOverride}
+              style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, background: colors.accent, color: "#fff" }}>
+              追加
+            </button>
+          </div>
+          {!overrideClosed && (
+            <HoursInput hours={overrideHours} onChange={(patch) => setOverrideHours((h) => ({ ...h, ...patch }))} />
+          )}
+        </div>
+        {settings.hourOverrides.length > 0 && (
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {settings.hourOverrides.map((o) => (
+              <span key={o.date} style={{
+                display: "inline-flex", alignItems: "center", gap: 4,
+                padding: "4px 10px", borderRadius: 6, fontSize: 12,
+                background: o.closed ? colors.dangerLight : colors.warnLight,
+                color: o.closed ? colors.danger : colors.text,
+              }}>
+                {o.date} {o.closed ? "休業" : `${fmtTime(o.openHour, o.openMin)}〜${fmtTime(o.closeHour, o.closeMin)}`}
+                <button onClick={() => removeOverride(o.date)}
+                  style={{ background: "none", border: "none", color: colors.danger, cursor: "pointer", fontSize: 14, padding: 0, lineHeight: 1 }}>
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+    </>
+  );
+}
+
+const EMPTY_CAPACITY_RULE = { dateFrom: "", dateTo: "", weekdays: [], startTime: "", endTime: "", capacity: 1 };
+
+const describeCapacityRule = (rule) => {
+  const parts = [];
+  if (rule.dateFrom || rule.dateTo) parts.push(`${rule.dateFrom || ""}〜${rule.dateTo || ""}`);
+  if (rule.weekdays.length > 0) parts.push(WEEK_ORDER.filter((d) => rule.weekdays.includes(d)).map((d) => DAYS_JP[d]).join(""));
+  if (rule.startTime || rule.endTime) parts.push(`${rule.startTime || "開始"}〜${rule.endTime || "終了"}`);
+  return `${parts.length > 0 ? parts.join(" ") : "全日"} → ${rule.capacity}人`;
+};
+
+function CapacityRuleEditor({ settings, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_CAPACITY_RULE);
+
+  const toggleWeekday = (dow) => setDraft((d) => ({
+    ...d, weekdays: d.weekdays.includes(dow) ? d.weekdays.filter((w) => w !== dow) : [...d.weekdays, dow],
+  }));
+
+  const valid = draft.capacity >= 0
+    && (!draft.dateFrom || !draft.dateTo || draft.dateFrom <= draft.dateTo)
+    && (!draft.startTime || !draft.endTime || draft.startTime < draft.endTime);
+
+  const addRule = () => {
+    if (!valid) return;
+    onChange((s) => ({ ...s, capacityRules: [...s.capacityRules, { id: genId(), ...draft }] }));
+    setDraft(EMPTY_CAPACITY_RULE);
+  };
+  const removeRule = (id) => onChange((s) => ({ ...s, capacityRules: s.capacityRules.filter((r) => r.id !== id) }));
+
+  const smallInput = { ...baseInput, padding: "8px 10px", fontSize: 13 };
+
+  return (
+    <div>
+      <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>上限人数の例外（日付・曜日・時間帯）</label>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 8 }}>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="date" value={draft.dateFrom} onChange={(e) => setDraft((d) => ({ ...d, dateFrom: e.target.value }))}
+            style={{ ...smallInput, flex: 1 }} />
+          <span style={{ color: colors.sub }}>〜</span>
+          <input type="date" value={draft.dateTo} onChange={(e) => setDraft((d) => ({ ...d, dateTo: e.target.value }))}
+            style={{ ...smallInput, flex: 1 }} />
+        </div>
+        <div style={{ display: "flex", gap: 4 }}>
+          {WEEK_ORDER.map((dow) => {
+            const on = draft.weekdays.includes(dow);
+            return (
+              <button key={dow} onClick={() => toggleWeekday(dow)}
+                style={{
+                  ...baseBtn, flex: 1, padding: "6px 0", fontSize: 12,
+                  background: on ? colors.accent : colors.card, color: on ? "#fff" : colors.sub,
+                  border: `1px solid ${on ? colors.accent : colors.border}`,
+                }}>
+                {DAYS_JP[dow]}
+              </button>
+            );
+          })}
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="time" step={1800} value={draft.startTime}
+            onChange={(e) => setDraft((d) => ({ ...d, startTime: e.target.value }))} style={{ ...smallInput, flex: 1 }} />
+          <span style={{ color: colors.sub }}>〜</span>
+          <input type="time" step={1800} value={draft.endTime}
+            onChange={(e) => setDraft((d) => ({ ...d, endTime: e.target.value }))} style={{ ...smallInput, flex: 1 }} />
+          <input type="number" min={0} max={20} value={draft.capacity}
+            onChange={(e) => setDraft((d) => ({ ...d, capacity: parseInt(e.target.value) || 0 }))}
+            style={{ ...smallInput, width: 60 }} />
+          <span style={{ fontSize: 12, color: colors.sub, flexShrink: 0 }}>人</span>
+          <button onClick={addRule} disabled={!valid}
+            style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, background: valid ? colors.accent : colors.border, color: "#fff", flexShrink: 0 }}>
+            追加
+          </button>
+        </div>
+      </div>
+      {settings.capacityRules.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {settings.capacityRules.map((rule) => (
+            <span key={rule.id} style={{
+              display: "flex", justifyContent: "space-between", alignItems: "center",
+              padding: "4px 10px", borderRadius: 6, background: colors.warnLight, fontSize: 12, color: colors.text,
+            }}>
+              {describeCapacityRule(rule)}
+              <button onClick={() => removeRule(rule.id)}
+                style={{ background: "none", border: "none", color: colors.danger, cursor: "pointer", fontSize: 14, padding: 0, lineHeight: 1 }}>
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_SURCHARGE = { label: "", weekdays: [], holidays: false, startTime: "", endTime: "", kind: "percent", amount: 0 };
+
+const describeSurcharge = (surcharge) => {
+  const days = WEEK_ORDER.filter((d) => surcharge.weekdays.includes(d)).map((d) => DAYS_JP[d]).join("") + (surcharge.holidays ? "祝" : "");
+  const parts = [days || "全日"];
+  if (surcharge.startTime || surcharge.endTime) parts.push(`${surcharge.startTime || "開始"}〜${surcharge.endTime || "終了"}開始`);
+  return `${surcharge.label}: ${parts.join(" ")} → ＋${surcharge.amount}${SURCHARGE_KINDS[surcharge.kind]}/名`;
+};
+
+function SurchargeEditor({ settings, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_SURCHARGE);
+
+  const toggleWeekday = (dow) => setDraft((d) => ({
+    ...d, weekdays: d.weekdays.includes(dow) ? d.weekdays.filter((w) => w !== dow) : [...d.weekdays, dow],
+  }));
+
+  const valid = draft.label.trim() && draft.amount > 0 && (!draft.startTime || !draft.endTime || draft.startTime < draft.endTime);
+
+  const addSurcharge = () => {
+    if (!valid) return;
+    onChange((s) => ({ ...s, surcharges: [...s.surcharges, { id: genId(), ...draft, label: draft.label.trim() }] }));
+    setDraft(EMPTY_SURCHARGE);
+  };
+  const removeSurcharge = (id) => onChange((s) => ({ ...s, surcharges: s.surcharges.filter((x) => x.id !== id) }));
+
+  const smallInput = { ...baseInput, padding: "8px 10px", fontSize: 13 };
+
+  return (
+    <div>
+      <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>割増料金（曜日・祝日・開始時間帯）</label>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 8 }}>
+        <input placeholder="名称（例: 土日割増）" value={draft.label} onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))}
+          style={smallInput} />
+        <div style={{ display: "flex", gap: 4 }}>
+          {WEEK_ORDER.map((dow) => {
+            const on = draft.weekdays.includes(dow);
+            return (
+              <button key={dow} onClick={() => toggleWeekday(dow)}
+                style={{
+                  ...baseBtn, flex: 1, padding: "6px 0", fontSize: 12,
+                  background: on ? colors.accent : colors.card, color: on ? "#fff" : colors.sub,
+                  border: `1px solid ${on ? colors.accent : colors.border}`,
+                }}>
+                {DAYS_JP[dow]}
+              </button>
+            );
+          })}
+          <button onClick={() => setDraft((d) => ({ ...d, holidays: !d.holidays }))}
+            style={{
+              ...baseBtn, flex: 1, padding: "6px 0", fontSize: 12,
+              background: draft.holidays ? colors.accent : colors.card, color: draft.holidays ? "#fff" : colors.sub,
+              border: `1px solid ${draft.holidays ? colors.accent : colors.border}`,
+            }}>
+            祝
+          </button>
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="time" step={1800} value={draft.startTime}
+            onChange={(e) => setDraft((d) => ({ ...d, startTime: e.target.value }))} style={{ ...smallInput, flex: 1 }} />
+          <span style={{ color: colors.sub }}>〜</span>
+          <input type="time" step={1800} value={draft.endTime}
+            onChange={(e) => setDraft((d) => ({ ...d, endTime: e.target.value }))} style={{ ...smallInput, flex: 1 }} />
+          <input type="number" min={0} value={draft.amount}
+            onChange={(e) => setDraft((d) => ({ ...d, amount: Math.max(0, parseInt(e.target.value) || 0) }))}
+            style={{ ...smallInput, width: 80 }} />
+          <select value={draft.kind} onChange={(e) => setDraft((d) => ({ ...d, kind: e.target.value }))}
+            style={{ ...smallInput, width: "auto" }}>
+            {Object.entries(SURCHARGE_KINDS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <button onClick={addSurcharge} disabled={!valid}
+            style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, background: valid ? colors.accent : colors.border, color: "#fff", flexShrink: 0 }}>
+            追加
+          </button>
+        </div>
+        <span style={{ fontSize: 11, color: colors.muted }}>曜日も祝日も選ばなければ毎日、時間帯は予約の開始時刻で判定します。1名あたりの金額に加算します。</span>
+      </div>
+      {settings.surcharges.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {settings.surcharges.map((surcharge) => (
+            <span key={surcharge.id} style={{
+              display: "flex", justifyContent: "space-between", alignItems: "center",
+              padding: "4px 10px", borderRadius: 6, background: colors.warnLight, fontSize: 12, color: colors.text,
+            }}>
+              {describeSurcharge(surcharge)}
+              <button onClick={() => removeSurcharge(surcharge.id)}
+                style={{ background: "none", border: "none", color: colors.danger, cursor: "pointer", fontSize: 14, padding: 0, lineHeight: 1 }}>
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+const EMPTY_RESOURCE = { name: "", kind: "instructor", weekdays: [], startTime: "", endTime: "" };
+
+const describeResourceHours = (resource) => {
+  const parts = [];
+  if (resource.weekdays.length > 0) parts.push(WEEK_ORDER.filter((d) => resource.weekdays.includes(d)).map((d) => DAYS_JP[d]).join(""));
+  if (resource.startTime || resource.endTime) parts.push(`${resource.startTime || "開始"}〜${resource.endTime || "終了"}`);
+  return parts.length > 0 ? parts.join(" ") : "営業時間中";
+};
+
+function ResourceEditor({ settings, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_RESOURCE);
+  const [dayOff, setDayOff] = useState({});
+
+  const toggleWeekday = (dow) => setDraft((d) => ({
+    ...d, weekdays: d.weekdays.includes(dow) ? d.weekdays.filter((w) => w !== dow) : [...d.weekdays, dow],
+  }));
+
+  const valid = draft.name.trim() && (!draft.startTime || !draft.endTime || draft.startTime < draft.endTime);
+
+  const addResource = () => {
+    if (!valid) return;
+    onChange((s) => ({ ...s, resources: [...s.resources, { id: genId(), ...draft, name: draft.name.trim(), active: true, daysOff: [] }] }));
+    setDraft(EMPTY_RESOURCE);
+  };
+  const update = (id, patch) => onChange((s) => ({ ...s, resources: s.resources.map((r) => r.id === id ? { ...r, ...patch(r) } : r) }));
+  const removeResource = (id) => onChange((s) => ({ ...s, resources: s.resources.filter((r) => r.id !== id) }));
+  const addDayOff = (id) => {
+    const date = dayOff[id];
+    if (!date) return;
+    update(id, (r) => ({ daysOff: r.daysOff.includes(date) ? r.daysOff : [...r.daysOff, date].sort() }));
+    setDayOff((d) => ({ ...d, [id]: "" }));
+  };
+
+  const smallInput = { ...baseInput, padding: "8px 10px", fontSize: 13 };
+  const removeBtn = { background: "none", border: "none", color: colors.danger, cursor: "pointer", fontSize: 14, padding: 0, lineHeight: 1 };
+
+  return (
+    <div>
+      <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>リソース（指導員・レーン）</label>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6, marginBottom: 8 }}>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input placeholder="名前 *" value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+            style={{ ...smallInput, flex: 1 }} />
+          <select value={draft.kind} onChange={(e) => setDraft((d) => ({ ...d, kind: e.target.value }))}
+            style={{ ...smallInput, width: "auto" }}>
+            {Object.entries(RESOURCE_KINDS).map(([kind, label]) => <option key={kind} value={kind}>{label}</option>)}
+          </select>
+        </div>
+        <div style={{ display: "flex", gap: 4 }}>
+          {WEEK_ORDER.map((dow) => {
+            const on = draft.weekdays.includes(dow);
+            return (
+              <button key={dow} onClick={() => toggleWeekday(dow)}
+                style={{
+                  ...baseBtn, flex: 1, padding: "6px 0", fontSize: 12,
+                  background: on ? colors.accent : colors.card, color: on ? "#fff" : colors.sub,
+                  border: `1px solid ${on ? colors.accent : colors.border}`,
+                }}>
+                {DAYS_JP[dow]}
+              </button>
+            );
+          })}
+        </div>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <input type="time" step={1800} value={draft.startTime}
+            onChange={(e) => setDraft((d) => ({ ...d, startTime: e.target.value }))} style={{ ...smallInput, flex: 1 }} />
+          <span style={{ color: colors.sub }}>〜</span>
+          <input type="time" step={1800} value={draft.endTime}
+            onChange={(e) => setDraft((d) => ({ ...d, endTime: e.target.value }))} style={{ ...smallInput, flex: 1 }} />
+          <button onClick={addResource} disabled={!valid}
+            style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, background: valid ? colors.accent : colors.border, color: "#fff", flexShrink: 0 }}>
+            追加
+          </button>
+        </div>
+      </div>
+      {settings.resources.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+          {settings.resources.map((resource) => (
+            <div key={resource.id} style={{
+              padding: "6px 10px", borderRadius: 6, fontSize: 12, color: colors.text,
+              background: resource.active ? colors.accentLight : "#f5f0ea", display: "flex", flexDirection: "column", gap: 4,
+            }}>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <span style={{ fontWeight: 600 }}>{resource.name}</span>
+                <span style={{ color: colors.sub }}>{RESOURCE_KINDS[resource.kind] || resource.kind}・{describeResourceHours(resource)}</span>
+                <span style={{ flex: 1 }} />
+                <button onClick={() => update(resource.id, (r) => ({ active: !r.active }))}
+                  style={{
+                    ...baseBtn, padding: "3px 8px", fontSize: 11,
+                    background: resource.active ? colors.successLight : colors.dangerLight,
+                    color: resource.active ? colors.success : colors.danger,
+                  }}>
+                  {resource.active ? "稼働中" : "停止中"}
+                </button>
+                <button onClick={() => removeResource(resource.id)} style={removeBtn}>×</button>
+              </div>
+              <div style={{ display: "flex", gap: 4, flexWrap: "wrap", alignItems: "center" }}>
+                <span style={{ color: colors.sub }}>休み:</span>
+                {resource.daysOff.map((date) => (
+                  <span key={date} style={{ display: "inline-flex", gap: 4, alignItems: "center", padding: "2px 8px", borderRadius: 12, background: colors.card }}>
+                    {date}
+                    <button onClick={() => update(resource.id, (r) => ({ daysOff: r.daysOff.filter((d) => d !== date) }))} style={removeBtn}>×</button>
+                  </span>
+                ))}
+                <input type="date" value={dayOff[resource.id] || ""} onChange={(e) => setDayOff((d) => ({ ...d, [resource.id]: e.target.value }))}
+                  style={{ ...smallInput, padding: "3px 6px", fontSize: 12, width: "auto" }} />
+                <button onClick={() => addDayOff(resource.id)} disabled={!dayOff[resource.id]}
+                  style={{ ...baseBtn, padding: "3px 8px", fontSize: 11, background: dayOff[resource.id] ? colors.accent : colors.border, color: "#fff" }}>
+                  追加
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// National holidays between today and the end of the booking window, as [date, name].
+const holidaysInWindow = (months) => {
+  const start = new Date();
+  const end = new Date();
+  end.setMonth(end.getMonth() + months);
+  const [from, to] = [fmtDate(start), fmtDate(end)];
+  const list = [];
+  for (let y = start.getFullYear(); y <= end.getFullYear(); y++) list.push(...japaneseHolidays(y));
+  return list.filter(([date]) => date >= from && date <= to);
+};
+
+const EMPTY_CLOSURE = { name: "", from: "", to: "" };
+
+function ClosureEditor({ settings, onChange }) {
+  const [draft, setDraft] = useState(EMPTY_CLOSURE);
+
+  const valid = isValidMonthDay(draft.from) && isValidMonthDay(draft.to);
+
+  const addClosure = () => {
+    if (!valid) return;
+    onChange((s) => ({ ...s, recurringClosures: [...s.recurringClosures, { id: genId(), ...draft, name: draft.name.trim() }] }));
+    setDraft(EMPTY_CLOSURE);
+  };
+  const removeClosure = (id) => onChange((s) => ({ ...s, recurringClosures: s.recurringClosures.filter((c) => c.id !== id) }));
+
+  // Opening on a date that would otherwise be closed; undoing it closes the date again.
+  const toggleOpen = (date) => onChange((s) => ({
+    ...s, openDates: s.openDates.includes(date) ? s.openDates.filter((d) => d !== date) : [...s.openDates, date].sort(),
+  }));
+
+  const smallInput = { ...baseInput, padding: "8px 10px", fontSize: 13 };
+  const chip = {
+    display: "flex", justifyContent: "space-between", alignItems: "center",
+    padding: "4px 10px", borderRadius: 6, fontSize: 12, color: colors.text,
+  };
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 8 }}>
+      <label style={{ fontSize: 12, color: colors.sub, display: "flex", alignItems: "center", gap: 6 }}>
+        <input type="checkbox" checked={settings.autoHolidays}
+          onChange={(e) => onChange((s) => ({ ...s, autoHolidays: e.target.checked }))} />
+        祝日を自動で休業日にする
+      </label>
+      {settings.autoHolidays && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {holidaysInWindow(settings.calendarMonths).map(([date, name]) => {
+            const open = settings.openDates.includes(date);
+            return (
+              <span key={date} style={{ ...chip, background: open ? colors.successLight : colors.dangerLight }}>
+                {date}　{name}{open && "（営業）"}
+                <button onClick={() => toggleOpen(date)}
+                  style={{ ...baseBtn, padding: "2px 8px", fontSize: 11, background: colors.card, color: colors.sub, border: `1px solid ${colors.border}` }}>
+                  {open ? "休業に戻す" : "営業する"}
+                </button>
+              </span>
+            );
+          })}
+        </div>
+      )}
+
+      <label style={{ fontSize: 12, color: colors.sub, display: "block" }}>毎年の休業期間（月-日、例: 12-29〜01-03）</label>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input placeholder="名称（例: 年末年始）" value={draft.name}
+          onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} style={{ ...smallInput, flex: 1, minWidth: 0 }} />
+        <input placeholder="12-29" value={draft.from}
+          onChange={(e) => setDraft((d) => ({ ...d, from: e.target.value.trim() }))} style={{ ...smallInput, width: 64 }} />
+        <span style={{ color: colors.sub }}>〜</span>
+        <input placeholder="01-03" value={draft.to}
+          onChange={(e) => setDraft((d) => ({ ...d, to: e.target.value.trim() }))} style={{ ...smallInput, width: 64 }} />
+        <button onClick={addClosure} disabled={!valid}
+          style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, background: valid ? colors.accent : colors.border, color: "#fff", flexShrink: 0 }}>
+          追加
+        </button>
+      </div>
+      {settings.recurringClosures.length > 0 && (
+        <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+          {settings.recurringClosures.map((c) => (
+            <span key={c.id} style={{ ...chip, background: colors.warnLight }}>
+              {c.name || "休業期間"}　{c.from}〜{c.to}
+              <button onClick={() => removeClosure(c.id)}
+                style={{ background: "none", border: "none", color: colors.danger, cursor: "pointer", fontSize: 14, padding: 0, lineHeight: 1 }}>
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+
+      {settings.openDates.length > 0 && (
+        <>
+          <label style={{ fontSize: 12, color: colors.sub, display: "block" }}>臨時営業日（祝日・休業期間でも営業）</label>
+          <div style={{ display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {settings.openDates.map((d) => (
+              <span key={d} style={{ ...chip, gap: 4, display: "inline-flex", background: colors.successLight, color: colors.success }}>
+                {d}
+                <button onClick={() => toggleOpen(d)}
+                  style={{ background: "none", border: "none", color: colors.success, cursor: "pointer", fontSize: 14, padding: 0, lineHeight: 1 }}>
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function ProductEditor({ products, onSave }) {
+  const [local, setLocal] = useState(() => sortProducts(products));
+
+  const update = (id, patch) => setLocal((list) => list.map((p) => p.id === id ? { ...p, ...patch } : p));
+
+  const addProduct = () => {
+    const order = local.reduce((max, p) => Math.max(max, p.order), 0) + 1;
+    setLocal((list) => [...list, {
+      id: genId(), name: "", requiredSlots: 1, durationMin: 60,
+      description: "", order, price: 0, maxPartySize: 0, resourceKinds: [], active: true,
+    }]);
+  };
+
+  const valid = local.every((p) => p.name.trim() && p.durationMin > 0 && p.requiredSlots > 0);
+  const handleSave = () => {
+    if (!valid) return;
+    onSave(sortProducts(local.map((p) => ({ ...p, name: p.name.trim(), description: p.description.trim() }))));
+  };
+
+  const fieldLabel = { fontSize: 11, color: colors.sub, display: "block", marginBottom: 2 };
+
+  return (
+    <div style={{ background: "#f9f5ef", borderRadius: 10, padding: 18, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 12 }}>
+      {local.map((p) => (
+        <div key={p.id} style={{
+          padding: 12, borderRadius: 8, border: `1px solid ${colors.border}`,
+          background: p.active ? colors.card : "#f5f0ea", display: "flex", flexDirection: "column", gap: 8,
+        }}>
+          <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+            <input placeholder="商品名 *" value={p.name} onChange={(e) => update(p.id, { name: e.target.value })}
+              style={{ ...baseInput, flex: 1, padding: "8px 10px" }} />
+            <button onClick={() => update(p.id, { active: !p.active })}
+              style={{
+                ...baseBtn, padding: "7px 10px", fontSize: 11, flexShrink: 0,
+                background: p.active ? colors.successLight : colors.dangerLight,
+                color: p.active ? colors.success : colors.danger,
+              }}>
+              {p.active ? "受付中" : "停止中"}
+            </button>
+          </div>
+          <div style={{ display: "grid", gridTemplateColumns: "repeat(5, 1fr)", gap: 6 }}>
+            <div>
+              <label style={fieldLabel}>所要時間(分)</label>
+              <input type="number" min={1} step={15} value={p.durationMin}
+                onChange={(e) => update(p.id, { durationMin: parseInt(e.target.value) || 0 })}
+                style={{ ...baseInput, padding: "8px 10px" }} />
+            </div>
+            <div>
+              <label style={fieldLabel}>必要人数枠</label>
+              <input type="number" min={1} max={20} value={p.requiredSlots}
+                onChange={(e) => update(p.id, { requiredSlots: parseInt(e.target.value) || 0 })}
+                style={{ ...baseInput, padding: "8px 10px" }} />
+            </div>
+            <div>
+              <label style={fieldLabel} title="1回の予約で受け付ける最大人数。0 は同時利用上限まで">人数上限</label>
+              <input type="number" min={0} max={20} value={p.maxPartySize || 0}
+                onChange={(e) => update(p.id, { maxPartySize: Math.max(0, parseInt(e.target.value) || 0) })}
+                style={{ ...baseInput, padding: "8px 10px" }} />
+            </div>
+            <div>
+              <label style={fieldLabel}>料金(円)</label>
+              <input type="number" min={0} step={100} value={p.price}
+                onChange={(e) => update(p.id, { price: parseInt(e.target.value) || 0 })}
+                style={{ ...baseInput, padding: "8px 10px" }} />
+            </div>
+            <div>
+              <label style={fieldLabel}>表示順</label>
+              <input type="number" value={p.order}
+                onChange={(e) => update(p.id, { order: parseInt(e.target.value) || 0 })}
+                style={{ ...baseInput, padding: "8px 10px" }} />
+            </div>
+          </div>
+          <div style={{ display: "flex", gap: 6, alignItems: "center", fontSize: 12, color: colors.sub }}>
+            <span>必要なリソース:</span>
+            {Object.entries(RESOURCE_KINDS).map(([kind, label]) => {
+              const on = (p.resourceKinds || []).includes(kind);
+              return (
+                <button key={kind} onClick={() => update(p.id, { resourceKinds: on ? p.resourceKinds.filter((k) => k !== kind) : [...(p.resourceKinds || []), kind] })}
+                  style={{
+                    ...baseBtn, padding: "4px 10px", fontSize: 11,
+                    background: on ? colors.accent : colors.card, color: on ? "#fff" : colors.sub,
+                    border: `1px solid ${on ? colors.accent : colors.border}`,
+                  }}>
+                  {label}
+                </button>
+              );
+            })}
+          </div>
+          <textarea placeholder="説明（任意）" value={p.description} rows={2}
+            onChange={(e) => update(p.id, { description: e.target.value })}
+            style={{ ...baseInput, padding: "8px 10px", fontSize: 13, resize: "vertical" }} />
+        </div>
+      ))}
+      <button onClick={addProduct}
+        style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, background: colors.accent, color: "#fff" }}>
+        ＋ 商品を追加
+      </button>
+      <button onClick={handleSave} disabled={!valid}
+        style={{ ...baseBtn, background: valid ? colors.success : colors.border, color: "#fff", cursor: valid ? "pointer" : "default" }}>
+        商品を保存
+      </button>
+    </div>
+  );
+}
+
+const MIN_PASSCODE_LENGTH = 4;
+
+function AdminLogin({ onCheckConfigured, onLogin, onSetup }) {
+  const [configured, setConfigured] = useState(null);
+  const [passcode, setPasscode] = useState("");
+  const [confirm, setConfirm] = useState("");
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    onCheckConfigured().then(setConfigured).catch((e) => setError(e.message));
+  }, [onCheckConfigured]);
+
+  const setup = configured === false;
+  const valid = setup ? passcode.length >= MIN_PASSCODE_LENGTH && passcode === confirm : passcode.length > 0;
+
+  const handleSubmit = async () => {
+    if (!valid) return;
+    try {
+      await (setup ? onSetup(passcode) : onLogin(passcode));
+    } catch (e) {
+      setError(e.message);
+      setPasscode("");
+    }
+  };
+
+  if (configured === null && !error) {
+    return <p style={{ textAlign: "center", color: colors.muted, padding: 30, fontSize: 13 }}>読み込み中...</p>;
+  }
+
+  if (setup && API_BASE) {
+    return (
+      <p style={{ textAlign: "center", color: colors.sub, padding: 30, fontSize: 13, lineHeight: 1.7 }}>
+        管理パスコードが設定されていません。<br />サーバーの環境変数 ADMIN_PASSCODE を設定してください。
+      </p>
+    );
+  }
+
+  return (
+    <div style={{ background: colors.card, borderRadius: 12, padding: 20, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 12 }}>
+      <h3 style={{ margin: 0, color: colors.text, fontSize: 17 }}>{setup ? "管理パスコードの設定" : "管理者ログイン"}</h3>
+      {setup && (
+        <p style={{ margin: 0, fontSize: 12, color: colors.sub, lineHeight: 1.6 }}>
+          管理画面を保護するパスコードを設定してください（{MIN_PASSCODE_LENGTH}文字以上）。
+        </p>
+      )}
+      <input type="password" placeholder="パスコード" value={passcode} autoFocus
+        onChange={(e) => setPasscode(e.target.value)}
+        onKeyDown={(e) => e.key === "Enter" && !setup && handleSubmit()}
+        style={baseInput} />
+      {setup && (
+        <input type="password" placeholder="パスコード（確認）" value={confirm}
+          onChange={(e) => setConfirm(e.target.value)} style={baseInput} />
+      )}
+      {error && <p style={{ margin: 0, color: colors.danger, fontSize: 13 }}>{error}</p>}
+      <button onClick={handleSubmit} disabled={!valid}
+        style={{ ...baseBtn, color: "#fff", background: valid ? colors.accent : colors.border, cursor: valid ? "pointer" : "default" }}>
+        {setup ? "設定してログイン" : "ログイン"}
+      </button>
+    </div>
+  );
+}
+
+function PasscodeForm({ onChange }) {
+  const [current, setCurrent] = useState("");
+  const [next, setNext] = useState("");
+  const [confirm, setConfirm] = useState("");
+
+  const valid = current && next.length >= MIN_PASSCODE_LENGTH && next === confirm;
+
+  const handleChange = async () => {
+    if (!valid) return;
+    if (await onChange(next, current)) {
+      setCurrent("");
+      setNext("");
+      setConfirm("");
+    }
+  };
+
+  return (
+    <div>
+      <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>管理パスコードの変更</label>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        <input type="password" placeholder="現在のパスコード" value={current} onChange={(e) => setCurrent(e.target.value)}
+          style={{ ...baseInput, padding: "8px 10px", fontSize: 13 }} />
+        <input type="password" placeholder={`新しいパスコード（${MIN_PASSCODE_LENGTH}文字以上）`} value={next}
+          onChange={(e) => setNext(e.target.value)} style={{ ...baseInput, padding: "8px 10px", fontSize: 13 }} />
+        <input type="password" placeholder="新しいパスコード（確認）" value={confirm} onChange={(e) => setConfirm(e.target.value)}
+          style={{ ...baseInput, padding: "8px 10px", fontSize: 13 }} />
+        <button onClick={handleChange} disabled={!valid}
+          style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, color: "#fff", background: valid ? colors.accent : colors.border }}>
+          パスコードを変更
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function ImportReport({ title, result }) {
+  return (
+    <div style={{ fontSize: 12, color: colors.sub, lineHeight: 1.6 }}>
+      <div style={{ fontWeight: 600, color: colors.text }}>
+        {title}: {result.imported.length}件　エラー: {result.errors.length}件
+      </div>
+      {result.errors.length > 0 && (
+        <ul style={{ margin: "4px 0 0", paddingLeft: 18, maxHeight: 160, overflowY: "auto", color: colors.danger }}>
+          {result.errors.map((e) => <li key={`${e.row}-${e.message}`}>{e.row}行目: {e.message}</li>)}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Export works on the list AdminPanel already holds; import is previewed against it and then
+// validated again when saved, since the data may have changed in between.
+function CsvPanel({ reservations, products, settings, onImport }) {
+  const [dateFrom, setDateFrom] = useState("");
+  const [dateTo, setDateTo] = useState("");
+  const [statuses, setStatuses] = useState(Object.keys(STATUS_LABELS));
+  const [csv, setCsv] = useState(null);
+  const [preview, setPreview] = useState(null);
+  const [result, setResult] = useState(null);
+
+  const selected = filterReservations(reservations, { dateFrom, dateTo, statuses });
+
+  const toggleStatus = (status) => setStatuses((list) =>
+    list.includes(status) ? list.filter((s) => s !== status) : [...list, status]);
+
+  const stamp = () => fmtDate(new Date()).replace(/-/g, "");
+  const calendarEvents = selected.filter((r) => r.status !== "waitlisted");
+
+  const handleExport = () => downloadFile(`reservations-${stamp()}.csv`, reservationsToCsv(selected), "text/csv;charset=utf-8");
+  const handleExportIcs = () =>
+    downloadFile(`reservations-${stamp()}.ics`, reservationsToIcs(calendarEvents, settings), "text/calendar;charset=utf-8");
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    const text = await readTextFile(file);
+    setCsv(text);
+    setResult(null);
+    setPreview(importReservationsCsv(text, { reservations, products, settings, genId }));
+  };
+
+  const handleImport = async () => {
+    const imported = await onImport(csv);
+    if (!imported) return;
+    setResult(imported);
+    setCsv(null);
+    setPreview(null);
+  };
+
+  return (
+    <div style={{ background: "#f9f5ef", borderRadius: 10, padding: 18, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 14 }}>
+      <div>
+        <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>出力（CSV は Excel 対応）</label>
+        <div style={{ display: "flex", alignItems: "center", gap: 6, marginBottom: 8 }}>
+          <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} style={{ ...baseInput, flex: 1 }} />
+          <span style={{ color: colors.muted }}>〜</span>
+          <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} style={{ ...baseInput, flex: 1 }} />
+        </div>
+        <div style={{ display: "flex", gap: 12, marginBottom: 8, fontSize: 12, color: colors.sub }}>
+          {Object.entries(STATUS_LABELS).map(([status, label]) => (
+            <label key={status} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+              <input type="checkbox" checked={statuses.includes(status)} onChange={() => toggleStatus(status)} />
+              {label}
+            </label>
+          ))}
+        </div>
+        <button onClick={handleExport} disabled={selected.length === 0}
+          style={{
+            ...baseBtn, width: "100%", color: "#fff",
+            background: selected.length > 0 ? colors.accent : colors.border,
+            cursor: selected.length > 0 ? "pointer" : "default",
+          }}>
+          CSV（{selected.length}件）をダウンロード
+        </button>
+        <button onClick={handleExportIcs} disabled={calendarEvents.length === 0}
+          style={{
+            ...baseBtn, width: "100%", marginTop: 8,
+            background: calendarEvents.length > 0 ? colors.accentLight : colors.border,
+            color: calendarEvents.length > 0 ? colors.accent : "#fff",
+            cursor: calendarEvents.length > 0 ? "pointer" : "default",
+          }}>
+          📅 カレンダー（.ics・{calendarEvents.length}件）をダウンロード
+        </button>
+        <p style={{ margin: "6px 0 0", fontSize: 11, color: colors.muted, lineHeight: 1.6 }}>
+          カレンダーにはキャンセル待ちを含みません。キャンセル分は取消済みの予定として出力されます。
+        </p>
+      </div>
+
+      <div>
+        <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>CSV 取り込み</label>
+        <p style={{ margin: "0 0 8px", fontSize: 11, color: colors.muted, lineHeight: 1.6 }}>
+          出力した CSV と同じ見出しの列を読み込みます（日付・開始・商品ID・お名前・電話番号は必須）。
+          エラーのある行は取り込まれません。
+        </p>
+        <input type="file" accept=".csv,text/csv" onChange={handleFile} style={{ fontSize: 12, marginBottom: 8 }} />
+        {preview && (
+          <>
+            <ImportReport title="取り込み可能" result={preview} />
+            <button onClick={handleImport} disabled={preview.imported.length === 0}
+              style={{
+                ...baseBtn, width: "100%", marginTop: 8, color: "#fff",
+                background: preview.imported.length > 0 ? colors.success : colors.border,
+                cursor: preview.imported.length > 0 ? "pointer" : "default",
+              }}>
+              {preview.imported.length}件を取り込む
+            </button>
+          </>
+        )}
+        {result && <ImportReport title="取り込み済み" result={result} />}
+      </div>
+    </div>
+  );
+}
+
+// ─── Backup ───
+const DATA_LABELS = { [STORAGE_KEY]: "予約", [SETTINGS_KEY]: "設定", [PRODUCTS_KEY]: "商品", [AUDIT_KEY]: "変更履歴", [CUSTOMERS_KEY]: "顧客" };
+
+// A restore replaces everything, so the file is checked and summarised first and only applied
+// once confirmed. `onLoadQuarantine` resolves to the records set aside on load or restore.
+function BackupPanel({ onBackup, onRestore, onLoadQuarantine }) {
+  const [pending, setPending] = useState(null); // { backup, data, problems, exportedAt } or { error }
+  const [quarantine, setQuarantine] = useState([]);
+
+  useEffect(() => {
+    let live = true;
+    onLoadQuarantine().then((list) => { if (live && list) setQuarantine(list); });
+    return () => { live = false; };
+  }, []);
+
+  const stamp = () => fmtDate(new Date()).replace(/-/g, "");
+
+  const handleBackup = async () => {
+    const backup = await onBackup();
+    if (backup) downloadFile(`pick-backup-${stamp()}.json`, JSON.stringify(backup, null, 2), "application/json");
+  };
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const backup = JSON.parse(await readTextFile(file));
+      setPending({ backup, ...readBackup(backup) });
+    } catch (err) {
+      setPending({ error: err instanceof SyntaxError ? "JSON の形式が正しくありません" : err.message });
+    }
+  };
+
+  const handleRestore = async () => {
+    if (!(await onRestore(pending.backup))) return;
+    setPending(null);
+    setQuarantine((await onLoadQuarantine()) || quarantine);
+  };
+
+  const summary = pending?.data && summarizeData(pending.data);
+
+  return (
+    <div style={{ background: "#f9f5ef", borderRadius: 10, padding: 18, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 14 }}>
+      <div>
+        <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>バックアップ（予約・設定・商品・変更履歴）</label>
+        <button onClick={handleBackup} style={{ ...baseBtn, width: "100%", background: colors.accent, color: "#fff" }}>
+          バックアップ（.json）をダウンロード
+        </button>
+      </div>
+
+      <div>
+        <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>バックアップから復元</label>
+        <p style={{ margin: "0 0 8px", fontSize: 11, color: colors.muted, lineHeight: 1.6 }}>
+          現在のデータはすべて置き換えられます（変更履歴は残り、復元したことが記録されます）。古い形式のバックアップは自動で変換され、壊れたレコードは除外して保管されます。
+        </p>
+        <input type="file" accept=".json,application/json" onChange={handleFile} style={{ fontSize: 12, marginBottom: 8 }} />
+        {pending?.error && <p style={{ margin: 0, fontSize: 12, color: colors.danger }}>{pending.error}</p>}
+        {summary && (
+          <>
+            <div style={{ fontSize: 12, color: colors.sub, lineHeight: 1.6 }}>
+              {pending.exportedAt && <div>作成日時: {fmtStamp(pending.exportedAt)}</div>}
+              <div>予約 {summary.reservations}件・商品 {summary.products}件・変更履歴 {summary.audit}件・顧客 {summary.customers}件{summary.settings ? "・設定あり" : ""}</div>
+              {pending.problems.length > 0 && (
+                <div style={{ color: colors.danger }}>壊れたレコード {pending.problems.length}件は復元されません</div>
+              )}
+            </div>
+            <button onClick={handleRestore}
+              style={{ ...baseBtn, width: "100%", marginTop: 8, background: colors.danger, color: "#fff" }}>
+              この内容で復元する
+            </button>
+          </>
+        )}
+      </div>
+
+      {quarantine.length > 0 && (
+        <div>
+          <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>除外された破損データ（{quarantine.length}件）</label>
+          <ul style={{ margin: "0 0 8px", paddingLeft: 18, maxHeight: 160, overflowY: "auto", fontSize: 12, color: colors.danger, lineHeight: 1.6 }}>
+            {quarantine.map((q, i) => (
+              <li key={i}>
+                {fmtStamp(q.at)} {q.source === "restore" ? "復元時" : "読み込み時"}・{DATA_LABELS[q.key] || q.key}
+                {q.record?.code ? `（${q.record.code}）` : ""}: {q.errors.join("、")}
+              </li>
+            ))}
+          </ul>
+          <button onClick={() => downloadFile(`pick-quarantine-${stamp()}.json`, JSON.stringify(quarantine, null, 2), "application/json")}
+            style={{ ...baseBtn, width: "100%", background: colors.border, color: colors.sub }}>
+            破損データ（.json）をダウンロード
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Attendance ───
+const STATUS_ACTIONS = { checked_in: "来店", completed: "完了", no_show: "無断" };
+const isUndo = (from, to) => to === "confirmed" || (from === "completed" && to === "checked_in");
+
+// Buttons for the status changes allowed from the reservation's current status, shown from the
+// day of the booking onwards.
+function AttendanceButtons({ reservation, onStatusChange }) {
+  if (reservation.date > fmtDate(new Date())) return null;
+  return ["checked_in", "completed", "no_show", "confirmed"]
+    .filter((status) => canChangeStatus(reservation, status))
+    .map((status) => {
+      const undo = isUndo(reservation.status, status);
+      return (
+        <button key={status} onClick={() => onStatusChange(reservation.id, status)}
+          style={{
+            ...baseBtn, padding: "5px 10px", fontSize: 11,
+            background: undo ? colors.border : status === "no_show" ? colors.dangerLight : colors.successLight,
+            color: undo ? colors.sub : status === "no_show" ? colors.danger : colors.success,
+          }}>
+          {undo ? "戻す" : STATUS_ACTIONS[status]}
+        </button>
+      );
+    });
+}
+
+function StatusBadge({ status }) {
+  return (
+    <span style={{ fontSize: 10, fontWeight: 700, color: statusColors[status], border: `1px solid ${statusColors[status]}`, borderRadius: 4, padding: "0 4px", marginLeft: 6 }}>
+      {STATUS_LABELS[status]}
+    </span>
+  );
+}
+
+// ─── Day timeline ───
+const TIMELINE_ROW_PX = 30;
+
+// Places each reservation in the leftmost run of slotUsage() columns that is free for all of
+// its rows, one column per unit of capacity. Overbooked rows simply push blocks past the capacity.
+const assignColumns = (blocks) => {
+  const taken = []; // taken[row] = Set of used columns
+  return blocks.map((b) => {
+    let col = 0;
+    const fits = (c) => {
+      for (let row = b.startRow; row < b.endRow; row++) {
+        for (let k = c; k < c + b.span; k++) if (taken[row]?.has(k)) return false;
+      }
+      return true;
+    };
+    while (!fits(col)) col++;
+    for (let row = b.startRow; row < b.endRow; row++) {
+      taken[row] = taken[row] || new Set();
+      for (let k = col; k < col + b.span; k++) taken[row].add(k);
+    }
+    return { ...b, col };
+  });
+};
+
+function DayTimeline({ reservations, settings, onStatusChange }) {
+  const [date, setDate] = useState(fmtDate(new Date()));
+  const [selectedId, setSelectedId] = useState(null);
+
+  const shiftDay = (days) => {
+    const d = parseDate(date);
+    d.setDate(d.getDate() + days);
+    setDate(fmtDate(d));
+  };
+
+  const day = reservations
+    .filter((r) => r.date === date && occupiesSlot(r))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime) || slotUsage(b) - slotUsage(a));
+  const count = (status) => reservations.filter((r) => r.date === date && r.status === status).length;
+  const selected = day.find((r) => r.id === selectedId) || reservations.find((r) => r.id === selectedId && r.date === date);
+  const slots = generateTimeSlots(settings, date);
+
+  const closure = getClosure(date, settings);
+  const rows = slots.map((slot) => {
+    const capacity = getSlotCapacity(date, slot.label, settings);
+    const occupancy = getSlotOccupancy(date, slot.label, day);
+    return { ...slot, capacity, occupancy };
+  });
+
+  // Rows are slot-sized; a booking that starts or ends between slots covers every slot it touches.
+  const firstMin = slots.length > 0 ? slots[0].hour * 60 + slots[0].min : 0;
+  const rowOf = (time) => (timeToMinutes(time) - firstMin) / settings.slotIntervalMin;
+  const blocks = assignColumns(day
+    .map((r) => ({
+      reservation: r, span: slotUsage(r),
+      startRow: Math.max(0, Math.floor(rowOf(r.startTime))),
+      endRow: Math.min(rows.length, Math.ceil(rowOf(r.endTime))),
+    }))
+    .filter((b) => b.endRow > b.startRow));
+  const columns = Math.max(settings.maxCapacity, ...rows.map((r) => r.capacity), ...blocks.map((b) => b.col + b.span));
+
+  return (
+    <div className="print-area" style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <div className="no-print" style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <button onClick={() => shiftDay(-1)}
+          style={{ ...baseBtn, padding: "8px 12px", fontSize: 12, background: colors.border, color: colors.sub }}>◀</button>
+        <input type="date" value={date} onChange={(e) => e.target.value && setDate(e.target.value)}
+          style={{ ...baseInput, flex: 1, padding: "8px 10px" }} />
+        <button onClick={() => shiftDay(1)}
+          style={{ ...baseBtn, padding: "8px 12px", fontSize: 12, background: colors.border, color: colors.sub }}>▶</button>
+        <button onClick={() => window.print()}
+          style={{ ...baseBtn, padding: "8px 12px", fontSize: 12, background: colors.accent, color: "#fff" }}>🖨 印刷</button>
+      </div>
+
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "baseline" }}>
+        <h4 style={{ margin: 0, fontSize: 15, color: colors.text }}>
+          {date}（{DAYS_JP[parseDate(date).getDay()]}）　{settings.warehouseName}
+        </h4>
+        <span style={{ fontSize: 12, color: colors.sub }}>
+          予約 {day.length}件
+          {count("checked_in") + count("completed") > 0 && `　来店 ${count("checked_in") + count("completed")}件`}
+          {count("no_show") > 0 && `　無断 ${count("no_show")}件`}
+          {count("waitlisted") > 0 && `　キャンセル待ち ${count("waitlisted")}件`}
+        </span>
+      </div>
+
+      {rows.length === 0 ? (
+        <p style={{ textAlign: "center", color: colors.muted, padding: 20, fontSize: 13 }}>
+          休業日です{closure && closure !== "休業日" && `（${closure}）`}
+          {day.length > 0 && `（${day.length}件の予約があります）`}
+        </p>
+      ) : (
+        <div style={{
+          display: "grid",
+          gridTemplateColumns: `44px 44px repeat(${columns}, minmax(0, 1fr))`,
+          gridTemplateRows: `repeat(${rows.length}, ${TIMELINE_ROW_PX}px)`,
+          border: `1px solid ${colors.border}`, borderRadius: 8, overflow: "hidden", background: colors.card, fontSize: 11,
+        }}>
+          {rows.map((row, i) => {
+            const over = row.occupancy > row.capacity;
+            const rowStyle = { gridRow: i + 1, borderTop: i > 0 ? `1px solid ${colors.border}` : "none" };
+            return [
+              <div key={`t${i}`} style={{ ...rowStyle, gridColumn: 1, padding: "0 4px", color: colors.sub, fontVariantNumeric: "tabular-nums", lineHeight: `${TIMELINE_ROW_PX}px` }}>
+                {row.label}
+              </div>,
+              <div key={`o${i}`} style={{
+                ...rowStyle, gridColumn: 2, textAlign: "center", lineHeight: `${TIMELINE_ROW_PX}px`, fontWeight: 600,
+                fontVariantNumeric: "tabular-nums",
+                background: over ? colors.danger : row.occupancy === row.capacity ? colors.warnLight : "transparent",
+                color: over ? "#fff" : row.occupancy === 0 ? colors.muted : colors.text,
+              }}>
+                {row.occupancy}/{row.capacity}
+              </div>,
+              // Columns beyond this slot's capacity are shaded; a block drawn there is an overbooking.
+              <div key={`c${i}`} style={{
+                ...rowStyle, gridColumn: `${3 + row.capacity} / ${3 + columns}`,
+                display: row.capacity < columns ? "block" : "none",
+                background: over ? colors.dangerLight : "#eee6da",
+              }} />,
+            ];
+          })}
+          {blocks.map(({ reservation: r, startRow, endRow, col, span }) => (
+            <div key={r.id} title={`${r.startTime}〜${r.endTime} ${r.productName}${partyLabel(r)} ${r.name || ""}${resourceLabel(r)}`}
+              onClick={() => setSelectedId(r.id === selectedId ? null : r.id)} style={{
+                gridRow: `${startRow + 1} / ${endRow + 1}`, gridColumn: `${3 + col} / span ${span}`,
+                margin: 2, padding: "2px 4px", borderRadius: 4, overflow: "hidden", lineHeight: 1.3, cursor: "pointer",
+                background: r.status === "confirmed" ? colors.accentLight : r.status === "checked_in" ? colors.successLight : "#eee6da",
+                border: `${r.id === selectedId ? 2 : 1}px solid ${r.status === "confirmed" ? colors.accent : statusColors[r.status]}`,
+                color: colors.text,
+              }}>
+              <div style={{ fontWeight: 600, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{r.name || r.code}</div>
+              <div style={{ color: colors.sub, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>
+                {r.startTime}〜{r.endTime} {r.productName}{partyLabel(r)}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {count("no_show") > 0 && (
+        <div className="no-print" style={{ display: "flex", flexWrap: "wrap", gap: 6, fontSize: 11, color: colors.sub }}>
+          無断キャンセル:
+          {reservations.filter((r) => r.date === date && r.status === "no_show").map((r) => (
+            <button key={r.id} onClick={() => setSelectedId(r.id)}
+              style={{ ...baseBtn, padding: "2px 8px", fontSize: 11, background: colors.dangerLight, color: colors.danger }}>
+              {r.startTime} {r.name || r.code}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {selected && (
+        <div className="no-print" style={{
+          display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8,
+          padding: "10px 14px", borderRadius: 8, border: `1px solid ${colors.border}`, background: colors.card, fontSize: 12,
+        }}>
+          <div style={{ lineHeight: 1.6 }}>
+            <span style={{ fontWeight: 600, color: colors.text }}>{selected.startTime}〜{selected.endTime}</span>
+            <StatusBadge status={selected.status} />
+            <br />
+            <span style={{ color: colors.muted }}>{selected.productName}{partyLabel(selected)}　{selected.name}　{selected.phone}{resourceLabel(selected)}</span>
+          </div>
+          <div style={{ display: "flex", gap: 6, flexShrink: 0 }}>
+            <AttendanceButtons reservation={selected} onStatusChange={onStatusChange} />
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// ─── Analytics ───
+const fmtPercent = (r) => `${Math.round(r * 100)}%`;
+
+const analyticsPresets = () => {
+  const today = new Date();
+  const y = today.getFullYear(), m = today.getMonth();
+  const offset = (days) => { const d = new Date(today); d.setDate(d.getDate() + days); return fmtDate(d); };
+  return [
+    ["今月", fmtDate(new Date(y, m, 1)), fmtDate(new Date(y, m + 1, 0))],
+    ["先月", fmtDate(new Date(y, m - 1, 1)), fmtDate(new Date(y, m, 0))],
+    ["過去30日", offset(-29), offset(0)],
+    ["今後30日", offset(0), offset(29)],
+  ];
+};
+
+// Horizontal bars; `value` is 0–1 of the bar width, `text` is printed beside it.
+function BarList({ items }) {
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
+      {items.map((item) => (
+        <div key={item.label} style={{ display: "grid", gridTemplateColumns: "72px 1fr 64px", alignItems: "center", gap: 6, fontSize: 11 }}>
+          <span style={{ color: colors.sub, whiteSpace: "nowrap", overflow: "hidden", textOverflow: "ellipsis" }}>{item.label}</span>
+          <div style={{ height: 12, borderRadius: 3, background: "#f0e8dd", overflow: "hidden" }}>
+            <div style={{ width: `${Math.min(100, item.value * 100)}%`, height: "100%", background: item.color || colors.accent }} />
+          </div>
+          <span style={{ color: colors.text, textAlign: "right", fontVariantNumeric: "tabular-nums" }}>{item.text}</span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function DayColumns({ days }) {
+  return (
+    <div style={{ display: "flex", alignItems: "flex-end", gap: 1, height: 80, borderBottom: `1px solid ${colors.border}` }}>
+      {days.map((d) => (
+        <div key={d.date} title={`${d.date} ${d.capacity > 0 ? fmtPercent(d.utilization) : "休業"}`}
+          style={{
+            flex: 1, minWidth: 1, height: d.capacity > 0 ? `${Math.max(2, d.utilization * 100)}%` : "100%",
+            background: d.capacity > 0 ? colors.accent : "#f0e8dd", opacity: d.capacity > 0 ? 1 : 0.6,
+          }} />
+      ))}
+    </div>
+  );
+}
+
+function AnalyticsPanel({ reservations, settings }) {
+  const presets = analyticsPresets();
+  const [dateFrom, setDateFrom] = useState(presets[0][1]);
+  const [dateTo, setDateTo] = useState(presets[0][2]);
+
+  const valid = dateFrom && dateTo && dateFrom <= dateTo;
+  const stats = valid ? computeAnalytics(reservations, settings, { dateFrom, dateTo }) : null;
+  const section = (title, children) => (
+    <div>
+      <h5 style={{ margin: "0 0 6px", fontSize: 12, color: colors.sub }}>{title}</h5>
+      {children}
+    </div>
+  );
+  const summary = (label, value, note) => (
+    <div style={{ flex: 1, padding: "8px 10px", borderRadius: 8, background: colors.card, border: `1px solid ${colors.border}` }}>
+      <div style={{ fontSize: 10, color: colors.muted }}>{label}</div>
+      <div style={{ fontSize: 17, fontWeight: 700, color: colors.text }}>{value}</div>
+      {note && <div style={{ fontSize: 10, color: colors.muted }}>{note}</div>}
+    </div>
+  );
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 14 }}>
+      <div>
+        <div style={{ display: "flex", gap: 6, marginBottom: 6 }}>
+          {presets.map(([label, from, to]) => (
+            <button key={label} onClick={() => { setDateFrom(from); setDateTo(to); }}
+              style={{
+                ...baseBtn, flex: 1, padding: "6px 0", fontSize: 11,
+                background: dateFrom === from && dateTo === to ? colors.accent : colors.border,
+                color: dateFrom === from && dateTo === to ? "#fff" : colors.sub,
+              }}>
+              {label}
+            </button>
+          ))}
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <input type="date" value={dateFrom} onChange={(e) => setDateFrom(e.target.value)} style={{ ...baseInput, flex: 1, padding: "8px 10px" }} />
+          <span style={{ color: colors.muted }}>〜</span>
+          <input type="date" value={dateTo} onChange={(e) => setDateTo(e.target.value)} style={{ ...baseInput, flex: 1, padding: "8px 10px" }} />
+        </div>
+      </div>
+
+      {!stats ? (
+        <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>期間を正しく指定してください</p>
+      ) : (
+        <>
+          <div style={{ display: "flex", gap: 6 }}>
+            {summary("稼働率", fmtPercent(stats.utilization))}
+            {summary("予約", `${stats.bookings}件`)}
+            {summary("キャンセル率", fmtPercent(stats.cancellationRate), `${stats.cancelled}件`)}
+            {summary("無断率", fmtPercent(stats.noShowRate), `${stats.noShows}件`)}
+          </div>
+
+          {section("日別稼働率", <DayColumns days={stats.byDay} />)}
+
+          {section("曜日別稼働率", <BarList items={WEEK_ORDER.map((w) => stats.byWeekday[w]).map((w) => ({
+            label: DAYS_JP[w.weekday], value: w.utilization, text: w.capacity > 0 ? fmtPercent(w.utilization) : "休業",
+          }))} />)}
+
+          {section("時間帯別稼働率", <BarList items={stats.byHour.map((h) => ({
+            label: `${h.hour}時台`, value: h.utilization, text: fmtPercent(h.utilization),
+          }))} />)}
+
+          {section("商品別予約数", stats.byProduct.length === 0
+            ? <p style={{ margin: 0, fontSize: 12, color: colors.muted }}>予約はありません</p>
+            : <BarList items={stats.byProduct.map((p) => ({
+              label: p.productName, value: p.bookings / stats.byProduct[0].bookings,
+              text: `${p.bookings}件${p.cancelled > 0 ? `（取消${p.cancelled}）` : ""}`,
+            }))} />)}
+
+          {section(`予約のリードタイム（平均 ${stats.leadTime.average.toFixed(1)}日・中央値 ${stats.leadTime.median}日）`, (
+            <BarList items={stats.leadTime.buckets.map((b) => ({
+              label: b.label, value: b.count / Math.max(1, ...stats.leadTime.buckets.map((x) => x.count)), text: `${b.count}件`,
+              color: colors.success,
+            }))} />
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
+
+// ─── Audit log ───
+const AUDIT_FIELDS = {
+  status: "状態", date: "日付", startTime: "開始", endTime: "終了", productName: "商品", partySize: "人数",
+  price: "料金", name: "お名前", phone: "電話番号", email: "メール", note: "備考",
+};
+// Product fields, for catalog changes; "product" is a product being added or removed.
+const PRODUCT_AUDIT_FIELDS = {
+  product: "商品", name: "商品名", price: "料金", requiredSlots: "使用枠数", durationMin: "所要時間", description: "説明",
+  order: "表示順", maxPartySize: "最大人数", resourceKinds: "必要なリソース", active: "受付",
+};
+const AUDIT_PAGE = 50;
+const EMPTY_AUDIT_FILTERS = { action: "", actor: "", dateFrom: "", dateTo: "", query: "" };
+
+const fmtAuditValue = (key, v) => {
+  if (v === undefined || v === null || v === "") return "（なし）";
+  if (key === "status") return STATUS_LABELS[v] || v;
+  if (key === "price") return fmtYen(v);
+  if (typeof v === "boolean") return v ? "はい" : "いいえ";
+  return typeof v === "object" ? JSON.stringify(v) : String(v);
+};
+
+// `onLoad` resolves to the log (newest first) or null; it is reloaded whenever the data changes.
+function AuditPanel({ reservations, settings, onLoad, onRestore }) {
+  const [log, setLog] = useState(null);
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS);
+  const [limit, setLimit] = useState(AUDIT_PAGE);
+
+  useEffect(() => {
+    let live = true;
+    onLoad().then((entries) => { if (live) setLog(entries || []); });
+    return () => { live = false; };
+  }, [reservations, settings]);
+
+  if (!log) return <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>読み込み中...</p>;
+
+  const entries = filterAuditLog(log, filters);
+  const setFilter = (key) => (e) => { setFilters((f) => ({ ...f, [key]: e.target.value })); setLimit(AUDIT_PAGE); };
+  const smallInput = { ...baseInput, padding: "8px 10px", fontSize: 13 };
+  const statusOf = (id) => reservations.find((r) => r.id === id)?.status;
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+        <div style={{ display: "flex", gap: 6 }}>
+          <select value={filters.action} onChange={setFilter("action")} style={{ ...smallInput, flex: 1 }}>
+            <option value="">すべての操作</option>
+            {Object.entries(AUDIT_ACTIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+          <select value={filters.actor} onChange={setFilter("actor")} style={{ ...smallInput, flex: 1 }}>
+            <option value="">すべての実行者</option>
+            {Object.entries(AUDIT_ACTORS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+          </select>
+        </div>
+        <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          <input type="date" value={filters.dateFrom} onChange={setFilter("dateFrom")} style={{ ...smallInput, flex: 1 }} />
+          <span style={{ color: colors.muted }}>〜</span>
+          <input type="date" value={filters.dateTo} onChange={setFilter("dateTo")} style={{ ...smallInput, flex: 1 }} />
+        </div>
+        <input placeholder="予約番号・お名前・電話番号" value={filters.query} onChange={setFilter("query")} style={smallInput} />
+      </div>
+
+      <h4 style={{ margin: 0, fontSize: 13, color: colors.sub }}>変更履歴（{entries.length}件）</h4>
+      {entries.length === 0 && <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>該当する履歴はありません</p>}
+      {entries.slice(0, limit).map((e) => {
+        const r = e.after || e.before;
+        const changes = e.action === "settings" || e.action === "products" ? e.changes
+          : e.action === "create" || e.action === "backup" ? [] : auditDiff(e);
+        return (
+          <div key={e.id} style={{ padding: "8px 12px", borderRadius: 8, background: colors.card, border: `1px solid ${colors.border}`, fontSize: 12 }}>
+            <div style={{ display: "flex", alignItems: "center", gap: 6, color: colors.sub }}>
+              <span>{fmtStamp(e.at)}</span>
+              <span style={{ fontSize: 10, borderRadius: 4, padding: "0 4px", background: e.actor === "admin" ? colors.accentLight : colors.border }}>
+                {AUDIT_ACTORS[e.actor] || e.actor}
+              </span>
+              <strong style={{ color: e.action === "cancel" ? colors.danger : colors.text }}>{AUDIT_ACTIONS[e.action] || e.action}</strong>
+              {e.code && <span style={{ marginLeft: "auto", fontFamily: "monospace" }}>{e.code}</span>}
+            </div>
+            {r && (
+              <div style={{ color: colors.text, marginTop: 2 }}>
+                {r.date} {r.startTime}〜{r.endTime} {r.productName}{partyLabel(r)}　{r.name}
+              </div>
+            )}
+            {e.action === "backup" && (
+              <div style={{ color: colors.text, marginTop: 2 }}>
+                {e.exportedAt ? `${fmtStamp(e.exportedAt)} 時点` : "作成日時不明"}のバックアップ
+                （予約 {e.summary.reservations}件・商品 {e.summary.products}件・顧客 {e.summary.customers}件）
+              </div>
+            )}
+            {changes.map((c) => (
+              <div key={`${c.productId || ""}:${c.key}`} style={{ color: colors.sub, marginTop: 2 }}>
+                {e.action === "products" ? `${c.name}・${PRODUCT_AUDIT_FIELDS[c.key] || c.key}` : AUDIT_FIELDS[c.key] || c.key}:{" "}
+                {fmtAuditValue(c.key, c.before)} → {fmtAuditValue(c.key, c.after)}
+              </div>
+            ))}
+            {e.action === "cancel" && statusOf(e.reservationId) === "cancelled" && (
+              <button onClick={() => onRestore(e.id)}
+                style={{ ...baseBtn, marginTop: 6, padding: "4px 12px", fontSize: 11, background: colors.success, color: "#fff" }}>
+                この予約を復元
+              </button>
+            )}
+          </div>
+        );
+      })}
+      {entries.length > limit && (
+        <button onClick={() => setLimit((n) => n + AUDIT_PAGE)}
+          style={{ ...baseBtn, padding: "8px 0", fontSize: 12, background: colors.border, color: colors.sub }}>
+          さらに表示（残り{entries.length - limit}件）
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ─── Customers ───
+const CUSTOMER_PAGE = 50;
+
+// Client rates as form values: product id → the rate as text, "" for the list price.
+const ratesDraft = (products, customer) => Object.fromEntries(products.map((p) => [p.id, String(customer.rates?.[p.id] ?? "")]));
+
+// Registry list and per-customer page: history, staff note and merging of duplicate records.
+// `focusPhone` opens the customer holding that number.
+function CustomerPanel({ reservations, products, focusPhone, onLoad, onSave, onMerge }) {
+  const [customers, setCustomers] = useState(null);
+  const [query, setQuery] = useState("");
+  const [limit, setLimit] = useState(CUSTOMER_PAGE);
+  const [selectedId, setSelectedId] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [mergePhone, setMergePhone] = useState("");
+  const [merging, setMerging] = useState(null); // the record about to be folded into the selected one
+
+  useEffect(() => {
+    let live = true;
+    onLoad().then((list) => { if (live) setCustomers(list || []); });
+    return () => { live = false; };
+  }, [reservations]);
+
+  const loaded = customers !== null;
+  useEffect(() => {
+    if (loaded && focusPhone) setSelectedId(findCustomer(customers, focusPhone)?.id || null);
+  }, [loaded, focusPhone]);
+
+  const selected = customers?.find((c) => c.id === selectedId) || null;
+  useEffect(() => {
+    setDraft(selected && { name: selected.name, email: selected.email, note: selected.note, rates: ratesDraft(products, selected) });
+    setMergePhone("");
+    setMerging(null);
+  }, [selectedId, customers]);
+
+  const histories = useMemo(() => customers && customerHistories(customers, reservations), [customers, reservations]);
+
+  if (!customers) return <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>読み込み中...</p>;
+
+  const today = fmtDate(new Date());
+  const smallInput = { ...baseInput, padding: "8px 10px", fontSize: 13 };
+  const reload = async () => {
+    const list = await onLoad();
+    if (list) setCustomers(list);
+  };
+  const handleSave = async () => { if (await onSave(selected.id, draft)) await reload(); };
+  const handleMerge = async () => { if (await onMerge(selected.id, merging.id)) await reload(); };
+  const mergeTarget = mergePhone.trim() && findCustomer(customers, mergePhone);
+
+  if (selected && draft) {
+    const history = histories.get(selected.id) || [];
+    const summary = summarizeHistory(history, today);
+    const duplicates = findDuplicates(customers, selected);
+    const changed = draft.name !== selected.name || draft.email !== selected.email || draft.note !== selected.note
+      || products.some((p) => draft.rates[p.id] !== ratesDraft(products, selected)[p.id]);
+    return (
+      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        <button onClick={() => setSelectedId(null)}
+          style={{ ...baseBtn, alignSelf: "flex-start", padding: "6px 12px", fontSize: 12, background: colors.border, color: colors.sub }}>
+          ← 顧客一覧
+        </button>
+        <div style={{ padding: 14, borderRadius: 10, background: colors.card, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 8 }}>
+          <div style={{ fontSize: 12, color: colors.sub }}>
+            📞 {selected.phones.map(formatPhone).join("・")}
+            <span style={{ marginLeft: 8, color: colors.muted }}>登録 {fmtDate(new Date(selected.createdAt))}</span>
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <input placeholder="お名前 *" value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))}
+              style={{ ...smallInput, flex: 1 }} />
+            <input placeholder="メールアドレス" value={draft.email} onChange={(e) => setDraft((d) => ({ ...d, email: e.target.value }))}
+              type="email" style={{ ...smallInput, flex: 1 }} />
+          </div>
+          <textarea placeholder="スタッフメモ（お客様には表示されません）" value={draft.note} rows={3}
+            onChange={(e) => setDraft((d) => ({ ...d, note: e.target.value }))}
+            style={{ ...smallInput, resize: "vertical" }} />
+          <div style={{ display: "flex", flexDirection: "column", gap: 4, fontSize: 12, color: colors.sub }}>
+            <span>特別料金（1名あたり・税込／空欄は通常料金）</span>
+            {sortProducts(products).map((p) => (
+              <div key={p.id} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+                <span style={{ flex: 1 }}>{p.name}</span>
+                <span style={{ color: colors.muted }}>通常 {fmtYen(p.price)}</span>
+                <input type="number" min={0} placeholder="—" value={draft.rates[p.id]}
+                  onChange={(e) => setDraft((d) => ({ ...d, rates: { ...d.rates, [p.id]: e.target.value } }))}
+                  style={{ ...smallInput, width: 100 }} />
+              </div>
+            ))}
+          </div>
+          <button onClick={handleSave} disabled={!changed || !draft.name.trim()}
+            style={{
+              ...baseBtn, padding: "8px 0", fontSize: 12, color: "#fff",
+              background: changed && draft.name.trim() ? colors.success : colors.border,
+            }}>
+            保存
+          </button>
+        </div>
+
+        <div style={{ fontSize: 12, color: colors.sub }}>
+          予約 {summary.total}件・来店 {summary.visits}回・今後 {summary.upcoming}件・キャンセル {summary.cancellations}件
+          {summary.noShows > 0 && <span style={{ color: colors.danger, fontWeight: 600 }}>・⚠ 無断{summary.noShows}回</span>}
+          {summary.lastVisit && `・最終利用 ${summary.lastVisit}`}
+        </div>
+
+        <div style={{ padding: 12, borderRadius: 8, background: "#f9f5ef", border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 6, fontSize: 12 }}>
+          <span style={{ color: colors.sub }}>重複の統合（統合した側の電話番号と予約はこのお客様に移ります）</span>
+          {duplicates.map((c) => (
+            <div key={c.id} style={{ display: "flex", alignItems: "center", gap: 8 }}>
+              <span style={{ flex: 1 }}>同名・同メールの候補: {c.name}　{c.phones.map(formatPhone).join("・")}</span>
+              <button onClick={() => setMerging(c)}
+                style={{ ...baseBtn, padding: "4px 10px", fontSize: 11, background: colors.accent, color: "#fff" }}>統合</button>
+            </div>
+          ))}
+          <div style={{ display: "flex", alignItems: "center", gap: 6 }}>
+            <input placeholder="統合するお客様の電話番号" value={mergePhone} onChange={(e) => setMergePhone(e.target.value)}
+              type="tel" style={{ ...smallInput, flex: 1 }} />
+            <button onClick={() => mergeTarget && mergeTarget.id !== selected.id && setMerging(mergeTarget)}
+              disabled={!mergeTarget || mergeTarget.id === selected.id}
+              style={{ ...baseBtn, padding: "8px 14px", fontSize: 12, color: "#fff", background: mergeTarget && mergeTarget.id !== selected.id ? colors.accent : colors.border }}>
+              統合
+            </button>
+          </div>
+          {mergePhone.trim() && (
+            <span style={{ color: mergeTarget && mergeTarget.id !== selected.id ? colors.text : colors.muted }}>
+              {!mergeTarget ? "該当するお客様はいません" : mergeTarget.id === selected.id ? "このお客様の番号です" : `→ ${mergeTarget.name}`}
+            </span>
+          )}
+          {merging && (
+            <div style={{ padding: 10, borderRadius: 8, background: colors.dangerLight, color: colors.text, lineHeight: 1.6 }}>
+              「{merging.name}」（{merging.phones.map(formatPhone).join("・")}）を「{selected.name}」に統合します。元に戻すことはできません。
+              <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+                <button onClick={() => setMerging(null)}
+                  style={{ ...baseBtn, flex: 1, padding: "6px 0", fontSize: 12, background: colors.border, color: colors.sub }}>やめる</button>
+                <button onClick={handleMerge}
+                  style={{ ...baseBtn, flex: 2, padding: "6px 0", fontSize: 12, background: colors.danger, color: "#fff" }}>統合する</button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <h4 style={{ margin: 0, fontSize: 13, color: colors.sub }}>予約履歴（{history.length}件）</h4>
+        {history.length === 0 && <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>予約はありません</p>}
+        {history.map((r) => (
+          <div key={r.id} style={{
+            padding: "8px 12px", borderRadius: 8, border: `1px solid ${colors.border}`, fontSize: 12,
+            background: r.date < today ? "#f5f0ea" : colors.card, color: colors.text,
+          }}>
+            <span style={{ fontWeight: 600 }}>{r.date}</span>
+            <span style={{ color: colors.sub, margin: "0 6px" }}>{r.startTime}〜{r.endTime}</span>
+            {r.productName}{partyLabel(r)}{priceLabel(r)}
+            <StatusBadge status={r.status} />
+            {r.code && <span style={{ color: colors.muted, fontSize: 11, letterSpacing: 1, marginLeft: 6 }}>{r.code}</span>}
+            {r.note && <div style={{ color: colors.muted, marginTop: 2 }}>備考: {r.note}</div>}
+          </div>
+        ))}
+      </div>
+    );
+  }
+
+  // Most recent booking first; customers without any are listed last.
+  const matches = searchCustomers(customers, query)
+    .map((c) => ({ customer: c, history: histories.get(c.id) || [] }))
+    .sort((a, b) => (b.history[0]?.date || "").localeCompare(a.history[0]?.date || ""));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <input placeholder="お名前・電話番号・メール" value={query} onChange={(e) => { setQuery(e.target.value); setLimit(CUSTOMER_PAGE); }}
+        style={smallInput} />
+      <h4 style={{ margin: 0, fontSize: 13, color: colors.sub }}>顧客一覧（{matches.length}名）</h4>
+      {matches.length === 0 && <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>該当するお客様はいません</p>}
+      {matches.slice(0, limit).map(({ customer: c, history }) => {
+        const summary = summarizeHistory(history, today);
+        return (
+          <button key={c.id} onClick={() => setSelectedId(c.id)}
+            style={{
+              ...baseBtn, textAlign: "left", fontWeight: 400, padding: "8px 12px", fontSize: 12,
+              background: colors.card, color: colors.text, border: `1px solid ${colors.border}`, lineHeight: 1.6,
+            }}>
+            <span style={{ fontWeight: 600 }}>{c.name || "（名前なし）"}</span>
+            <span style={{ color: colors.sub, marginLeft: 8 }}>{c.phones.map(formatPhone).join("・")}</span>
+            {c.note && <span title={c.note} style={{ marginLeft: 6 }}>📝</span>}
+            <br />
+            <span style={{ color: colors.muted }}>
+              予約 {summary.total}件・来店 {summary.visits}回{summary.lastVisit && `・最終利用 ${summary.lastVisit}`}
+            </span>
+            {summary.noShows > 0 && <span style={{ color: colors.danger, fontWeight: 600, marginLeft: 6 }}>⚠ 無断{summary.noShows}回</span>}
+          </button>
+        );
+      })}
+      {matches.length > limit && (
+        <button onClick={() => setLimit((n) => n + CUSTOMER_PAGE)}
+          style={{ ...baseBtn, padding: "8px 0", fontSize: 12, background: colors.border, color: colors.sub }}>
+          さらに表示（残り{matches.length - limit}名）
+        </button>
+      )}
+    </div>
+  );
+}
+
+// ─── Statements ───
+const previousMonth = () => {
+  const d = new Date();
+  return fmtDate(new Date(d.getFullYear(), d.getMonth() - 1, 1)).slice(0, 7);
+};
+const statementKey = (statement) => statement.customer.id || statement.customer.phones[0];
+
+// Monthly statements per client from completed reservations. The preview is the same document as
+// the HTML download, so printing it (or saving it as PDF from the print dialog) gives that file.
+function StatementPanel({ reservations, settings, onLoadCustomers }) {
+  const [customers, setCustomers] = useState(null);
+  const [month, setMonth] = useState(previousMonth);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const frameRef = useRef(null);
+
+  useEffect(() => {
+    let live = true;
+    onLoadCustomers().then((list) => { if (live) setCustomers(list || []); });
+    return () => { live = false; };
+  }, [reservations]);
+
+  const statements = useMemo(
+    () => customers && /^\d{4}-\d{2}$/.test(month) ? monthlyStatements(reservations, customers, month) : [],
+    [customers, reservations, month],
+  );
+
+  if (!customers) return <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>読み込み中...</p>;
+
+  const issuedOn = fmtDate(new Date());
+  const unpriced = /^\d{4}-\d{2}$/.test(month) ? unpricedInMonth(reservations, month) : [];
+  const grandTotal = statements.reduce((sum, s) => sum + s.total, 0);
+  const selected = statements.find((s) => statementKey(s) === selectedKey);
+  const downloadCsv = (list) => downloadFile(
+    `statements-${month}${list.length === 1 ? `-${statementKey(list[0])}` : ""}.csv`, statementsToCsv(list), "text/csv;charset=utf-8",
+  );
+
+  if (selected) {
+    const html = statementToHtml(selected, settings, issuedOn);
+    return (
+      <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+        <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+          <button onClick={() => setSelectedKey(null)}
+            style={{ ...baseBtn, padding: "6px 12px", fontSize: 12, background: colors.border, color: colors.sub }}>
+            ← 請求一覧
+          </button>
+          <span style={{ flex: 1 }} />
+          <button onClick={() => frameRef.current?.contentWindow.print()}
+            style={{ ...baseBtn, padding: "6px 12px", fontSize: 12, background: colors.accent, color: "#fff" }}>
+            🖨 印刷・PDF
+          </button>
+          <button onClick={() => downloadFile(`statement-${month}-${statementKey(selected)}.html`, html, "text/html;charset=utf-8")}
+            style={{ ...baseBtn, padding: "6px 12px", fontSize: 12, background: colors.accentLight, color: colors.accent }}>
+            HTML
+          </button>
+          <button onClick={() => downloadCsv([selected])}
+            style={{ ...baseBtn, padding: "6px 12px", fontSize: 12, background: colors.accentLight, color: colors.accent }}>
+            CSV
+          </button>
+        </div>
+        <iframe ref={frameRef} title="請求書" srcDoc={html}
+          style={{ width: "100%", height: 560, border: `1px solid ${colors.border}`, borderRadius: 8, background: "#fff" }} />
+      </div>
+    );
+  }
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+        <input type="month" value={month} onChange={(e) => setMonth(e.target.value)}
+          style={{ ...baseInput, width: "auto", padding: "8px 10px", fontSize: 13 }} />
+        <span style={{ flex: 1, fontSize: 12, color: colors.sub }}>
+          完了した予約 {statements.reduce((sum, s) => sum + s.reservations.length, 0)}件・合計 {fmtYen(grandTotal)}
+          （内消費税 {fmtYen(includedTax(grandTotal, settings.taxRatePercent))}）
+        </span>
+        <button onClick={() => downloadCsv(statements)} disabled={statements.length === 0}
+          style={{ ...baseBtn, padding: "8px 12px", fontSize: 12, background: statements.length > 0 ? colors.accentLight : colors.border, color: colors.accent }}>
+          全件CSV
+        </button>
+      </div>
+      {unpriced.length > 0 && (
+        <p style={{ margin: 0, fontSize: 12, color: colors.danger }}>
+          料金が記録されていない完了予約 {unpriced.length}件（{unpriced.map((r) => r.code).join("・")}）は請求に含まれていません
+        </p>
+      )}
+      {statements.length === 0 && (
+        <p style={{ textAlign: "center", color: colors.muted, fontSize: 13 }}>この月に完了した予約はありません</p>
+      )}
+      {statements.map((s) => (
+        <button key={statementKey(s)} onClick={() => setSelectedKey(statementKey(s))}
+          style={{
+            display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8, textAlign: "left",
+            padding: "10px 14px", borderRadius: 10, border: `1px solid ${colors.border}`, background: colors.card, cursor: "pointer",
+          }}>
+          <span style={{ fontSize: 13, color: colors.text }}>
+            <strong>{s.customer.name}</strong>
+            <span style={{ color: colors.muted, fontSize: 12, marginLeft: 8 }}>{s.customer.phones.map(formatPhone).join("・")}</span>
+          </span>
+          <span style={{ fontSize: 12, color: colors.sub, flexShrink: 0 }}>
+            {s.reservations.length}件　<strong style={{ fontSize: 14, color: colors.text }}>{fmtYen(s.total)}</strong>
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// ─── Recurring series ───
+// Group actions on the upcoming occurrences; each one stays on its own date.
+function SeriesPanel({ seriesId, reservations, products, settings, onCancel, onReschedule, onClose }) {
+  const upcoming = upcomingInSeries(reservations, seriesId, fmtDate(new Date()));
+  const first = upcoming[0];
+  const [startTime, setStartTime] = useState(first?.startTime || "");
+  const [productId, setProductId] = useState(first?.productId || "");
+  const [conflicts, setConflicts] = useState([]);
+
+  const product = products.find((p) => p.id === productId && p.active);
+  const unchanged = !first || (startTime === first.startTime && productId === first.productId);
+
+  const handleReschedule = async () => {
+    const result = await onReschedule(seriesId, { startTime, product });
+    if (result) setConflicts(result.conflicts);
+  };
+
+  return (
+    <div style={{ background: "#f9f5ef", borderRadius: 10, padding: 16, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 10 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h4 style={{ margin: 0, fontSize: 13, color: colors.text }}>
+          🔁 定期予約{first && `（${RECURRENCE_LABELS[first.recurrence]}・${first.name}）`}
+        </h4>
+        <button onClick={onClose}
+          style={{ ...baseBtn, padding: "5px 10px", fontSize: 11, background: colors.border, color: colors.sub }}>
+          閉じる
+        </button>
+      </div>
+      {!first ? (
+        <p style={{ margin: 0, fontSize: 12, color: colors.muted }}>今後の予定はありません</p>
+      ) : (
+        <>
+          <div style={{ fontSize: 12, color: colors.sub, lineHeight: 1.7, fontVariantNumeric: "tabular-nums" }}>
+            {upcoming.map((r) => (
+              <div key={r.id} style={{ color: conflicts.some((c) => c.id === r.id) ? colors.danger : colors.sub }}>
+                {r.date}（{DAYS_JP[parseDate(r.date).getDay()]}） {r.startTime}〜{r.endTime}　{r.productName}
+                {r.status !== "confirmed" && <StatusBadge status={r.status} />}
+                {conflicts.some((c) => c.id === r.id) && "　満員のため変更なし"}
+              </div>
+            ))}
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <select value={startTime} onChange={(e) => setStartTime(e.target.value)}
+              style={{ ...baseInput, width: "auto", padding: "6px 8px", fontSize: 12 }}>
+              {generateTimeSlots(settings, first.date).map((slot) => <option key={slot.label} value={slot.label}>{slot.label}</option>)}
+            </select>
+            <select value={productId} onChange={(e) => setProductId(e.target.value)}
+              style={{ ...baseInput, flex: 1, padding: "6px 8px", fontSize: 12 }}>
+              {sortProducts(products).filter((p) => p.active).map((p) => <option key={p.id} value={p.id}>{p.name}</option>)}
+            </select>
+          </div>
+          <div style={{ display: "flex", gap: 6 }}>
+            <button disabled={unchanged || !product} onClick={handleReschedule}
+              style={{
+                ...baseBtn, flex: 1, padding: "8px 0", fontSize: 12, color: "#fff",
+                background: unchanged || !product ? colors.border : colors.accent,
+                cursor: unchanged || !product ? "default" : "pointer",
+              }}>
+              まとめて変更
+            </button>
+            <button onClick={async () => { if (await onCancel(seriesId)) onClose(); }}
+              style={{ ...baseBtn, flex: 1, padding: "8px 0", fontSize: 12, background: colors.dangerLight, color: colors.danger }}>
+              まとめて取消（{upcoming.length}件）
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+function AdminPanel({
+  reservations, settings, products,
+  onSettingsChange, onProductsChange, onDeleteReservation, onRescheduleReservation, onImportReservations,
+  onStatusChange, onCancelSeries, onRescheduleSeries, onLoadAudit, onRestoreReservation,
+  onLoadCustomers, onSaveCustomer, onMergeCustomer, onBackup, onRestoreBackup, onLoadQuarantine, onPasscodeChange, onLogout,
+}) {
+  const [showSettings, setShowSettings] = useState(false);
+  const [showProducts, setShowProducts] = useState(false);
+  const [showCsv, setShowCsv] = useState(false);
+  const [view, setView] = useState("list");
+  const [seriesId, setSeriesId] = useState(null);
+  const [customerPhone, setCustomerPhone] = useState(null);
+  const [local, setLocal] = useState(settings);
+  const [holidayInput, setHolidayInput] = useState("");
+
+  // A restore replaces the saved settings underneath the form.
+  useEffect(() => setLocal(settings), [settings]);
+
+  const active = reservations
+    .filter((r) => r.status !== "waitlisted" && r.status !== "cancelled")
+    .sort((a, b) => a.date.localeCompare(b.date) || a.startTime.localeCompare(b.startTime));
+
+  // Repeat no-shows are flagged on every booking from the same phone number.
+  const noShowCounts = Object.fromEntries(active.map((r) => [r.id, countNoShows(reservations, r.phone)]));
+
+  // Queue order is list order (the order entries joined); only days still ahead are shown.
+  const waitlistByDate = reservations
+    .filter((r) => r.status === "waitlisted" && !isPast(r.date))
+    .reduce((days, r) => ({ ...days, [r.date]: [...(days[r.date] || []), r] }), {});
+  const waitlistDates = Object.keys(waitlistByDate).sort();
+
+  const openCustomer = (phone) => { setCustomerPhone(phone); setView("customers"); };
+
+  const handleSave = async () => { if (await onSettingsChange(local)) setShowSettings(false); };
+  const handleSaveProducts = async (list) => { if (await onProductsChange(list)) setShowProducts(false); };
+
+  const addHoliday = () => {
+    if (holidayInput && !local.holidays.includes(holidayInput)) {
+      setLocal((s) => ({ ...s, holidays: [...s.holidays, holidayInput].sort() }));
+      setHolidayInput("");
+    }
+  };
+
+  const removeHoliday = (d) => setLocal((s) => ({ ...s, holidays: s.holidays.filter((h) => h !== d) }));
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 16 }}>
+      <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center" }}>
+        <h3 style={{ margin: 0, fontSize: 17, color: colors.text }}>管理パネル</h3>
+        <div style={{ display: "flex", gap: 6 }}>
+          <button onClick={() => { setShowCsv(!showCsv); setShowProducts(false); setShowSettings(false); }}
+            style={{ ...baseBtn, padding: "8px 16px", fontSize: 12, background: colors.border, color: colors.sub }}>
+            {showCsv ? "閉じる" : "📄 データ"}
+          </button>
+          <button onClick={() => { setShowProducts(!showProducts); setShowSettings(false); setShowCsv(false); }}
+            style={{ ...baseBtn, padding: "8px 16px", fontSize: 12, background: colors.border, color: colors.sub }}>
+            {showProducts ? "閉じる" : "📦 商品"}
+          </button>
+          <button onClick={() => { setShowSettings(!showSettings); setShowProducts(false); setShowCsv(false); }}
+            style={{ ...baseBtn, padding: "8px 16px", fontSize: 12, background: colors.border, color: colors.sub }}>
+            {showSettings ? "閉じる" : "⚙ 設定"}
+          </button>
+          <button onClick={onLogout}
+            style={{ ...baseBtn, padding: "8px 12px", fontSize: 12, background: "transparent", color: colors.sub }}>
+            ログアウト
+          </button>
+        </div>
+      </div>
+
+      {showCsv && (
+        <>
+          <CsvPanel reservations={reservations} products={products} settings={settings} onImport={onImportReservations} />
+          <BackupPanel onBackup={onBackup} onRestore={onRestoreBackup} onLoadQuarantine={onLoadQuarantine} />
+        </>
+      )}
+
+      {showProducts && <ProductEditor products={products} onSave={handleSaveProducts} />}
+
+      {showSettings && (
+        <div style={{ background: "#f9f5ef", borderRadius: 10, padding: 18, border: `1px solid ${colors.border}`, display: "flex", flexDirection: "column", gap: 14 }}>
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>倉庫名・住所（ヘッダーとカレンダーに表示）</label>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              <input placeholder="倉庫名" value={local.warehouseName}
+                onChange={(e) => setLocal((s) => ({ ...s, warehouseName: e.target.value }))} style={baseInput} />
+              <input placeholder="住所（例: 大阪府大阪市…）" value={local.warehouseAddress}
+                onChange={(e) => setLocal((s) => ({ ...s, warehouseAddress: e.target.value }))} style={baseInput} />
+            </div>
+          </div>
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>同時利用上限人数</label>
+            <input type="number" min={1} max={20} value={local.maxCapacity}
+              onChange={(e) => setLocal((s) => ({ ...s, maxCapacity: parseInt(e.target.value) || 1 }))}
+              style={{ ...baseInput, width: 80 }} />
+          </div>
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>営業時間（標準）</label>
+            <HoursInput hours={local} onChange={(patch) => setLocal((s) => ({ ...s, ...patch }))} />
+          </div>
+
+          <BusinessHoursEditor settings={local} onChange={setLocal} />
+
+          <CapacityRuleEditor settings={local} onChange={setLocal} />
+
+          <ResourceEditor settings={local} onChange={setLocal} />
+
+          <ClosureEditor settings={local} onChange={setLocal} />
+
+          <SurchargeEditor settings={local} onChange={setLocal} />
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>請求書（料金は税込で表示します）</label>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 6, alignItems: "center", fontSize: 12, color: colors.sub }}>
+              <span>消費税率（%）</span>
+              <input type="number" min={0} max={100} value={local.taxRatePercent}
+                onChange={(e) => setLocal((s) => ({ ...s, taxRatePercent: Math.max(0, parseInt(e.target.value) || 0) }))}
+                style={{ ...baseInput, width: 80 }} />
+            </div>
+            <div style={{ display: "flex", flexDirection: "column", gap: 6, marginTop: 6 }}>
+              <input placeholder="発行者名（空欄なら倉庫名）" value={local.invoiceIssuer}
+                onChange={(e) => setLocal((s) => ({ ...s, invoiceIssuer: e.target.value }))} style={baseInput} />
+              <input placeholder="適格請求書発行事業者の登録番号（例: T1234567890123）" value={local.invoiceRegistrationNumber}
+                onChange={(e) => setLocal((s) => ({ ...s, invoiceRegistrationNumber: e.target.value }))} style={baseInput} />
+            </div>
+          </div>
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>予約ルール（お客様のみ・0または空欄で制限なし）</label>
+            <div style={{ display: "grid", gridTemplateColumns: "1fr auto", gap: 6, alignItems: "center", fontSize: 12, color: colors.sub }}>
+              <span>受付締切（開始の何分前まで）</span>
+              <input type="number" min={0} step={15} value={local.minLeadMinutes}
+                onChange={(e) => setLocal((s) => ({ ...s, minLeadMinutes: Math.max(0, parseInt(e.target.value) || 0) }))}
+                style={{ ...baseInput, width: 80 }} />
+              <span>当日予約の受付終了時刻</span>
+              <input type="time" step={1800} value={local.sameDayCutoff}
+                onChange={(e) => setLocal((s) => ({ ...s, sameDayCutoff: e.target.value }))}
+                style={{ ...baseInput, width: 110 }} />
+              <span>取消・変更期限（開始の何時間前まで）</span>
+              <input type="number" min={0} value={local.cancelDeadlineHours}
+                onChange={(e) => setLocal((s) => ({ ...s, cancelDeadlineHours: Math.max(0, parseInt(e.target.value) || 0) }))}
+                style={{ ...baseInput, width: 80 }} />
+              <span>電話番号あたりの予約数上限</span>
+              <input type="number" min={0} max={100} value={local.maxActivePerPhone}
+                onChange={(e) => setLocal((s) => ({ ...s, maxActivePerPhone: Math.max(0, parseInt(e.target.value) || 0) }))}
+                style={{ ...baseInput, width: 80 }} />
+            </div>
+          </div>
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>無断キャンセルによる予約制限（回数・0で制限なし）</label>
+            <input type="number" min={0} max={20} value={local.noShowBlockThreshold}
+              onChange={(e) => setLocal((s) => ({ ...s, noShowBlockThreshold: Math.max(0, parseInt(e.target.value) || 0) }))}
+              style={{ ...baseInput, width: 80 }} />
+          </div>
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>カレンダー表示月数</label>
+            <input type="number" min={1} max={12} value={local.calendarMonths}
+              onChange={(e) => setLocal((s) => ({ ...s, calendarMonths: parseInt(e.target.value) || 3 }))}
+              style={{ ...baseInput, width: 55 }} />
+          </div>
+
+          <div>
+            <label style={{ fontSize: 12, color: colors.sub, display: "block", marginBottom: 4 }}>管理セッションの有効時間（分）</label>
+            <input type="number" min={5} max={480} step={5} value={local.adminSessionMinutes}
+              onChange={(e) => setLocal((s) => ({ ...s, adminSessionMinutes: parseInt(e.target.value) || 30 }))}
+              style={{ ...baseInput, width: 80 }} />
           </div>
 
           <div>
@@ -516,38 +3227,139 @@ function AdminPanel({ reservations, settings, onSettingsChange, onDeleteReservat
             style={{ ...baseBtn, background: colors.success, color: "#fff", marginTop: 4 }}>
             設定を保存
           </button>
+
+          <PasscodeForm onChange={onPasscodeChange} />
         </div>
       )}
 
-      <div>
-        <h4 style={{ margin: "0 0 10px", fontSize: 13, color: colors.sub }}>
-          予約一覧（{active.length}件）
-        </h4>
-        {active.length === 0 ? (
-          <p style={{ textAlign: "center", color: colors.muted, padding: 20, fontSize: 13 }}>予約はありません</p>
-        ) : (
-          <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
-            {active.map((r) => (
-              <div key={r.id} style={{
-                display: "flex", justifyContent: "space-between", alignItems: "center",
-                padding: "10px 14px", borderRadius: 8, border: `1px solid ${colors.border}`,
-                background: isPast(r.date) ? "#f5f0ea" : colors.card, opacity: isPast(r.date) ? 0.5 : 1, fontSize: 13,
-              }}>
-                <div style={{ lineHeight: 1.6 }}>
-                  <span style={{ fontWeight: 600, color: colors.text }}>{r.date}</span>
-                  <span style={{ color: colors.sub, margin: "0 6px" }}>{r.startTime}〜{r.endTime}</span>
-                  <br />
-                  <span style={{ color: colors.muted, fontSize: 12 }}>{r.productName}　{r.name}　{r.phone}</span>
+      {waitlistDates.length > 0 && (
+        <div>
+          <h4 style={{ margin: "0 0 10px", fontSize: 13, color: colors.sub }}>
+            キャンセル待ち（{waitlistDates.reduce((n, d) => n + waitlistByDate[d].length, 0)}件）
+          </h4>
+          <div style={{ display: "flex", flexDirection: "column", gap: 10 }}>
+            {waitlistDates.map((date) => (
+              <div key={date}>
+                <div style={{ fontSize: 12, fontWeight: 600, color: colors.text, marginBottom: 4 }}>
+                  {date}（{DAYS_JP[parseDate(date).getDay()]}）
                 </div>
-                <button onClick={() => onDeleteReservation(r.id)}
-                  style={{ ...baseBtn, padding: "5px 10px", fontSize: 11, background: colors.dangerLight, color: colors.danger, flexShrink: 0 }}>
-                  削除
-                </button>
+                {waitlistByDate[date].map((r, i) => (
+                  <div key={r.id} style={{
+                    display: "flex", justifyContent: "space-between", alignItems: "center", gap: 8,
+                    padding: "8px 14px", marginBottom: 4, borderRadius: 8, border: `1px solid ${colors.warn}`,
+                    background: colors.warnLight, fontSize: 12,
+                  }}>
+                    <div style={{ lineHeight: 1.6 }}>
+                      <span style={{ fontWeight: 700, color: colors.warn, marginRight: 6 }}>{i + 1}</span>
+                      <span style={{ color: colors.sub }}>{r.startTime}〜{r.endTime}</span>
+                      <span style={{ color: colors.muted, marginLeft: 6 }}>{r.productName}{partyLabel(r)}　{r.name}　{r.phone}</span>
+                    </div>
+                    <button onClick={() => onDeleteReservation(r.id)}
+                      style={{ ...baseBtn, padding: "5px 10px", fontSize: 11, background: colors.dangerLight, color: colors.danger, flexShrink: 0 }}>
+                      削除
+                    </button>
+                  </div>
+                ))}
               </div>
             ))}
           </div>
-        )}
+        </div>
+      )}
+
+      <div style={{ display: "flex", gap: 6 }}>
+        {[["list", "一覧"], ["day", "日別タイムライン"], ["customers", "顧客"], ["billing", "請求"], ["stats", "分析"], ["audit", "履歴"]].map(([key, label]) => (
+          <button key={key} onClick={() => { setView(key); setCustomerPhone(null); }}
+            style={{
+              ...baseBtn, flex: 1, padding: "8px 0", fontSize: 12,
+              background: view === key ? colors.accent : colors.border, color: view === key ? "#fff" : colors.sub,
+            }}>
+            {label}
+          </button>
+        ))}
       </div>
+
+      {view === "day" && <DayTimeline reservations={reservations} settings={settings} onStatusChange={onStatusChange} />}
+
+      {view === "customers" && (
+        <CustomerPanel reservations={reservations} products={products} focusPhone={customerPhone}
+          onLoad={onLoadCustomers} onSave={onSaveCustomer} onMerge={onMergeCustomer} />
+      )}
+
+      {view === "billing" && <StatementPanel reservations={reservations} settings={settings} onLoadCustomers={onLoadCustomers} />}
+
+      {view === "stats" && <AnalyticsPanel reservations={reservations} settings={settings} />}
+
+      {view === "audit" && (
+        <AuditPanel reservations={reservations} settings={settings} onLoad={onLoadAudit} onRestore={onRestoreReservation} />
+      )}
+
+      {view === "list" && seriesId && (
+        <SeriesPanel key={seriesId} seriesId={seriesId} reservations={reservations} products={products} settings={settings}
+          onCancel={onCancelSeries} onReschedule={onRescheduleSeries} onClose={() => setSeriesId(null)} />
+      )}
+
+      {view === "list" && (
+        <div>
+          <h4 style={{ margin: "0 0 10px", fontSize: 13, color: colors.sub }}>
+            予約一覧（{active.length}件）
+          </h4>
+          {active.length === 0 ? (
+            <p style={{ textAlign: "center", color: colors.muted, padding: 20, fontSize: 13 }}>予約はありません</p>
+          ) : (
+            <div style={{ display: "flex", flexDirection: "column", gap: 6 }}>
+              {active.map((r) => (
+                <div key={r.id} style={{
+                  display: "flex", justifyContent: "space-between", alignItems: "center",
+                  padding: "10px 14px", borderRadius: 8, border: `1px solid ${colors.border}`,
+                  background: isPast(r.date) ? "#f5f0ea" : colors.card, opacity: isPast(r.date) ? 0.5 : 1, fontSize: 13,
+                }}>
+                  <div style={{ lineHeight: 1.6 }}>
+                    <span style={{ fontWeight: 600, color: colors.text }}>{r.date}</span>
+                    <span style={{ color: colors.sub, margin: "0 6px" }}>{r.startTime}〜{r.endTime}</span>
+                    {r.code && <span style={{ color: colors.muted, fontSize: 11, letterSpacing: 1 }}>{r.code}</span>}
+                    {r.status !== "confirmed" && <StatusBadge status={r.status} />}
+                    {r.seriesId && (
+                      <button onClick={() => setSeriesId(r.seriesId)}
+                        style={{ ...baseBtn, padding: "1px 6px", marginLeft: 6, fontSize: 10, fontWeight: 600, background: colors.accentLight, color: colors.accent }}>
+                        🔁 {RECURRENCE_LABELS[r.recurrence]}
+                      </button>
+                    )}
+                    <br />
+                    <span style={{ color: colors.muted, fontSize: 12 }}>{r.productName}{partyLabel(r)}{priceLabel(r)}　{r.name}　</span>
+                    <button onClick={() => openCustomer(r.phone)} title="顧客ページを開く"
+                      style={{ background: "none", border: "none", padding: 0, fontSize: 12, color: colors.accent, cursor: "pointer", textDecoration: "underline" }}>
+                      {r.phone}
+                    </button>
+                    <span style={{ color: colors.muted, fontSize: 12 }}>{resourceLabel(r)}</span>
+                    {noShowCounts[r.id] > 0 && (
+                      <span style={{ color: colors.danger, fontSize: 11, fontWeight: 600, marginLeft: 6 }}>⚠ 無断{noShowCounts[r.id]}回</span>
+                    )}
+                    {historyLabel(r.history) && (
+                      <><br /><span style={{ color: colors.muted, fontSize: 11 }}>{historyLabel(r.history)}</span></>
+                    )}
+                    {r.promotedAt && (
+                      <><br /><span style={{ color: colors.success, fontSize: 11 }}>キャンセル待ちから確定</span></>
+                    )}
+                  </div>
+                  <div style={{ display: "flex", flexWrap: "wrap", justifyContent: "flex-end", gap: 6, flexShrink: 0, maxWidth: 150 }}>
+                    <AttendanceButtons reservation={r} onStatusChange={onStatusChange} />
+                    {!isPast(r.date) && r.status === "confirmed" && (
+                      <button onClick={() => onRescheduleReservation(r)}
+                        style={{ ...baseBtn, padding: "5px 10px", fontSize: 11, background: colors.border, color: colors.sub }}>
+                        変更
+                      </button>
+                    )}
+                    <button onClick={() => onDeleteReservation(r.id)}
+                      style={{ ...baseBtn, padding: "5px 10px", fontSize: 11, background: colors.dangerLight, color: colors.danger }}>
+                      削除
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
     </div>
   );
 }
@@ -556,51 +3368,330 @@ function AdminPanel({ reservations, settings, onSettingsChange, onDeleteReservat
 export default function App() {
   const [reservations, setReservations] = useState([]);
   const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [products, setProducts] = useState(DEFAULT_PRODUCTS);
   const [loading, setLoading] = useState(true);
   const [toast, setToast] = useState(null);
 
   const [tab, setTab] = useState("reserve");
   const [selectedDate, setSelectedDate] = useState(null);
-  const [selectedProduct, setSelectedProduct] = useState(null);
+  const [selectedProductId, setSelectedProductId] = useState(null);
   const [selectedTime, setSelectedTime] = useState(null);
+  const [waitlisting, setWaitlisting] = useState(false);
+  const [partySize, setPartySize] = useState(1);
   const [currentMonth, setCurrentMonth] = useState(new Date());
+  const [completedReservation, setCompletedReservation] = useState(null);
+  const [completedSeries, setCompletedSeries] = useState(null);
+  // { reservation, lookup } while a booking is being moved; lookup is null when the admin moves it.
+  const [rescheduling, setRescheduling] = useState(null);
+  const [adminExpiresAt, setAdminExpiresAt] = useState(null);
+  const isAdmin = adminExpiresAt !== null;
 
   useEffect(() => {
     (async () => {
-      const [res, set] = await Promise.all([loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS)]);
+      try {
+        const problems = await prepareStorage();
+        if (problems.length > 0) {
+          setToast({ message: `破損したデータ${problems.length}件を除外しました（管理 › データで確認できます）`, type: "error" });
+        }
+      } catch (e) {
+        setToast({ message: e.message, type: "error" });
+      }
+      const [res, set, prods] = await Promise.all([
+        loadData(STORAGE_KEY, []), loadData(SETTINGS_KEY, DEFAULT_SETTINGS), loadData(PRODUCTS_KEY, DEFAULT_PRODUCTS),
+      ]);
       setReservations(res);
       setSettings({ ...DEFAULT_SETTINGS, ...set });
+      setProducts(prods);
       setLoading(false);
     })();
   }, []);
 
-  const persist = useCallback(async (newRes) => {
-    setReservations(newRes);
-    await saveData(STORAGE_KEY, newRes);
+  const refreshReservations = useCallback(async () => {
+    setReservations(await loadReservations({ admin: tab === "admin" && isAdmin }));
+  }, [tab, isAdmin]);
+
+  useEffect(() => {
+    if (!loading) refreshReservations();
+  }, [refreshReservations]);
+
+  // ─── Admin session ───
+  const endAdminSession = useCallback(async (message) => {
+    await adminLogout();
+    setAdminExpiresAt(null);
+    if (message) setToast({ message, type: "error" });
   }, []);
 
-  const persistSettings = useCallback(async (s) => {
+  useEffect(() => {
+    if (!adminExpiresAt) return;
+    const t = setTimeout(() => endAdminSession("管理セッションの有効期限が切れました"), adminExpiresAt - Date.now());
+    return () => clearTimeout(t);
+  }, [adminExpiresAt, endAdminSession]);
+
+  // Runs an admin-only action. Each successful action extends the session; an expired session
+  // (locally or on the server) sends the admin back to the login screen. Resolves to success.
+  const withAdmin = async (action) => {
+    if (!adminExpiresAt || adminExpiresAt < Date.now()) {
+      await endAdminSession("管理者ログインが必要です");
+      return false;
+    }
+    try {
+      await action();
+    } catch (e) {
+      if (e.status === 401) await endAdminSession(e.message);
+      else setToast({ message: e.message || "保存に失敗しました", type: "error" });
+      return false;
+    }
+    setAdminExpiresAt(Date.now() + settings.adminSessionMinutes * 60 * 1000);
+    return true;
+  };
+
+  const handleAdminLogin = async (passcode) => {
+    setAdminExpiresAt(await adminLogin(passcode, settings));
+    setToast({ message: "ログインしました", type: "success" });
+  };
+
+  const handleAdminSetup = async (passcode) => {
+    await setAdminPasscode(passcode);
+    await handleAdminLogin(passcode);
+  };
+
+  const handlePasscodeChange = (passcode, current) => withAdmin(async () => {
+    await setAdminPasscode(passcode, current);
+    setToast({ message: "パスコードを変更しました", type: "success" });
+  });
+
+  const persistSettings = (s) => withAdmin(async () => {
+    await saveSettings(s);
     setSettings(s);
-    await saveData(SETTINGS_KEY, s);
     setToast({ message: "設定を保存しました", type: "success" });
-  }, []);
+  });
 
-  const handleConfirm = async (info) => {
-    const newR = {
-      id: genId(), ...info,
-      status: "confirmed", createdAt: new Date().toISOString(),
-    };
-    await persist([...reservations, newR]);
+  const persistProducts = (list) => withAdmin(async () => {
+    await saveProducts(list);
+    setProducts(list);
+    setToast({ message: "商品を保存しました", type: "success" });
+  });
+
+  // Resolve the selection against the live catalog so edits in AdminPanel apply immediately.
+  const selectedProduct = products.find((p) => p.id === selectedProductId && p.active) || null;
+  // A booking being moved keeps its group; otherwise the choice is kept within the product's limit.
+  const groupSize = rescheduling
+    ? rescheduling.reservation.partySize || 1
+    : selectedProduct ? Math.min(partySize, partySizeLimit(selectedProduct, settings)) : 1;
+
+  const selectTime = (time, waitlist = false) => {
+    setSelectedTime(time);
+    setWaitlisting(waitlist);
+  };
+
+  // `recurrence` is set for a recurring booking; see BookingForm.
+  const handleConfirm = async (info, recurrence) => {
+    let reservation, series;
+    try {
+      if (recurrence) series = await createSeries(info, recurrence);
+      else reservation = await createReservation(info, { waitlist: waitlisting });
+    } catch (e) {
+      await refreshReservations();
+      setSelectedTime(null);
+      setToast({ message: e.message, type: "error" });
+      return;
+    }
+    await refreshReservations();
+    setSelectedTime(null);
+    setSelectedDate(null);
+    setSelectedProductId(null);
+    if (series) {
+      setCompletedSeries(series);
+      setToast({ message: `定期予約を${series.booked.length}件確定しました`, type: "success" });
+      return;
+    }
+    setCompletedReservation(reservation);
+    setToast({
+      message: reservation.status === "waitlisted" ? "キャンセル待ちに登録しました" : "予約が確定しました",
+      type: "success",
+    });
+  };
+
+  const startReschedule = (reservation, lookup = null) => {
+    setRescheduling({ reservation, lookup });
+    setSelectedProductId(reservation.productId);
+    setSelectedDate(reservation.date);
+    setSelectedTime(null);
+    setCurrentMonth(parseDate(reservation.date));
+    setCompletedReservation(null);
+    setCompletedSeries(null);
+    setTab("reserve");
+  };
+
+  const abortReschedule = () => {
+    const admin = !rescheduling.lookup;
+    setRescheduling(null);
+    setSelectedTime(null);
+    setSelectedDate(null);
+    setSelectedProductId(null);
+    setTab(admin ? "admin" : "lookup");
+  };
+
+  const handleReschedule = async (changes) => {
+    const { reservation, lookup } = rescheduling;
+    let moved;
+    if (lookup) {
+      try {
+        moved = await rescheduleReservation(reservation.id, changes, lookup);
+      } catch (e) {
+        await refreshReservations();
+        setSelectedTime(null);
+        setToast({ message: e.message, type: "error" });
+        return;
+      }
+    } else if (!(await withAdmin(async () => { moved = await rescheduleReservation(reservation.id, changes); }))) {
+      await refreshReservations();
+      setSelectedTime(null);
+      return;
+    }
+    setRescheduling(null);
     setSelectedTime(null);
     setSelectedDate(null);
-    setSelectedProduct(null);
-    setToast({ message: "予約が確定しました", type: "success" });
-    setTab("list");
+    setSelectedProductId(null);
+    if (lookup) setCompletedReservation(moved);
+    else setTab("admin");
+    await refreshReservations();
+    setToast({ message: "予約を変更しました", type: "success" });
+  };
+
+  // What the calendar and slot grid check capacity against. One index lives as long as the app and
+  // is synced on every reload, so a booking or cancellation only updates the records it changed.
+  // The booking being moved must not count against its own new slot.
+  const occupancyRef = useRef(null);
+  const occupancy = useMemo(() => {
+    const list = rescheduling ? reservations.filter((r) => r.id !== rescheduling.reservation.id) : reservations;
+    occupancyRef.current = occupancyRef.current ? occupancyRef.current.sync(list) : createOccupancyIndex(list);
+    return occupancyRef.current;
+  }, [reservations, rescheduling]);
+
+  const handleStatusChange = (id, status) => withAdmin(async () => {
+    await setReservationStatus(id, status);
+    await refreshReservations();
+    setToast({ message: `「${STATUS_LABELS[status]}」に変更しました`, type: "success" });
+  });
+
+  // Resolves to the import result, or null when the admin session had expired or the request failed.
+  const handleImport = async (csv) => {
+    let result = null;
+    if (!(await withAdmin(async () => { result = await importReservations(csv); }))) return null;
+    await refreshReservations();
+    setToast({ message: `${result.imported.length}件を取り込みました`, type: "success" });
+    return result;
+  };
+
+  // Series actions resolve to the server's result, or null when they failed.
+  const handleCancelSeries = async (seriesId, lookup) => {
+    let result = null;
+    if (lookup) {
+      try {
+        result = await cancelSeries(null, lookup);
+      } catch (e) {
+        setToast({ message: e.message, type: "error" });
+        return null;
+      }
+    } else if (!(await withAdmin(async () => { result = await cancelSeries(seriesId); }))) {
+      return null;
+    }
+    await refreshReservations();
+    setToast({ message: `定期予約を${result.cancelled.length}件キャンセルしました`, type: "error" });
+    return result;
+  };
+
+  const handleRescheduleSeries = async (seriesId, changes) => {
+    let result = null;
+    if (!(await withAdmin(async () => { result = await rescheduleSeriesById(seriesId, changes); }))) return null;
+    await refreshReservations();
+    setToast({
+      message: `${result.changed.length}件を変更しました${result.conflicts.length ? `（${result.conflicts.length}件は満員のため変更なし）` : ""}`,
+      type: result.conflicts.length ? "error" : "success",
+    });
+    return result;
+  };
+
+  // Resolves to the audit log, or null when the admin session had expired or the request failed.
+  const handleLoadAudit = async () => {
+    let log = null;
+    await withAdmin(async () => { log = await loadAuditLog(); });
+    return log;
+  };
+
+  const handleRestore = (entryId) => withAdmin(async () => {
+    await restoreReservation(entryId);
+    await refreshReservations();
+    setToast({ message: "予約を復元しました", type: "success" });
+  });
+
+  // Customer actions resolve to the registry or the saved record, or null when they failed.
+  const handleLoadCustomers = async () => {
+    let customers = null;
+    await withAdmin(async () => { customers = await loadCustomers(); });
+    return customers;
+  };
+
+  const handleSaveCustomer = async (id, patch) => {
+    let customer = null;
+    if (await withAdmin(async () => { customer = await saveCustomer(id, patch); })) {
+      setToast({ message: "お客様情報を保存しました", type: "success" });
+    }
+    return customer;
+  };
+
+  const handleMergeCustomer = async (id, fromId) => {
+    let customer = null;
+    if (await withAdmin(async () => { customer = await mergeCustomer(id, fromId); })) {
+      setToast({ message: "お客様を統合しました", type: "success" });
+    }
+    return customer;
+  };
+
+  // Backup actions resolve to their result, or null when the session had expired or they failed.
+  const handleBackup = async () => {
+    let backup = null;
+    await withAdmin(async () => { backup = await loadBackup(); });
+    return backup;
+  };
+
+  const handleLoadQuarantine = async () => {
+    let list = null;
+    await withAdmin(async () => { list = await loadQuarantine(); });
+    return list;
+  };
+
+  const handleRestoreBackup = async (backup) => {
+    let result = null;
+    if (!(await withAdmin(async () => { result = await restoreBackup(backup); }))) return null;
+    const [set, prods] = await Promise.all([loadData(SETTINGS_KEY, DEFAULT_SETTINGS), loadData(PRODUCTS_KEY, DEFAULT_PRODUCTS)]);
+    setSettings({ ...DEFAULT_SETTINGS, ...set });
+    setProducts(prods);
+    await refreshReservations();
+    setToast({
+      message: `予約${result.reservations}件を復元しました${result.problems.length ? `（破損${result.problems.length}件は除外）` : ""}`,
+      type: result.problems.length ? "error" : "success",
+    });
+    return result;
   };
 
-  const handleCancel = async (id) => {
-    await persist(reservations.map((r) => r.id === id ? { ...r, status: "cancelled" } : r));
+  // Customers cancel with their reservation code + phone; the admin list cancels by id.
+  const handleCancel = async (id, lookup) => {
+    let cancelled = null;
+    if (lookup) {
+      try {
+        cancelled = await cancelReservationByCode(lookup.code, lookup.phone);
+      } catch (e) {
+        setToast({ message: e.message, type: "error" });
+        return null;
+      }
+    } else if (!(await withAdmin(async () => { cancelled = await cancelReservation(id); }))) {
+      return null;
+    }
+    await refreshReservations();
     setToast({ message: "予約をキャンセルしました", type: "error" });
+    return cancelled;
   };
 
   if (loading) {
@@ -627,6 +3718,13 @@ export default function App() {
         body { margin: 0; background: ${colors.bg}; }
         input:focus, textarea:focus { border-color: ${colors.accent} !important; }
         button:hover:not(:disabled) { filter: brightness(0.96); }
+        @media print {
+          body { background: #fff; }
+          body * { visibility: hidden; }
+          .print-area, .print-area * { visibility: visible; }
+          .print-area { position: absolute; left: 0; top: 0; width: 100%; padding: 12px; }
+          .print-area .no-print { display: none !important; }
+        }
       `}</style>
 
       {toast && <Toast message={toast.message} type={toast.type} onClose={() => setToast(null)} />}
@@ -635,34 +3733,69 @@ export default function App() {
         <h1 style={{ margin: 0, fontSize: 20, fontWeight: 700, color: colors.text, letterSpacing: 2 }}>
           📦 倉庫ピック予約
         </h1>
-        <p style={{ margin: "4px 0 0", fontSize: 12, color: colors.sub }}>大阪アパレル倉庫　予約管理</p>
+        <p style={{ margin: "4px 0 0", fontSize: 12, color: colors.sub }}>{settings.warehouseName}　予約管理</p>
       </div>
 
       <div style={{ display: "flex", borderBottom: `1px solid ${colors.border}`, margin: "16px 20px 0" }}>
-        <button onClick={() => { setTab("reserve"); setSelectedTime(null); }} style={tabBtn("reserve")}>予約する</button>
-        <button onClick={() => setTab("list")} style={tabBtn("list")}>予約一覧</button>
+        <button onClick={() => { setTab("reserve"); setSelectedTime(null); setCompletedReservation(null); setCompletedSeries(null); }} style={tabBtn("reserve")}>予約する</button>
+        <button onClick={() => setTab("lookup")} style={tabBtn("lookup")}>予約確認</button>
         <button onClick={() => setTab("admin")} style={tabBtn("admin")}>管理</button>
       </div>
 
       <div style={{ padding: 20 }}>
         {tab === "reserve" && (
-          selectedTime ? (
+          completedSeries ? (
+            <SeriesComplete
+              series={completedSeries}
+              settings={settings}
+              onLookup={() => { setCompletedSeries(null); setTab("lookup"); }}
+              onDone={() => setCompletedSeries(null)}
+            />
+          ) : completedReservation ? (
+            <BookingComplete
+              reservation={completedReservation}
+              settings={settings}
+              title={completedReservation.history?.length ? "予約を変更しました" : undefined}
+              onLookup={() => { setCompletedReservation(null); setTab("lookup"); }}
+              onDone={() => setCompletedReservation(null)}
+            />
+          ) : selectedTime && rescheduling ? (
+            <RescheduleForm
+              reservation={rescheduling.reservation}
+              date={selectedDate}
+              startTime={selectedTime}
+              product={selectedProduct}
+              onConfirm={handleReschedule}
+              onCancel={() => setSelectedTime(null)}
+            />
+          ) : selectedTime ? (
             <BookingForm
               date={selectedDate}
               startTime={selectedTime}
               product={selectedProduct}
+              partySize={groupSize}
+              occupancy={occupancy}
               settings={settings}
+              waitlist={waitlisting}
               onConfirm={handleConfirm}
               onCancel={() => setSelectedTime(null)}
+              onFindCustomer={findCustomerByPhone}
             />
           ) : (
             <>
-              <ProductPicker selected={selectedProduct} onSelect={(p) => { setSelectedProduct(p); setSelectedTime(null); }} />
+              {rescheduling && <RescheduleBanner reservation={rescheduling.reservation} onAbort={abortReschedule} />}
+
+              <ProductPicker products={products} selected={selectedProduct}
+                onSelect={(p) => { setSelectedProductId(p.id); setSelectedTime(null); }} />
+
+              {selectedProduct && !rescheduling && (
+                <PartySizePicker product={selectedProduct} settings={settings} value={groupSize} onChange={setPartySize} />
+              )}
 
               <Calendar
                 selectedDate={selectedDate}
                 onSelect={(d) => { setSelectedDate(d); setSelectedTime(null); }}
-                reservations={reservations}
+                occupancy={occupancy}
                 settings={settings}
                 currentMonth={currentMonth}
                 setCurrentMonth={setCurrentMonth}
@@ -671,26 +3804,55 @@ export default function App() {
               <TimeSlotPicker
                 date={selectedDate}
                 product={selectedProduct}
-                reservations={reservations}
+                partySize={groupSize}
+                occupancy={occupancy}
                 settings={settings}
-                onSelect={setSelectedTime}
+                onSelect={(time) => selectTime(time)}
+                onWaitlist={rescheduling ? undefined : (time) => selectTime(time, true)}
+                current={rescheduling?.reservation}
+                ignoreRules={Boolean(rescheduling && !rescheduling.lookup)}
               />
             </>
           )
         )}
 
-        {tab === "list" && (
-          <ReservationList reservations={reservations} onCancel={handleCancel} />
+        {tab === "lookup" && (
+          <ReservationLookup
+            settings={settings}
+            onLookup={lookupReservation}
+            onCancel={(code, phone) => handleCancel(null, { code, phone })}
+            onCancelSeries={(code, phone) => handleCancelSeries(null, { code, phone })}
+            onReschedule={startReschedule}
+          />
         )}
 
-        {tab === "admin" && (
+        {tab === "admin" && (isAdmin ? (
           <AdminPanel
             reservations={reservations}
             settings={settings}
+            products={products}
             onSettingsChange={persistSettings}
+            onProductsChange={persistProducts}
             onDeleteReservation={handleCancel}
+            onRescheduleReservation={(r) => startReschedule(r)}
+            onCancelSeries={(seriesId) => handleCancelSeries(seriesId)}
+            onRescheduleSeries={handleRescheduleSeries}
+            onImportReservations={handleImport}
+            onStatusChange={handleStatusChange}
+            onLoadAudit={handleLoadAudit}
+            onRestoreReservation={handleRestore}
+            onLoadCustomers={handleLoadCustomers}
+            onSaveCustomer={handleSaveCustomer}
+            onMergeCustomer={handleMergeCustomer}
+            onBackup={handleBackup}
+            onRestoreBackup={handleRestoreBackup}
+            onLoadQuarantine={handleLoadQuarantine}
+            onPasscodeChange={handlePasscodeChange}
+            onLogout={() => endAdminSession()}
           />
-        )}
+        ) : (
+          <AdminLogin onCheckConfigured={isAdminConfigured} onLogin={handleAdminLogin} onSetup={handleAdminSetup} />
+        ))}
       </div>
     </div>
   );
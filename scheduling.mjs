@@ -0,0 +1,567 @@
+// Scheduling core shared by the booking UIs (pick-reservation.jsx, index.html) and the API server
+// (server.mjs). Pure functions only — no React, storage or DOM access. Tests: `node --test test/`.
+import { holidayName, closureMatches } from "./holidays.mjs";
+
+// ─── Constants matching spreadsheet settings ───
+// Initial catalog only — the live catalog is edited in AdminPanel and stored under PRODUCTS_KEY.
+export const DEFAULT_PRODUCTS = [
+  { id: "quarter", name: "クォーター", requiredSlots: 1, durationMin: 60, description: "", order: 1, price: 0, maxPartySize: 0, resourceKinds: [], active: true },
+  { id: "half", name: "ハーフ", requiredSlots: 3, durationMin: 120, description: "", order: 2, price: 0, maxPartySize: 0, resourceKinds: [], active: true },
+  { id: "full", name: "フル", requiredSlots: 2, durationMin: 180, description: "", order: 3, price: 0, maxPartySize: 0, resourceKinds: [], active: true },
+  { id: "pick-guide-half", name: "ピック指導（ハーフ）", requiredSlots: 3, durationMin: 180, description: "", order: 4, price: 0, maxPartySize: 0, resourceKinds: ["instructor"], active: true },
+  { id: "pick-guide-full", name: "ピック指導（フル）", requiredSlots: 2, durationMin: 240, description: "", order: 5, price: 0, maxPartySize: 0, resourceKinds: ["instructor"], active: true },
+];
+
+export const DEFAULT_SETTINGS = {
+  maxCapacity: 6,
+  openHour: 9,
+  openMin: 0,
+  closeHour: 19,
+  closeMin: 0,
+  slotIntervalMin: 30,
+  calendarMonths: 3,
+  // Dates closed by hand. They always win over everything below.
+  holidays: [],
+  // Close on Japanese national holidays (see holidays.mjs).
+  autoHolidays: false,
+  // { id, name, from: "MM-DD", to: "MM-DD" } closed every year, e.g. obon or New Year.
+  recurringClosures: [],
+  // Dates opened by hand despite a national holiday or recurring closure.
+  openDates: [],
+  // Indexed by Date#getDay(). null = standard hours above, { closed: true } = closed,
+  // otherwise { openHour, openMin, closeHour, closeMin } for that weekday.
+  weeklyHours: [null, null, null, null, null, null, null],
+  // Per-date exceptions in the same shape plus `date`; they take precedence over weeklyHours.
+  hourOverrides: [],
+  // { id, dateFrom, dateTo, weekdays, startTime, endTime, capacity } — empty fields match everything.
+  // When several rules match a slot the lowest capacity applies.
+  capacityRules: [],
+  // Named instructors, lanes and zones; products list the kinds they need in `resourceKinds`.
+  // { id, name, kind, active, weekdays, startTime, endTime, daysOff } — empty weekdays and times
+  // mean whenever the warehouse is open; daysOff lists dates the resource is away.
+  resources: [
+    { id: "instructor-1", name: "指導員1", kind: "instructor", active: true, weekdays: [], startTime: "", endTime: "", daysOff: [] },
+  ],
+  // Admin sessions expire after this many minutes without admin activity.
+  adminSessionMinutes: 30,
+  // Bookings from a phone number with this many no-shows are refused; 0 = never refuse.
+  noShowBlockThreshold: 0,
+  // Rules for customers (the admin is not bound by them); 0 or "" switches a rule off.
+  minLeadMinutes: 0, // bookings must start at least this long after now
+  sameDayCutoff: "", // "HH:MM" after which same-day bookings are closed
+  cancelDeadlineHours: 0, // customers cannot cancel or move a booking this close to its start
+  maxActivePerPhone: 0, // upcoming bookings (incl. waitlist) one phone number may hold
+  // Added per person to the product price (see billing.mjs).
+  // { id, label, weekdays, holidays, startTime, endTime, kind: "percent" | "yen", amount }
+  surcharges: [],
+  // Prices are tax included; statements show the tax they contain at this rate.
+  taxRatePercent: 10,
+  // Issuer printed on statements (the warehouse name when empty) and its invoice registration number.
+  invoiceIssuer: "",
+  invoiceRegistrationNumber: "",
+  // Shown in the header and written into calendar (.ics) files.
+  warehouseName: "大阪アパレル倉庫",
+  warehouseAddress: "",
+};
+
+export const STATUS_LABELS = {
+  confirmed: "確定", checked_in: "来店済み", completed: "完了", no_show: "無断キャンセル",
+  waitlisted: "キャンセル待ち", cancelled: "キャンセル",
+};
+
+export const STORAGE_KEY = "pick-reservations-v2";
+export const SETTINGS_KEY = "pick-settings-v2";
+export const PRODUCTS_KEY = "pick-products-v2";
+// { salt, hash, iterations } — PBKDF2-SHA256 of the admin passcode, hex encoded.
+export const AUTH_KEY = "pick-admin-v2";
+export const PASSCODE_ITERATIONS = 100000;
+// Notification retry queue (server only); see notifications.mjs.
+export const OUTBOX_KEY = "pick-outbox-v2";
+// Append-only change log; see audit.mjs.
+export const AUDIT_KEY = "pick-audit-v2";
+// Customer registry keyed by phone number; see customers.mjs.
+export const CUSTOMERS_KEY = "pick-customers-v2";
+// { schemaVersion } of the documents above; see schema.mjs.
+export const META_KEY = "pick-meta-v2";
+// Records that failed validation on load or restore, kept with the reason instead of being dropped.
+export const QUARANTINE_KEY = "pick-quarantine-v2";
+
+// ─── Utilities ───
+export const pad2 = (n) => String(n).padStart(2, "0");
+export const fmtDate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+export const parseDate = (s) => { const [y, m, d] = s.split("-").map(Number); return new Date(y, m - 1, d); };
+export const fmtTime = (h, m) => `${pad2(h)}:${pad2(m)}`;
+
+export const timeToMinutes = (t) => {
+  const [h, m] = t.split(":").map(Number);
+  return h * 60 + m;
+};
+
+export const minutesToTime = (min) => fmtTime(Math.floor(min / 60), min % 60);
+
+// Round-tripping rejects impossible values such as 2025-02-30 or 9:75.
+export const isValidDate = (s) => /^\d{4}-\d{2}-\d{2}$/.test(s) && fmtDate(parseDate(s)) === s;
+export const isValidTime = (s) => /^\d{2}:\d{2}$/.test(s) && minutesToTime(timeToMinutes(s)) === s && s < "24:00";
+
+// ─── Availability ───
+// Why the whole date is closed (shown to customers), or null when it is not.
+export const getClosure = (dateStr, settings) => {
+  if (settings.holidays.includes(dateStr)) return "休業日";
+  if (settings.openDates.includes(dateStr)) return null;
+  const holiday = settings.autoHolidays && holidayName(dateStr);
+  if (holiday) return holiday;
+  const closure = settings.recurringClosures.find((c) => closureMatches(c, dateStr));
+  return closure ? closure.name || "休業期間" : null;
+};
+
+// Effective opening hours for a date in minutes since midnight, or null when closed.
+export const getBusinessHours = (dateStr, settings) => {
+  if (getClosure(dateStr, settings)) return null;
+  const override = settings.hourOverrides.find((o) => o.date === dateStr);
+  const hours = override || settings.weeklyHours[parseDate(dateStr).getDay()] || settings;
+  if (hours.closed) return null;
+  return { openMin: hours.openHour * 60 + hours.openMin, closeMin: hours.closeHour * 60 + hours.closeMin };
+};
+
+export const generateTimeSlots = (settings, dateStr) => {
+  const slots = [];
+  const hours = getBusinessHours(dateStr, settings);
+  if (!hours) return slots;
+  let h = Math.floor(hours.openMin / 60), m = hours.openMin % 60;
+  while (h * 60 + m < hours.closeMin) {
+    slots.push({ hour: h, min: m, label: fmtTime(h, m) });
+    m += settings.slotIntervalMin;
+    if (m >= 60) { h += Math.floor(m / 60); m = m % 60; }
+  }
+  return slots;
+};
+
+// Bookings start on their day's slot grid: canBook only checks capacity at grid times, so an
+// off-grid start would overlap bookings it never counted.
+export const isSlotStart = (dateStr, startTime, settings) => generateTimeSlots(settings, dateStr).some((s) => s.label === startTime);
+
+// Statuses that hold capacity. A no-show releases its slot, e.g. for a walk-in.
+const OCCUPYING_STATUSES = ["confirmed", "checked_in", "completed"];
+export const occupiesSlot = (r) => OCCUPYING_STATUSES.includes(r.status);
+
+// A group booking takes the product's `requiredSlots` for every person in it. Works on products
+// and reservations alike; records without `partySize` are for one person.
+export const slotUsage = (r) => r.requiredSlots * (r.partySize || 1);
+
+// Largest group a product can be booked for: its `maxPartySize` (0 = no cap of its own), and never
+// more than fits into the standard capacity.
+export const partySizeLimit = (product, settings) => {
+  const fits = Math.max(1, Math.floor(settings.maxCapacity / product.requiredSlots));
+  return product.maxPartySize > 0 ? Math.min(product.maxPartySize, fits) : fits;
+};
+
+// ─── Occupancy index ───
+// Places in use per date and slot, so availability checks look at one day's bookings instead of
+// scanning the whole list. Build it once with createOccupancyIndex, then keep it current with
+// add/remove, or with sync, which only touches the records that changed. Reservations are told
+// apart by id.
+//
+// Every function below that takes `reservations` accepts a list or an index. A list is indexed on
+// first use and the index is kept for as long as the list is, so a list must not be modified in
+// place once it has been passed in (the code here always builds new lists instead).
+const spanOf = (r) => occupiesSlot(r) ? {
+  date: r.date, start: timeToMinutes(r.startTime), end: timeToMinutes(r.endTime), usage: slotUsage(r),
+  resources: (r.resources || []).map((res) => res.id).join(","),
+} : null;
+
+const sameSpan = (a, b) => a === b || (a !== null && b !== null
+  && a.date === b.date && a.start === b.start && a.end === b.end && a.usage === b.usage && a.resources === b.resources);
+
+export const createOccupancyIndex = (reservations = []) => {
+  const entries = new Map(); // reservation id → { record, span }
+  const days = new Map(); // date → { spans: Set of spans, sums: Map of minute → places (filled on demand) }
+  const keyOf = (r) => r.id ?? r;
+
+  const touch = (date) => {
+    if (!days.has(date)) days.set(date, { spans: new Set(), sums: new Map() });
+    const day = days.get(date);
+    day.sums.clear();
+    return day;
+  };
+  const drop = (key) => {
+    const span = entries.get(key)?.span;
+    entries.delete(key);
+    if (!span) return;
+    const day = touch(span.date);
+    day.spans.delete(span);
+    if (day.spans.size === 0) days.delete(span.date);
+  };
+  const put = (r) => {
+    const key = keyOf(r);
+    const entry = entries.get(key);
+    if (entry?.record === r) return;
+    const span = spanOf(r);
+    if (entry && sameSpan(entry.span, span)) {
+      entry.record = r;
+      return;
+    }
+    drop(key);
+    entries.set(key, { record: r, span });
+    if (span) touch(span.date).spans.add(span);
+  };
+
+  const index = {
+    // Adds a reservation, or replaces the one with the same id (e.g. after a status change).
+    add: (r) => { put(r); return index; },
+    remove: (r) => { drop(keyOf(r)); return index; },
+    // Brings the index in line with a new version of the list.
+    sync: (list) => {
+      const seen = new Set();
+      for (const r of list) {
+        seen.add(keyOf(r));
+        put(r);
+      }
+      if (seen.size < entries.size) for (const key of [...entries.keys()]) if (!seen.has(key)) drop(key);
+      return index;
+    },
+    at: (date, slotLabel) => {
+      const day = days.get(date);
+      if (!day) return 0;
+      const minute = timeToMinutes(slotLabel);
+      if (!day.sums.has(minute)) {
+        let sum = 0;
+        for (const span of day.spans) if (minute >= span.start && minute < span.end) sum += span.usage;
+        day.sums.set(minute, sum);
+      }
+      return day.sums.get(minute);
+    },
+    // Ids of the resources held by bookings that overlap [startMin, endMin) on the date.
+    busyResources: (date, startMin, endMin) => {
+      const busy = new Set();
+      for (const span of days.get(date)?.spans || []) {
+        if (span.resources && span.start < endMin && startMin < span.end) span.resources.split(",").forEach((id) => busy.add(id));
+      }
+      return busy;
+    },
+  };
+  for (const r of reservations) put(r);
+  return index;
+};
+
+const listIndexes = new WeakMap();
+
+const occupancyOf = (reservations) => {
+  if (!Array.isArray(reservations)) return reservations;
+  if (!listIndexes.has(reservations)) listIndexes.set(reservations, createOccupancyIndex(reservations));
+  return listIndexes.get(reservations);
+};
+
+// A booking holds every slot from its start up to, not including, its end.
+export const getSlotOccupancy = (date, slotLabel, reservations) => occupancyOf(reservations).at(date, slotLabel);
+
+const capacityRuleMatches = (rule, date, slotLabel) => {
+  if (rule.dateFrom && date < rule.dateFrom) return false;
+  if (rule.dateTo && date > rule.dateTo) return false;
+  if (rule.weekdays.length > 0 && !rule.weekdays.includes(parseDate(date).getDay())) return false;
+  if (rule.startTime && slotLabel < rule.startTime) return false;
+  if (rule.endTime && slotLabel >= rule.endTime) return false;
+  return true;
+};
+
+export const getSlotCapacity = (date, slotLabel, settings) => {
+  const matched = settings.capacityRules.filter((rule) => capacityRuleMatches(rule, date, slotLabel));
+  return matched.length > 0 ? Math.min(...matched.map((rule) => rule.capacity)) : settings.maxCapacity;
+};
+
+// `product` may carry a `partySize`; a reservation can be passed in its place.
+export const canBook = (date, startTime, product, reservations, settings) => {
+  const startMin = timeToMinutes(startTime);
+  const endMin = startMin + product.durationMin;
+  const hours = getBusinessHours(date, settings);
+  if (!hours || startMin < hours.openMin || endMin > hours.closeMin) return false;
+  const occupancy = occupancyOf(reservations);
+  for (let m = startMin; m < endMin; m += settings.slotIntervalMin) {
+    const slotLabel = fmtTime(Math.floor(m / 60), m % 60);
+    const occ = occupancy.at(date, slotLabel);
+    if (occ + slotUsage(product) > getSlotCapacity(date, slotLabel, settings)) return false;
+  }
+  return assignResources(date, startTime, product, occupancy, settings) !== null;
+};
+
+// ─── Resources ───
+// A product that needs resources can only be booked when, besides the headcount, one resource of
+// each kind in its `resourceKinds` works for the whole booking and is not held by another one.
+// The resources picked are stored on the reservation as `resources: [{ id, name, kind }]`.
+export const RESOURCE_KINDS = { instructor: "指導員", lane: "レーン・ゾーン" };
+
+const resourceWorks = (resource, date, startMin, endMin) => resource.active
+  && !resource.daysOff.includes(date)
+  && (resource.weekdays.length === 0 || resource.weekdays.includes(parseDate(date).getDay()))
+  && (!resource.startTime || startMin >= timeToMinutes(resource.startTime))
+  && (!resource.endTime || endMin <= timeToMinutes(resource.endTime));
+
+// The resources for a booking, or null when some kind has none free. A reservation passed as
+// `product` keeps the resources it already holds whenever they are still free.
+export const assignResources = (date, startTime, product, reservations, settings) => {
+  const kinds = product.resourceKinds || [];
+  if (kinds.length === 0) return [];
+  const startMin = timeToMinutes(startTime);
+  const endMin = startMin + product.durationMin;
+  const busy = occupancyOf(reservations).busyResources(date, startMin, endMin);
+  const held = new Set((product.resources || []).map((r) => r.id));
+  const assigned = [];
+  for (const kind of kinds) {
+    const free = settings.resources
+      .filter((r) => r.kind === kind && !busy.has(r.id) && !assigned.some((a) => a.id === r.id) && resourceWorks(r, date, startMin, endMin))
+      .sort((a, b) => held.has(b.id) - held.has(a.id))[0];
+    if (!free) return null;
+    assigned.push({ id: free.id, name: free.name, kind });
+  }
+  return assigned;
+};
+
+// Call once canBook has accepted the reservation, whenever it starts holding a slot (booked,
+// promoted, moved or restored). `reservations` must not include the reservation itself.
+export const withResources = (reservation, reservations, settings) => {
+  const resources = assignResources(reservation.date, reservation.startTime, reservation, reservations, settings) || [];
+  return resources.length === 0 && !reservation.resources ? reservation : { ...reservation, resources };
+};
+
+export const resourceNames = (reservation) => (reservation.resources || []).map((r) => r.name).join("・");
+
+export const getDateAvailability = (dateStr, reservations, settings) => {
+  const slots = generateTimeSlots(settings, dateStr);
+  if (slots.length === 0) return 0;
+  const occupancy = occupancyOf(reservations);
+  let totalAvail = 0;
+  let maxPossible = 0;
+  for (const slot of slots) {
+    const capacity = getSlotCapacity(dateStr, slot.label, settings);
+    const occ = occupancy.at(dateStr, slot.label);
+    totalAvail += Math.max(0, capacity - occ);
+    maxPossible += capacity;
+  }
+  return maxPossible > 0 ? totalAvail / maxPossible : 0;
+};
+
+// ─── Reservation codes ───
+// Shown to the customer after booking; together with the phone number it is their only way to
+// look up or cancel the reservation. Ambiguous characters (0/O, 1/I) are left out.
+const CODE_CHARS = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+export const normalizeCode = (code) => String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+// Digits only, with an international +81 prefix turned back into the domestic leading 0.
+export const normalizePhone = (phone) => {
+  const text = String(phone || "").normalize("NFKC");
+  const digits = text.replace(/\D/g, "");
+  return /^\s*\+81/.test(text) ? `0${digits.slice(2).replace(/^0/, "")}` : digits;
+};
+
+export const generateReservationCode = (reservations) => {
+  const taken = new Set(reservations.map((r) => normalizeCode(r.code)));
+  let code;
+  do {
+    code = Array.from({ length: 6 }, () => CODE_CHARS[Math.floor(Math.random() * CODE_CHARS.length)]).join("");
+  } while (taken.has(code));
+  return `${code.slice(0, 3)}-${code.slice(3)}`;
+};
+
+export const findReservationByCode = (reservations, code, phone) => {
+  const c = normalizeCode(code), p = normalizePhone(phone);
+  if (!c || !p) return null;
+  return reservations.find((r) => r.code && normalizeCode(r.code) === c && normalizePhone(r.phone) === p) || null;
+};
+
+// ─── Rescheduling ───
+// The day-before reminder is queued once per booking (see queueReminders in server.mjs), for the
+// date and time it held then. A booking that moves, or takes a slot again, needs a new one.
+export const forgetReminder = ({ reminderQueuedAt, ...reservation }) => reservation;
+
+// Moves a reservation in place: same id and code, new date/time/product snapshot, and one entry
+// appended to `history` recording where it was before. Capacity is the caller's job — check
+// canBook against the list *without* this reservation first.
+export const applyReschedule = (reservation, { date, startTime, product }, by, at = new Date().toISOString()) => ({
+  ...(date !== reservation.date || startTime !== reservation.startTime ? forgetReminder(reservation) : reservation),
+  date, startTime, endTime: minutesToTime(timeToMinutes(startTime) + product.durationMin),
+  productId: product.id, productName: product.name,
+  requiredSlots: product.requiredSlots, durationMin: product.durationMin, resourceKinds: product.resourceKinds || [],
+  history: [...(reservation.history || []), {
+    at, by,
+    from: {
+      date: reservation.date, startTime: reservation.startTime, endTime: reservation.endTime,
+      productId: reservation.productId, productName: reservation.productName,
+    },
+  }],
+});
+
+// ─── Waitlist ───
+// A waitlisted entry is a normal reservation record with status "waitlisted": it has a code, can be
+// looked up and cancelled, and does not count towards occupancy. Joining only makes sense when the
+// product could fit the slot at all, i.e. it is full because of other bookings.
+export const canWaitlist = (date, startTime, product, settings) => canBook(date, startTime, product, [], settings);
+
+// Called after anything that frees capacity. Entries are offered the slot in the order they joined;
+// an entry that still does not fit is skipped, so a smaller booking behind it can be confirmed.
+// Promoted entries are confirmed immediately. Entries for days before `today` are left as they are.
+export const promoteWaitlist = (reservations, settings, today, at = new Date().toISOString()) => {
+  const waiting = reservations.filter((r) => r.status === "waitlisted" && r.date >= today);
+  if (waiting.length === 0) return { reservations, promoted: [] };
+  // Only the days someone is waiting for need indexing.
+  const dates = new Set(waiting.map((r) => r.date));
+  const occupancy = createOccupancyIndex(reservations.filter((r) => dates.has(r.date)));
+  const promoted = new Map();
+  for (const entry of waiting) {
+    if (!canBook(entry.date, entry.startTime, entry, occupancy, settings)) continue;
+    const confirmed = withResources({ ...entry, status: "confirmed", promotedAt: at }, occupancy, settings);
+    occupancy.add(confirmed);
+    promoted.set(entry.id, confirmed);
+  }
+  if (promoted.size === 0) return { reservations, promoted: [] };
+  return { reservations: reservations.map((r) => promoted.get(r.id) || r), promoted: [...promoted.values()] };
+};
+
+// ─── Recurring series ───
+// A series is a set of ordinary reservations sharing `seriesId` (and `recurrence`, for display).
+// Each occurrence keeps its own code and can be looked up, moved or cancelled on its own; series
+// actions apply to the occurrences that are still ahead.
+export const RECURRENCE_LABELS = { weekly: "毎週", biweekly: "隔週", monthly: "毎月" };
+export const MAX_OCCURRENCES = 52;
+
+// Dates from `startDate` on, up to `until` (inclusive) or `count` dates, whichever ends first.
+// Monthly series keep the day of the month and skip months without it (e.g. the 31st).
+export const expandRecurrence = (startDate, { frequency, until = "", count = 0 }) => {
+  const start = parseDate(startDate);
+  const limit = count > 0 ? Math.min(count, MAX_OCCURRENCES) : MAX_OCCURRENCES;
+  const dates = [];
+  for (let i = 0; dates.length < limit && i < MAX_OCCURRENCES * 2; i++) {
+    const d = frequency === "monthly"
+      ? new Date(start.getFullYear(), start.getMonth() + i, start.getDate())
+      : new Date(start.getFullYear(), start.getMonth(), start.getDate() + i * (frequency === "biweekly" ? 14 : 7));
+    if (d.getDate() !== start.getDate() && frequency === "monthly") continue;
+    if (until && fmtDate(d) > until) break;
+    dates.push(fmtDate(d));
+  }
+  return dates;
+};
+
+// Checks each date as a single booking would be checked. `reason` tells a closed day or a slot
+// outside that day's hours apart from a full one.
+export const planSeries = (dates, startTime, product, reservations, settings) => dates.map((date) => {
+  if (!isSlotStart(date, startTime, settings)) return { date, ok: false, reason: "休業日・営業時間外" };
+  if (canBook(date, startTime, product, reservations, settings)) return { date, ok: true };
+  return { date, ok: false, reason: canWaitlist(date, startTime, product, settings) ? "満員" : "休業日・営業時間外" };
+});
+
+// Books every date of the series that fits and returns the others as conflicts ({ date, reason }).
+// `base` holds what all occurrences share: customer details, startTime/endTime and the product snapshot.
+export const bookSeries = (reservations, settings, { base, dates, frequency, seriesId, genId, at = new Date().toISOString() }) => {
+  const plan = planSeries(dates, base.startTime, base, reservations, settings);
+  const occupancy = createOccupancyIndex(reservations);
+  let next = reservations;
+  const booked = [];
+  for (const { date } of plan.filter((o) => o.ok)) {
+    const reservation = withResources({
+      ...base, id: genId(), code: generateReservationCode(next), date,
+      seriesId, recurrence: frequency, status: "confirmed", createdAt: at,
+    }, occupancy, settings);
+    occupancy.add(reservation);
+    next = [...next, reservation];
+    booked.push(reservation);
+  }
+  return { reservations: next, booked, conflicts: plan.filter((o) => !o.ok) };
+};
+
+export const upcomingInSeries = (reservations, seriesId, today) => reservations
+  .filter((r) => r.seriesId === seriesId && r.date >= today && ["confirmed", "waitlisted"].includes(r.status))
+  .sort((a, b) => a.date.localeCompare(b.date));
+
+// Moves every upcoming confirmed occurrence to a new start time and/or product on its own date.
+// Occurrences that would not fit keep their slot and come back as conflicts.
+export const rescheduleSeries = (reservations, seriesId, { startTime, product }, settings, today, by, at = new Date().toISOString()) => {
+  let next = reservations;
+  const occupancy = createOccupancyIndex(reservations);
+  const changed = [];
+  const conflicts = [];
+  for (const r of upcomingInSeries(reservations, seriesId, today)) {
+    if (r.status !== "confirmed" || (r.startTime === startTime && r.productId === product.id)) continue;
+    occupancy.remove(r);
+    if (!isSlotStart(r.date, startTime, settings) || !canBook(r.date, startTime, { ...product, partySize: r.partySize }, occupancy, settings)) {
+      occupancy.add(r);
+      conflicts.push(r);
+      continue;
+    }
+    const moved = withResources(applyReschedule(r, { date: r.date, startTime, product }, by, at), occupancy, settings);
+    next = next.map((o) => o.id === r.id ? moved : o);
+    occupancy.add(moved);
+    changed.push(moved);
+  }
+  return { reservations: next, changed, conflicts };
+};
+
+// ─── Booking rules ───
+const slotStart = (date, startTime) => {
+  const d = parseDate(date);
+  d.setMinutes(timeToMinutes(startTime));
+  return d;
+};
+
+export const fmtDuration = (minutes) => minutes % 60 === 0 ? `${minutes / 60}時間` : `${minutes}分`;
+
+// Why a customer cannot book this slot at `now`, or null when they can.
+export const bookingRuleViolation = (date, startTime, settings, now = new Date()) => {
+  const start = slotStart(date, startTime);
+  if (start <= now) return "開始時刻を過ぎています";
+  if (settings.minLeadMinutes > 0 && start - now < settings.minLeadMinutes * 60 * 1000) {
+    return `ご予約は開始${fmtDuration(settings.minLeadMinutes)}前までです`;
+  }
+  if (settings.sameDayCutoff && date === fmtDate(now) && fmtTime(now.getHours(), now.getMinutes()) >= settings.sameDayCutoff) {
+    return `当日のご予約は${settings.sameDayCutoff}までです`;
+  }
+  return null;
+};
+
+// Why a customer can no longer cancel or move this booking themselves, or null. Waitlist entries
+// hold no slot, so they can always be withdrawn.
+export const cancelRuleViolation = (reservation, settings, now = new Date()) => {
+  if (reservation.status !== "confirmed" || !(settings.cancelDeadlineHours > 0)) return null;
+  if (slotStart(reservation.date, reservation.startTime) - now >= settings.cancelDeadlineHours * 60 * 60 * 1000) return null;
+  return `開始${settings.cancelDeadlineHours}時間前を過ぎたため、オンラインでは取消・変更できません。お手数ですが店舗までご連絡ください`;
+};
+
+export const countActiveReservations = (reservations, phone, today) => {
+  const p = normalizePhone(phone);
+  return reservations.filter((r) =>
+    ["confirmed", "waitlisted"].includes(r.status) && r.date >= today && normalizePhone(r.phone) === p).length;
+};
+
+// `adding` is how many bookings the request would create (a series books several at once).
+export const phoneLimitViolation = (reservations, phone, settings, today, adding = 1) =>
+  settings.maxActivePerPhone > 0 && countActiveReservations(reservations, phone, today) + adding > settings.maxActivePerPhone
+    ? `同じ電話番号でお持ちいただける予約は${settings.maxActivePerPhone}件までです`
+    : null;
+
+// ─── Attendance ───
+// Admin-only lifecycle after confirmation. Each step back is allowed so a mis-tap can be undone.
+export const STATUS_TRANSITIONS = {
+  confirmed: ["checked_in", "no_show"],
+  checked_in: ["completed", "confirmed"],
+  completed: ["checked_in"],
+  no_show: ["confirmed"],
+};
+
+const STATUS_TIMESTAMPS = { checked_in: "checkedInAt", completed: "completedAt", no_show: "noShowAt" };
+
+export const canChangeStatus = (reservation, status) => (STATUS_TRANSITIONS[reservation.status] || []).includes(status);
+
+// Records when each status was first reached. Stepping back drops the timestamp of the status left
+// behind; checked_in → completed keeps checkedInAt since both happened.
+export const applyStatus = (reservation, status, at = new Date().toISOString()) => {
+  const next = { ...(occupiesSlot({ status }) && !occupiesSlot(reservation) ? forgetReminder(reservation) : reservation), status };
+  const left = STATUS_TIMESTAMPS[reservation.status];
+  if (left && !(reservation.status === "checked_in" && status === "completed")) delete next[left];
+  if (STATUS_TIMESTAMPS[status] && !next[STATUS_TIMESTAMPS[status]]) next[STATUS_TIMESTAMPS[status]] = at;
+  return next;
+};
+
+export const countNoShows = (reservations, phone) => {
+  const p = normalizePhone(phone);
+  return p ? reservations.filter((r) => r.status === "no_show" && normalizePhone(r.phone) === p).length : 0;
+};
+
+export const isBlockedForNoShows = (reservations, phone, settings) =>
+  settings.noShowBlockThreshold > 0 && countNoShows(reservations, phone) >= settings.noShowBlockThreshold;
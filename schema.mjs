@@ -0,0 +1,259 @@
+// Versioned storage layout: migrations between schema versions, validation of stored records and
+// full JSON backups. Pure functions only; server.mjs, index.html and the local mode of
+// pick-reservation.jsx read and write the documents.
+import {
+  STORAGE_KEY, SETTINGS_KEY, PRODUCTS_KEY, AUDIT_KEY, CUSTOMERS_KEY, STATUS_LABELS, DEFAULT_PRODUCTS, DEFAULT_SETTINGS,
+  generateReservationCode, fmtDate, occupiesSlot, withResources,
+} from "./scheduling.mjs";
+import { recordCustomers } from "./customers.mjs";
+import { priceReservations } from "./billing.mjs";
+
+// 1: index.html (pick-res-v2 / pick-set-v2 / pick-prod-v2)
+// 2: pick-reservation.jsx before the version was recorded
+// 3: reservations always carry a code, partySize and email
+// 4: customer registry, built from the phone numbers of the existing reservations
+// 5: upcoming reservations carry the price they were booked at
+// 6: upcoming bookings of products that need resources (instructors, lanes) hold them
+export const SCHEMA_VERSION = 6;
+export const BACKUP_FORMAT = "pick-reservation-backup";
+// Documents carried by backups and checked on load. The admin passcode and the notification queue
+// belong to one installation and are left out.
+export const DATA_KEYS = [STORAGE_KEY, SETTINGS_KEY, PRODUCTS_KEY, AUDIT_KEY, CUSTOMERS_KEY];
+
+// Where index.html kept the same documents (schema version 1).
+export const LEGACY_KEYS = { "pick-res-v2": STORAGE_KEY, "pick-set-v2": SETTINGS_KEY, "pick-prod-v2": PRODUCTS_KEY };
+
+// MIGRATIONS[n] turns the documents (key → value) of version n into version n + 1.
+const MIGRATIONS = {
+  1: (data) => {
+    const next = { ...data };
+    for (const [legacy, key] of Object.entries(LEGACY_KEYS)) {
+      if (!(legacy in next)) continue;
+      if (next[key] === undefined) next[key] = next[legacy];
+      delete next[legacy];
+    }
+    return next;
+  },
+  2: (data) => {
+    if (!Array.isArray(data[STORAGE_KEY])) return data;
+    const migrated = [];
+    for (const r of data[STORAGE_KEY]) {
+      // Anything that is not a record is left for validateData to report.
+      migrated.push(r && typeof r === "object"
+        ? { partySize: 1, email: "", ...r, code: r.code || generateReservationCode([...data[STORAGE_KEY], ...migrated]) }
+        : r);
+    }
+    return { ...data, [STORAGE_KEY]: migrated };
+  },
+  3: (data) => {
+    if (!Array.isArray(data[STORAGE_KEY]) || data[CUSTOMERS_KEY] !== undefined) return data;
+    const byCreation = [...data[STORAGE_KEY]].sort((a, b) => String(a?.createdAt || "").localeCompare(String(b?.createdAt || "")));
+    return { ...data, [CUSTOMERS_KEY]: recordCustomers([], [], byCreation, { genId: migrationId }) };
+  },
+  // Upcoming reservations are priced at today's prices. Past ones (completed ones included) stay
+  // unpriced, so statements never bill them at a price nobody was quoted; ones validateData will
+  // reject are left alone.
+  4: (data) => {
+    if (!Array.isArray(data[STORAGE_KEY])) return data;
+    const products = Array.isArray(data[PRODUCTS_KEY]) ? data[PRODUCTS_KEY].filter(isRecord) : DEFAULT_PRODUCTS;
+    const settings = { ...DEFAULT_SETTINGS, ...(isRecord(data[SETTINGS_KEY]) && data[SETTINGS_KEY]) };
+    const customers = Array.isArray(data[CUSTOMERS_KEY]) ? data[CUSTOMERS_KEY].filter((c) => isRecord(c) && Array.isArray(c.phones)) : [];
+    const today = fmtDate(new Date());
+    const valid = data[STORAGE_KEY].filter((r) => isRecord(r) && reservationErrors(r).every((e) => !e) && r.date >= today);
+    const priced = new Map(priceReservations([], valid, { products, settings, customers }).map((r) => [r.id, r]));
+    return { ...data, [STORAGE_KEY]: data[STORAGE_KEY].map((r) => valid.includes(r) ? priced.get(r.id) : r) };
+  },
+  // Bookings made before resources existed hold none, so the instructor they use could be booked
+  // twice. Upcoming ones are given theirs, earliest booked first; one that finds none free keeps
+  // its slot without.
+  5: (data) => {
+    if (!Array.isArray(data[STORAGE_KEY])) return data;
+    const products = Array.isArray(data[PRODUCTS_KEY]) ? data[PRODUCTS_KEY].filter(isRecord) : DEFAULT_PRODUCTS;
+    const settings = { ...DEFAULT_SETTINGS, ...(isRecord(data[SETTINGS_KEY]) && data[SETTINGS_KEY]) };
+    const today = fmtDate(new Date());
+    const kindsOf = (r) => products.find((p) => p.id === r.productId)?.resourceKinds || [];
+    const isValid = (r) => isRecord(r) && reservationErrors(r).every((e) => !e);
+    const pending = data[STORAGE_KEY]
+      .filter((r) => isValid(r) && r.date >= today && occupiesSlot(r) && !(r.resources?.length > 0) && kindsOf(r).length > 0)
+      .sort((a, b) => String(a.createdAt || "").localeCompare(String(b.createdAt || "")));
+    if (pending.length === 0) return data;
+    let list = data[STORAGE_KEY];
+    for (const r of pending) {
+      const others = list.filter((o) => o !== r && isValid(o));
+      const assigned = withResources({ ...r, resourceKinds: r.resourceKinds || kindsOf(r) }, others, settings);
+      list = list.map((o) => o === r ? assigned : o);
+    }
+    return { ...data, [STORAGE_KEY]: list };
+  },
+};
+
+const migrationId = () => Math.random().toString(36).slice(2, 11);
+
+// Version of documents stored without one: only index.html keys means version 1, and nothing at
+// all is a fresh install.
+export const detectVersion = (data) => {
+  if (DATA_KEYS.some((key) => data[key] !== undefined)) return 2;
+  return Object.keys(LEGACY_KEYS).some((key) => data[key] !== undefined) ? 1 : SCHEMA_VERSION;
+};
+
+export const migrateData = (data, version) => {
+  if (!Number.isInteger(version) || version < 1) throw new Error("データのバージョンが不明です");
+  if (version > SCHEMA_VERSION) throw new Error("新しいバージョンのアプリで作成されたデータです");
+  let next = data;
+  for (let v = version; v < SCHEMA_VERSION; v++) next = MIGRATIONS[v](next);
+  return next;
+};
+
+// ─── Load ───
+// Keys to read from a key-value store before calling upgradeStoredData.
+export const STORED_KEYS = [...DATA_KEYS, ...Object.keys(LEGACY_KEYS)];
+
+// Brings documents as stored (key → JSON text, or null when absent) up to date: parses them,
+// migrates from `storedVersion` (detected when nothing was recorded) and validates. Returns
+// { data, problems, current }. Unless `current`, the caller writes `data` back, clears the legacy
+// keys, quarantines the problems and records SCHEMA_VERSION.
+export const upgradeStoredData = (raw, storedVersion) => {
+  const parsed = {};
+  const problems = [];
+  for (const [key, text] of Object.entries(raw)) {
+    if (text === null || text === undefined) continue;
+    try { parsed[key] = JSON.parse(text); }
+    catch { problems.push({ key, record: text, errors: ["JSON として読み込めません"] }); }
+  }
+  const version = storedVersion ?? detectVersion(parsed);
+  const checked = validateData(migrateData(parsed, version));
+  problems.push(...checked.problems);
+  return { data: checked.data, problems, current: storedVersion === SCHEMA_VERSION && problems.length === 0 };
+};
+
+// ─── Validation ───
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^\d{2}:\d{2}$/;
+
+const isRecord = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isPositiveInt = (v) => Number.isInteger(v) && v > 0;
+
+const reservationErrors = (r) => [
+  (typeof r.id !== "string" || !r.id) && "ID がありません",
+  !DATE_RE.test(r.date) && "日付が正しくありません",
+  (!TIME_RE.test(r.startTime) || !TIME_RE.test(r.endTime)) && "時刻が正しくありません",
+  !STATUS_LABELS[r.status] && "状態が正しくありません",
+  !isPositiveInt(r.requiredSlots) && "使用枠数が正しくありません",
+  r.partySize !== undefined && !isPositiveInt(r.partySize) && "人数が正しくありません",
+  r.resources !== undefined && !Array.isArray(r.resources) && "担当リソースが正しくありません",
+  r.price !== undefined && !(Number.isInteger(r.price) && r.price >= 0) && "料金が正しくありません",
+];
+
+export const productErrors = (p) => [
+  (typeof p.id !== "string" || !p.id) && "ID がありません",
+  typeof p.name !== "string" && "商品名がありません",
+  !isPositiveInt(p.requiredSlots) && "使用枠数が正しくありません",
+  !isPositiveInt(p.durationMin) && "所要時間が正しくありません",
+  p.price !== undefined && !(Number.isInteger(p.price) && p.price >= 0) && "料金が正しくありません",
+  p.resourceKinds !== undefined && !Array.isArray(p.resourceKinds) && "必要なリソースが正しくありません",
+];
+
+const isMinuteOfDay = (h, m) => Number.isInteger(h) && Number.isInteger(m) && h >= 0 && m >= 0 && m < 60 && h * 60 + m <= 24 * 60;
+const hoursErrors = (h) => isMinuteOfDay(h.openHour, h.openMin) && isMinuteOfDay(h.closeHour, h.closeMin)
+  && h.openHour * 60 + h.openMin < h.closeHour * 60 + h.closeMin ? [] : ["営業時間が正しくありません"];
+
+// For a settings document about to replace the stored one: every setting must be there with the
+// type of its default, since availability reads them without checking. Older stored documents
+// are merged over DEFAULT_SETTINGS instead and are not held to this.
+export const settingsErrors = (s) => {
+  const mistyped = Object.entries(DEFAULT_SETTINGS)
+    .filter(([key, value]) => Array.isArray(value) ? !Array.isArray(s[key]) : typeof s[key] !== typeof value)
+    .map(([key]) => key);
+  if (mistyped.length > 0) return [`設定項目がないか形式が正しくありません: ${mistyped.join(", ")}`];
+  return [
+    !isPositiveInt(s.maxCapacity) && "同時利用上限人数が正しくありません",
+    !isPositiveInt(s.slotIntervalMin) && "予約枠の間隔が正しくありません",
+    ...hoursErrors(s),
+    (s.weeklyHours.length !== 7 || s.weeklyHours.some((h) => h !== null && !(isRecord(h) && (h.closed || hoursErrors(h).length === 0))))
+      && "曜日ごとの営業時間が正しくありません",
+    ...["capacityRules", "resources", "surcharges", "recurringClosures", "hourOverrides"]
+      .filter((key) => !s[key].every(isRecord)).map((key) => `${key} の形式が正しくありません`),
+    ...["holidays", "openDates"]
+      .filter((key) => !s[key].every((d) => typeof d === "string")).map((key) => `${key} の形式が正しくありません`),
+  ].filter(Boolean);
+};
+
+const customerErrors = (c) => [
+  (typeof c.id !== "string" || !c.id) && "ID がありません",
+  typeof c.name !== "string" && "お名前がありません",
+  (!Array.isArray(c.phones) || c.phones.length === 0 || !c.phones.every((p) => typeof p === "string" && p)) && "電話番号がありません",
+  c.rates !== undefined && !(isRecord(c.rates) && Object.values(c.rates).every((v) => Number.isInteger(v) && v >= 0)) && "特別料金が正しくありません",
+];
+
+const auditErrors = (e) => [
+  (typeof e.id !== "string" || !e.id) && "ID がありません",
+  Number.isNaN(Date.parse(e.at)) && "日時が正しくありません",
+  typeof e.action !== "string" && "操作がありません",
+];
+
+const LIST_CHECKS = {
+  [STORAGE_KEY]: reservationErrors, [PRODUCTS_KEY]: productErrors, [AUDIT_KEY]: auditErrors, [CUSTOMERS_KEY]: customerErrors,
+};
+
+// Checks every record and returns { data, problems }. Bad records (and documents of the wrong
+// shape) are taken out of `data` and listed as { key, record, errors }, so the caller can keep
+// them aside and show them instead of losing the whole document.
+export const validateData = (data) => {
+  const next = { ...data };
+  const problems = [];
+  for (const [key, check] of Object.entries(LIST_CHECKS)) {
+    if (next[key] === undefined) continue;
+    if (!Array.isArray(next[key])) {
+      problems.push({ key, record: next[key], errors: ["一覧の形式ではありません"] });
+      delete next[key];
+      continue;
+    }
+    const seen = new Set();
+    next[key] = next[key].filter((record) => {
+      const errors = isRecord(record) ? check(record).filter(Boolean) : ["レコードの形式ではありません"];
+      if (errors.length === 0 && seen.has(record.id)) errors.push("ID が重複しています");
+      if (errors.length > 0) {
+        problems.push({ key, record, errors });
+        return false;
+      }
+      seen.add(record.id);
+      return true;
+    });
+  }
+  if (next[SETTINGS_KEY] !== undefined && !isRecord(next[SETTINGS_KEY])) {
+    problems.push({ key: SETTINGS_KEY, record: next[SETTINGS_KEY], errors: ["設定の形式ではありません"] });
+    delete next[SETTINGS_KEY];
+  }
+  return { data: next, problems };
+};
+
+// Problems become quarantine entries; `source` says where they were found ("load" or "restore").
+export const toQuarantine = (problems, source, at = new Date().toISOString()) =>
+  problems.map((p) => ({ ...p, source, at }));
+
+// ─── Backup ───
+export const createBackup = (data, now = new Date()) => ({
+  format: BACKUP_FORMAT,
+  schemaVersion: SCHEMA_VERSION,
+  exportedAt: now.toISOString(),
+  data: Object.fromEntries(DATA_KEYS.filter((key) => data[key] !== undefined && data[key] !== null).map((key) => [key, data[key]])),
+});
+
+// Brings a parsed backup file of any schema version up to date and validates it. Returns
+// { data, problems, exportedAt }; throws when the file is not a backup or is from a newer version.
+export const readBackup = (backup) => {
+  if (!isRecord(backup) || backup.format !== BACKUP_FORMAT || !isRecord(backup.data)) {
+    throw new Error("バックアップファイルではありません");
+  }
+  const migrated = migrateData(backup.data, backup.schemaVersion ?? detectVersion(backup.data));
+  return { ...validateData(migrated), exportedAt: backup.exportedAt || null };
+};
+
+// Record counts per document, for confirming a restore.
+export const summarizeData = (data) => ({
+  reservations: data[STORAGE_KEY]?.length || 0,
+  products: data[PRODUCTS_KEY]?.length || 0,
+  audit: data[AUDIT_KEY]?.length || 0,
+  customers: data[CUSTOMERS_KEY]?.length || 0,
+  settings: data[SETTINGS_KEY] !== undefined,
+});
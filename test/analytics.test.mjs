@@ -0,0 +1,72 @@
+// Usage statistics for the dashboard (analytics.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS } from "../scheduling.mjs";
+import { computeAnalytics, eachDate } from "../analytics.mjs";
+
+// Two one-hour slots a day for six people each; 2026-10-21 is closed.
+const settings = { ...DEFAULT_SETTINGS, openHour: 9, closeHour: 11, slotIntervalMin: 60, holidays: ["2026-10-21"] };
+const range = { dateFrom: "2026-10-19", dateTo: "2026-10-21", today: "2026-10-20" };
+const reservation = (overrides = {}) => ({
+  id: "r1", code: "ABC-DEF", date: "2026-10-19", startTime: "09:00", endTime: "10:00", productId: "quarter", productName: "クォーター",
+  requiredSlots: 1, durationMin: 60, partySize: 1, name: "山田", phone: "090-1234-5678", status: "confirmed",
+  createdAt: "2026-10-19T00:00:00", ...overrides,
+});
+const full = { productId: "full", productName: "フル", requiredSlots: 2, startTime: "09:00", endTime: "11:00", durationMin: 120 };
+
+const reservations = [
+  reservation({ id: "a", partySize: 2 }),
+  reservation({ id: "b", ...full, createdAt: "2026-10-10T09:00:00" }),
+  reservation({ id: "c", date: "2026-10-20", status: "cancelled", createdAt: "2026-10-15T12:00:00" }),
+  reservation({ id: "d", date: "2026-10-20", status: "no_show", createdAt: "2026-09-01T12:00:00" }),
+  reservation({ id: "e", date: "2026-10-20", startTime: "10:00", endTime: "11:00", status: "waitlisted" }),
+  reservation({ id: "f", date: "2026-10-18", status: "completed" }),
+  reservation({ id: "g", date: "2026-10-22" }),
+];
+
+describe("computeAnalytics", () => {
+  test("lists every date of the range, both ends included", () => {
+    assert.deepEqual(eachDate("2026-10-30", "2026-11-02"), ["2026-10-30", "2026-10-31", "2026-11-01", "2026-11-02"]);
+    assert.deepEqual(eachDate("2026-10-20", "2026-10-19"), []);
+  });
+
+  test("counts capacity units used by the bookings that hold a slot, and nothing on closed days", () => {
+    const stats = computeAnalytics(reservations, settings, range);
+    assert.deepEqual(stats.byDay.map(({ date, used, capacity }) => [date, used, capacity]), [
+      ["2026-10-19", 6, 12], ["2026-10-20", 0, 12], ["2026-10-21", 0, 0],
+    ]);
+    assert.equal(stats.utilization, 6 / 24);
+    assert.deepEqual(stats.byHour.map(({ hour, used, capacity }) => [hour, used, capacity]), [[9, 4, 12], [10, 2, 12]]);
+    assert.deepEqual(stats.byWeekday.filter((w) => w.capacity > 0).map(({ weekday, used }) => [weekday, used]), [[1, 6], [2, 0]]);
+  });
+
+  test("caps an overbooked slot at its capacity", () => {
+    const stats = computeAnalytics([reservation({ partySize: 5 }), reservation({ id: "b", partySize: 4 })], settings, range);
+    assert.deepEqual(stats.byDay[0], { date: "2026-10-19", used: 6, capacity: 12, utilization: 0.5 });
+  });
+
+  test("totals bookings, cancellations and no-shows within the range, leaving out the waitlist", () => {
+    const stats = computeAnalytics(reservations, settings, range);
+    assert.equal(stats.bookings, 4);
+    assert.equal(stats.cancelled, 1);
+    assert.equal(stats.cancellationRate, 1 / 4);
+    assert.equal(stats.noShows, 1);
+    assert.equal(stats.noShowRate, 1 / 3);
+    assert.deepEqual(stats.byProduct, [
+      { productId: "quarter", productName: "クォーター", bookings: 3, cancelled: 1 },
+      { productId: "full", productName: "フル", bookings: 1, cancelled: 0 },
+    ]);
+  });
+
+  test("measures how far ahead bookings are made", () => {
+    const { leadTime } = computeAnalytics(reservations, settings, range);
+    assert.equal(leadTime.average, (0 + 9 + 5 + 49) / 4);
+    assert.equal(leadTime.median, 7);
+    assert.deepEqual(leadTime.buckets.map((b) => b.count), [1, 0, 1, 1, 1]);
+  });
+
+  test("gives zero rates for an empty range", () => {
+    const stats = computeAnalytics([], settings, { ...range, dateFrom: "2026-10-21", dateTo: "2026-10-21" });
+    assert.deepEqual([stats.utilization, stats.cancellationRate, stats.noShowRate, stats.leadTime.average], [0, 0, 0, 0]);
+  });
+});
@@ -0,0 +1,41 @@
+// Audit log (audit.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { auditProductChanges, restoredAuditLog } from "../audit.mjs";
+import { DEFAULT_PRODUCTS } from "../scheduling.mjs";
+
+const entry = (id, at) => ({ id, at, actor: "admin", action: "cancel" });
+
+describe("restoredAuditLog", () => {
+  test("keeps the entries made since the backup and logs the restore", () => {
+    const backup = [entry("a", "2026-10-01T00:00:00Z"), entry("b", "2026-10-02T00:00:00Z")];
+    const current = [entry("a", "2026-10-01T00:00:00Z"), entry("c", "2026-10-05T00:00:00Z")];
+    const summary = { reservations: 2, products: 5, audit: 2, customers: 1, settings: true };
+    const log = restoredAuditLog(current, backup, { exportedAt: "2026-10-03T00:00:00Z", summary, at: "2026-10-06T00:00:00Z", genId: () => "r" });
+    assert.deepEqual(log.map((e) => e.id), ["a", "b", "c", "r"]);
+    assert.deepEqual(log[3], {
+      id: "r", at: "2026-10-06T00:00:00Z", actor: "admin", action: "backup", exportedAt: "2026-10-03T00:00:00Z", summary,
+    });
+  });
+});
+
+describe("auditProductChanges", () => {
+  const opts = { at: "2026-10-06T00:00:00Z", genId: () => "p" };
+
+  test("lists added, edited and removed products in one entry", () => {
+    const [quarter, half, ...rest] = DEFAULT_PRODUCTS;
+    const extra = { ...quarter, id: "night", name: "夜間" };
+    const next = [{ ...quarter, price: 3000 }, ...rest, extra];
+    assert.deepEqual(auditProductChanges(DEFAULT_PRODUCTS, next, opts), [{
+      id: "p", at: "2026-10-06T00:00:00Z", actor: "admin", action: "products", changes: [
+        { productId: "quarter", name: "クォーター", key: "price", before: 0, after: 3000 },
+        { productId: "night", name: "夜間", key: "product", before: null, after: "夜間" },
+        { productId: "half", name: half.name, key: "product", before: half.name, after: null },
+      ],
+    }]);
+  });
+
+  test("logs nothing when the catalog is saved unchanged", () => {
+    assert.deepEqual(auditProductChanges(DEFAULT_PRODUCTS, DEFAULT_PRODUCTS.map((p) => ({ ...p })), opts), []);
+  });
+});
@@ -0,0 +1,126 @@
+// Prices and monthly statements (billing.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS } from "../scheduling.mjs";
+import {
+  quotePrice, priceReservations, includedTax, monthlyStatements, unpricedInMonth, statementsToCsv, statementToHtml,
+} from "../billing.mjs";
+
+const product = { id: "quarter", name: "クォーター", price: 2000 };
+const surcharge = (overrides = {}) => ({
+  id: "s1", label: "割増", weekdays: [], holidays: false, startTime: "", endTime: "", kind: "yen", amount: 500, ...overrides,
+});
+const settingsWith = (...surcharges) => ({ ...DEFAULT_SETTINGS, surcharges });
+const customer = (overrides = {}) => ({ id: "c1", name: "山田", phones: ["09012345678"], email: "", note: "", ...overrides });
+const reservation = (id, overrides = {}) => ({
+  id, code: `ABC-${id}`, date: "2026-10-21", startTime: "10:00", endTime: "11:00", productId: "quarter", productName: "クォーター",
+  partySize: 1, name: "山田", phone: "090-1234-5678", status: "confirmed", ...overrides,
+});
+
+describe("quotePrice", () => {
+  test("charges the list price per person", () => {
+    const quote = quotePrice({ product, date: "2026-10-21", startTime: "10:00", partySize: 3 }, DEFAULT_SETTINGS);
+    assert.deepEqual(quote, { unitPrice: 2000, clientRate: false, surcharges: [], partySize: 3, total: 6000 });
+  });
+
+  test("adds surcharges matching the weekday, holidays and start time", () => {
+    const settings = settingsWith(
+      surcharge({ label: "土日", weekdays: [0, 6], kind: "percent", amount: 25 }),
+      surcharge({ label: "祝日", holidays: true }),
+      surcharge({ label: "夜間", startTime: "17:00", amount: 300 }),
+    );
+    const labels = (date, startTime) => quotePrice({ product, date, startTime }, settings).surcharges.map((s) => `${s.label}${s.amount}`);
+    assert.deepEqual(labels("2026-10-21", "10:00"), []);
+    assert.deepEqual(labels("2026-10-24", "10:00"), ["土日500"]);
+    assert.deepEqual(labels("2026-11-03", "17:00"), ["祝日500", "夜間300"]);
+    assert.deepEqual(labels("2026-10-21", "16:30"), []);
+    assert.equal(quotePrice({ product, date: "2026-10-24", startTime: "18:00", partySize: 2 }, settings).total, 5600);
+  });
+
+  test("uses the client's rate, and percentages of it", () => {
+    const settings = settingsWith(surcharge({ kind: "percent", amount: 10 }));
+    const quote = quotePrice({ product, date: "2026-10-21", startTime: "10:00" }, settings, customer({ rates: { quarter: 1500 } }));
+    assert.equal(quote.clientRate, true);
+    assert.equal(quote.total, 1650);
+    assert.equal(quotePrice({ product: { ...product, id: "half" }, date: "2026-10-21", startTime: "10:00" }, settings, customer({ rates: { quarter: 0 } })).unitPrice, 2000);
+  });
+});
+
+describe("priceReservations", () => {
+  const context = { products: [product], settings: DEFAULT_SETTINGS, customers: [customer({ rates: { quarter: 1500 } })], today: "2026-10-01" };
+
+  test("prices new reservations with the client's rate", () => {
+    const [priced] = priceReservations([], [reservation("r1")], context);
+    assert.equal(priced.price, 1500);
+    assert.deepEqual(priced.priceDetail, { unitPrice: 1500, clientRate: true, surcharges: [] });
+  });
+
+  test("keeps the quoted price until the booking moves", () => {
+    const previous = [{ ...reservation("r1"), price: 1800 }];
+    const cancelled = [{ ...previous[0], status: "cancelled" }];
+    assert.equal(priceReservations(previous, cancelled, context), cancelled);
+    const moved = priceReservations(previous, [{ ...previous[0], startTime: "11:00", partySize: 2 }], context);
+    assert.equal(moved[0].price, 3000);
+  });
+
+  test("leaves reservations booked before prices were stored unpriced until they move", () => {
+    const previous = [reservation("r1", { date: "2026-09-20" })];
+    const completed = [{ ...previous[0], status: "completed" }];
+    assert.equal(priceReservations(previous, completed, context), completed);
+    assert.equal(priceReservations(previous, [{ ...previous[0], date: "2026-10-22" }], context)[0].price, 1500);
+  });
+
+  test("does not quote today's price for new reservations that already took place", () => {
+    const next = [reservation("r1", { date: "2026-09-20", status: "completed", price: 1800 }), reservation("r2", { date: "2026-09-21" })];
+    assert.equal(priceReservations([], next, context), next);
+    assert.equal(priceReservations([], [reservation("r3", { status: "completed" })], context)[0].price, undefined);
+  });
+
+  test("leaves reservations of removed products alone", () => {
+    const next = [reservation("r1", { productId: "gone" })];
+    assert.equal(priceReservations([], next, context), next);
+  });
+});
+
+describe("statements", () => {
+  const reservations = [
+    reservation("r1", { date: "2026-09-20", status: "completed", price: 2000, priceDetail: { unitPrice: 2000, surcharges: [] } }),
+    reservation("r2", { date: "2026-09-05", status: "completed", price: 2500, priceDetail: { unitPrice: 2000, surcharges: [{ label: "土日", amount: 500 }] } }),
+    reservation("r3", { date: "2026-09-06", status: "no_show", price: 2000 }),
+    reservation("r4", { date: "2026-10-01", status: "completed", price: 2000 }),
+    reservation("r5", { date: "2026-09-10", status: "completed", price: 1000, name: "佐藤", phone: "0612345678" }),
+    reservation("r6", { date: "2026-09-12", status: "completed" }),
+  ];
+
+  test("group a month's completed reservations by client", () => {
+    const statements = monthlyStatements(reservations, [customer()], "2026-09");
+    assert.deepEqual(statements.map((s) => [s.customer.name, s.total, s.reservations.map((r) => r.id)]), [
+      ["山田", 4500, ["r2", "r1"]],
+      ["佐藤", 1000, ["r5"]],
+    ]);
+    assert.equal(statements[1].customer.id, null);
+  });
+
+  test("leave out completed reservations without a price", () => {
+    assert.deepEqual(unpricedInMonth(reservations, "2026-09").map((r) => r.id), ["r6"]);
+    assert.deepEqual(unpricedInMonth(reservations, "2026-10"), []);
+  });
+
+  test("render as CSV line items and a printable document", () => {
+    const [statement] = monthlyStatements(reservations, [customer({ name: "山田 <株>" })], "2026-09");
+    const rows = statementsToCsv([statement]).trim().split("\r\n");
+    assert.equal(rows.length, 3);
+    assert.match(rows[1], /^2026-09,山田 <株>,090-1234-5678,2026-09-05,10:00,11:00,クォーター,ABC-r2,2000,土日 \+¥500,2500$/);
+    const html = statementToHtml(statement, { ...DEFAULT_SETTINGS, invoiceRegistrationNumber: "T1234567890123" }, "2026-10-01");
+    assert.match(html, /山田 &lt;株&gt; 様/);
+    assert.match(html, /ご請求金額 ¥4,500/);
+    assert.match(html, /内消費税（10%）<\/th><td class="num">¥409/);
+    assert.match(html, /登録番号 T1234567890123/);
+  });
+
+  test("work out the tax included in a total", () => {
+    assert.equal(includedTax(4500, 10), 409);
+    assert.equal(includedTax(1080, 8), 80);
+    assert.equal(includedTax(1000, 0), 0);
+  });
+});
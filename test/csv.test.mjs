@@ -0,0 +1,111 @@
+// CSV export and import of reservations (csv.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_PRODUCTS, DEFAULT_SETTINGS } from "../scheduling.mjs";
+import { toCsv, parseCsv, reservationsToCsv, importReservationsCsv } from "../csv.mjs";
+import { priceReservations, monthlyStatements } from "../billing.mjs";
+
+const reservation = (overrides = {}) => ({
+  id: "r1", code: "ABC-DEF", date: "2026-10-21", startTime: "10:00", endTime: "11:00", productId: "quarter", productName: "クォーター",
+  requiredSlots: 1, partySize: 1, name: "山田", phone: "090-1234-5678", email: "", note: "", status: "confirmed", ...overrides,
+});
+
+describe("formula injection", () => {
+  test("writes text that a spreadsheet would run as a formula as plain text", () => {
+    assert.equal(toCsv([["=1+1", "+81 90", "-x", "@SUM(A1)", "\tx", "山田", -500]]), "'=1+1,'+81 90,'-x,'@SUM(A1),'\tx,山田,-500\r\n");
+    const [, row] = parseCsv(reservationsToCsv([reservation({ name: '=HYPERLINK("http://example.com","click")', note: "-" })]));
+    assert.ok(row.includes(`'=HYPERLINK("http://example.com","click")`));
+    assert.ok(row.includes("'-"));
+  });
+
+  test("reads guarded cells back as they were typed", () => {
+    const name = '=HYPERLINK("http://example.com","click")';
+    const csv = reservationsToCsv([reservation({ name, note: "+追加" })]);
+    const { imported, errors } = importReservationsCsv(csv, {
+      reservations: [], products: DEFAULT_PRODUCTS, settings: DEFAULT_SETTINGS, genId: () => "n1",
+    });
+    assert.deepEqual(errors, []);
+    assert.equal(imported[0].name, name);
+    assert.equal(imported[0].note, "+追加");
+  });
+});
+
+describe("importReservationsCsv", () => {
+  const importCsv = (rows, reservations = []) => importReservationsCsv(reservationsToCsv(rows), {
+    reservations, products: DEFAULT_PRODUCTS, settings: DEFAULT_SETTINGS, genId: (() => { let n = 0; return () => `n${++n}`; })(),
+  });
+
+  test("keeps the price of rows that already took place and leaves the rest unpriced", () => {
+    const { imported } = importCsv([
+      reservation({ code: "AAA-001", date: "2020-09-20", status: "completed", price: 1800 }),
+      reservation({ code: "AAA-002", date: "2020-09-21", status: "completed" }),
+    ]);
+    const priced = priceReservations([], imported, { products: DEFAULT_PRODUCTS.map((p) => ({ ...p, price: 3000 })), settings: DEFAULT_SETTINGS, customers: [] });
+    assert.deepEqual(priced.map((r) => r.price), [1800, undefined]);
+    assert.deepEqual(monthlyStatements(priced, [], "2020-09").map((s) => s.total), [1800]);
+  });
+
+  test("imports valid rows and reports the others by their line in the file", () => {
+    const { imported, errors } = importCsv([
+      reservation({ code: "AAA-001" }),
+      reservation({ code: "AAA-002", date: "2026-02-30" }),
+      reservation({ code: "AAA-003", startTime: "25:00" }),
+      reservation({ code: "AAA-004", productId: "unknown" }),
+      reservation({ code: "AAA-005", startTime: "11:00" }),
+    ]);
+    assert.deepEqual(imported.map((r) => r.code), ["AAA-001", "AAA-005"]);
+    assert.deepEqual(errors, [
+      { row: 3, message: "日付の形式が正しくありません（2026-02-30）" },
+      { row: 4, message: "開始時刻の形式が正しくありません（25:00）" },
+      { row: 5, message: "商品IDが見つかりません（unknown）" },
+    ]);
+  });
+
+  test("reports a header that lacks required columns as row 1", () => {
+    const { imported, errors } = importReservationsCsv("お名前,電話番号\r\n山田,090-1234-5678\r\n", {
+      reservations: [], products: DEFAULT_PRODUCTS, settings: DEFAULT_SETTINGS, genId: () => "n1",
+    });
+    assert.deepEqual(imported, []);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].row, 1);
+    assert.match(errors[0].message, /^必須の列がありません/);
+  });
+
+  test("rejects codes already in use, in the store or earlier in the file", () => {
+    const { imported, errors } = importCsv([
+      reservation({ code: "ABC-DEF" }),
+      reservation({ code: "AAA-001", startTime: "11:00" }),
+      reservation({ code: "aaa-001", startTime: "12:00" }),
+    ], [reservation({ startTime: "13:00" })]);
+    assert.deepEqual(imported.map((r) => r.code), ["AAA-001"]);
+    assert.deepEqual(errors, [
+      { row: 2, message: "予約番号が既に登録されています（ABC-DEF）" },
+      { row: 4, message: "予約番号が既に登録されています（aaa-001）" },
+    ]);
+  });
+
+  test("rejects rows that do not fit the slot, counting rows imported before them", () => {
+    const full = DEFAULT_SETTINGS.maxCapacity;
+    const { imported, errors } = importCsv([
+      reservation({ code: "AAA-001", partySize: full - 1 }),
+      reservation({ code: "AAA-002", partySize: 1 }),
+      reservation({ code: "AAA-003", partySize: 1 }),
+      reservation({ code: "AAA-004", partySize: 1, status: "cancelled" }),
+      reservation({ code: "AAA-005", date: "2026-10-21", startTime: "03:00" }),
+    ]);
+    assert.deepEqual(imported.map((r) => r.code), ["AAA-001", "AAA-002", "AAA-004"]);
+    assert.deepEqual(errors.map((e) => e.row), [4, 6]);
+    assert.ok(errors.every((e) => e.message.endsWith("は営業時間外または満員のため予約できません")));
+  });
+
+  test("rejects email addresses that are malformed or carry a line break", () => {
+    const { imported, errors } = importCsv([
+      reservation({ code: "AAA-001", email: "yamada@example.com\r\nBcc: all@example.com" }),
+      reservation({ code: "AAA-002", startTime: "11:00", email: "yamada" }),
+      reservation({ code: "AAA-003", startTime: "12:00", email: "yamada@example.com" }),
+    ]);
+    assert.deepEqual(errors.map((e) => e.row), [2, 3]);
+    assert.match(errors[0].message, /メールアドレスの形式が正しくありません/);
+    assert.deepEqual(imported.map((r) => r.email), ["yamada@example.com"]);
+  });
+});
@@ -0,0 +1,112 @@
+// Customer registry and phone numbers (customers.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  isValidPhone, formatPhone, findCustomer, recordCustomers, customerHistories, searchCustomers, findDuplicates,
+  updateCustomer, mergeCustomers,
+} from "../customers.mjs";
+
+let nextId = 0;
+const genId = () => `c${++nextId}`;
+const reservation = (id, phone, overrides = {}) => ({
+  id, phone, name: "山田", email: "", date: "2026-10-21", startTime: "10:00", status: "confirmed", ...overrides,
+});
+const customer = (id, phones, overrides = {}) => ({
+  id, name: "山田", phones, email: "", note: "", createdAt: "2026-01-01T00:00:00.000Z", ...overrides,
+});
+
+describe("phone numbers", () => {
+  test("accepts mobile, fixed-line and toll-free numbers in any notation", () => {
+    for (const phone of ["090-1234-5678", "06-1234-5678", "0120-123-456", "050 1234 5678", "０９０（１２３４）５６７８", "+81 90-1234-5678", "0800-123-4567"]) {
+      assert.equal(isValidPhone(phone), true, phone);
+    }
+  });
+
+  test("rejects numbers of the wrong length or shape", () => {
+    for (const phone of ["090-1234-567", "06-1234-56789", "1234567890", "00-1234-5678", "090-123-4567", ""]) {
+      assert.equal(isValidPhone(phone), false, phone);
+    }
+  });
+
+  test("formats numbers for display", () => {
+    assert.equal(formatPhone("09012345678"), "090-1234-5678");
+    assert.equal(formatPhone("0612345678"), "06-1234-5678");
+    assert.equal(formatPhone("0120123456"), "0120-123-456");
+    assert.equal(formatPhone("+81 45 123 4567"), "045-123-4567");
+    assert.equal(formatPhone("123"), "123");
+  });
+});
+
+describe("recordCustomers", () => {
+  test("registers new numbers and updates known ones from new reservations only", () => {
+    const customers = [customer("a", ["09012345678"])];
+    const previous = [reservation("r1", "090-1234-5678")];
+    const next = [
+      ...previous,
+      reservation("r2", "090 1234 5678", { name: "山田 太郎", email: "t@example.com" }),
+      reservation("r3", "06-1234-5678", { name: "佐藤" }),
+    ];
+    const result = recordCustomers(customers, previous, next, { genId, at: "2026-10-19T00:00:00.000Z" });
+    assert.equal(result.length, 2);
+    assert.deepEqual(findCustomer(result, "09012345678"), { ...customers[0], name: "山田 太郎", email: "t@example.com" });
+    assert.deepEqual(findCustomer(result, "0612345678").phones, ["0612345678"]);
+  });
+
+  test("returns the same list when nothing changed", () => {
+    const customers = [customer("a", ["09012345678"])];
+    const next = [reservation("r1", "09012345678")];
+    assert.equal(recordCustomers(customers, [], next, { genId }), customers);
+    assert.equal(recordCustomers(customers, next, next, { genId }), customers);
+  });
+});
+
+describe("customer records", () => {
+  const customers = [
+    customer("a", ["09012345678"], { name: "山田 太郎" }),
+    customer("b", ["0612345678"], { name: "山田太郎", note: "車いす" }),
+    customer("c", ["08011112222"], { name: "佐藤", email: "s@example.com" }),
+  ];
+
+  test("collect each customer's reservations, newest first", () => {
+    const histories = customerHistories(customers, [
+      reservation("r1", "090-1234-5678", { date: "2026-10-01" }),
+      reservation("r2", "09012345678", { date: "2026-11-01" }),
+      reservation("r3", "03-0000-0000"),
+    ]);
+    assert.deepEqual(histories.get("a").map((r) => r.id), ["r2", "r1"]);
+    assert.deepEqual(histories.get("b"), []);
+  });
+
+  test("are found by name, email or part of a number", () => {
+    assert.deepEqual(searchCustomers(customers, "山田").map((c) => c.id), ["a", "b"]);
+    assert.deepEqual(searchCustomers(customers, "080-1111").map((c) => c.id), ["c"]);
+    assert.deepEqual(searchCustomers(customers, "S@EXAMPLE").map((c) => c.id), ["c"]);
+  });
+
+  test("with the same name ignoring spaces are flagged as duplicates", () => {
+    assert.deepEqual(findDuplicates(customers, customers[0]).map((c) => c.id), ["b"]);
+    assert.deepEqual(findDuplicates(customers, customers[2]), []);
+  });
+
+  test("are merged with both numbers and notes", () => {
+    const { customers: merged, customer: kept } = mergeCustomers(customers, "a", "b");
+    assert.deepEqual(merged.map((c) => c.id), ["a", "c"]);
+    assert.deepEqual(kept.phones, ["09012345678", "0612345678"]);
+    assert.equal(kept.note, "車いす");
+    assert.equal(findCustomer(merged, "06-1234-5678").id, "a");
+    assert.match(mergeCustomers(customers, "a", "a").error, /統合できません/);
+  });
+
+  test("are edited with a name and a well-formed email", () => {
+    assert.equal(updateCustomer(customers, "c", { note: "常連" }).customer.note, "常連");
+    assert.match(updateCustomer(customers, "c", { name: " " }).error, /お名前/);
+    assert.match(updateCustomer(customers, "c", { email: "x@" }).error, /メールアドレス/);
+    assert.match(updateCustomer(customers, "z", {}).error, /見つかりません/);
+  });
+
+  test("keep client rates as whole yen, dropping blank ones", () => {
+    assert.deepEqual(updateCustomer(customers, "c", { rates: { quarter: "1500", half: "" } }).customer.rates, { quarter: 1500 });
+    assert.match(updateCustomer(customers, "c", { rates: { quarter: "-1" } }).error, /特別料金/);
+    assert.match(updateCustomer(customers, "c", { rates: { quarter: "1.5" } }).error, /特別料金/);
+  });
+});
@@ -0,0 +1,88 @@
+// Japanese national holidays and recurring closures (holidays.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { japaneseHolidays, holidayName, closureMatches, isValidMonthDay } from "../holidays.mjs";
+
+// The calendar as published by the Cabinet Office.
+const CALENDAR = {
+  2024: {
+    "2024-01-01": "元日", "2024-01-08": "成人の日", "2024-02-11": "建国記念の日", "2024-02-12": "振替休日",
+    "2024-02-23": "天皇誕生日", "2024-03-20": "春分の日", "2024-04-29": "昭和の日", "2024-05-03": "憲法記念日",
+    "2024-05-04": "みどりの日", "2024-05-05": "こどもの日", "2024-05-06": "振替休日", "2024-07-15": "海の日",
+    "2024-08-11": "山の日", "2024-08-12": "振替休日", "2024-09-16": "敬老の日", "2024-09-22": "秋分の日",
+    "2024-09-23": "振替休日", "2024-10-14": "スポーツの日", "2024-11-03": "文化の日", "2024-11-04": "振替休日",
+    "2024-11-23": "勤労感謝の日",
+  },
+  2025: {
+    "2025-01-01": "元日", "2025-01-13": "成人の日", "2025-02-11": "建国記念の日", "2025-02-23": "天皇誕生日",
+    "2025-02-24": "振替休日", "2025-03-20": "春分の日", "2025-04-29": "昭和の日", "2025-05-03": "憲法記念日",
+    "2025-05-04": "みどりの日", "2025-05-05": "こどもの日", "2025-05-06": "振替休日", "2025-07-21": "海の日",
+    "2025-08-11": "山の日", "2025-09-15": "敬老の日", "2025-09-23": "秋分の日", "2025-10-13": "スポーツの日",
+    "2025-11-03": "文化の日", "2025-11-23": "勤労感謝の日", "2025-11-24": "振替休日",
+  },
+  2026: {
+    "2026-01-01": "元日", "2026-01-12": "成人の日", "2026-02-11": "建国記念の日", "2026-02-23": "天皇誕生日",
+    "2026-03-20": "春分の日", "2026-04-29": "昭和の日", "2026-05-03": "憲法記念日", "2026-05-04": "みどりの日",
+    "2026-05-05": "こどもの日", "2026-05-06": "振替休日", "2026-07-20": "海の日", "2026-08-11": "山の日",
+    "2026-09-21": "敬老の日", "2026-09-22": "国民の休日", "2026-09-23": "秋分の日", "2026-10-12": "スポーツの日",
+    "2026-11-03": "文化の日", "2026-11-23": "勤労感謝の日",
+  },
+  2027: {
+    "2027-01-01": "元日", "2027-01-11": "成人の日", "2027-02-11": "建国記念の日", "2027-02-23": "天皇誕生日",
+    "2027-03-21": "春分の日", "2027-03-22": "振替休日", "2027-04-29": "昭和の日", "2027-05-03": "憲法記念日",
+    "2027-05-04": "みどりの日", "2027-05-05": "こどもの日", "2027-07-19": "海の日", "2027-08-11": "山の日",
+    "2027-09-20": "敬老の日", "2027-09-23": "秋分の日", "2027-10-11": "スポーツの日", "2027-11-03": "文化の日",
+    "2027-11-23": "勤労感謝の日",
+  },
+};
+
+describe("japaneseHolidays", () => {
+  test("matches the official calendar for 2024–2027", () => {
+    for (const [year, expected] of Object.entries(CALENDAR)) {
+      assert.deepEqual(Object.fromEntries(japaneseHolidays(Number(year))), expected, year);
+    }
+  });
+
+  test("puts the equinoxes on the announced days", () => {
+    assert.deepEqual(["2024-03-20", "2025-03-20", "2026-03-20", "2027-03-21"].map(holidayName), Array(4).fill("春分の日"));
+    assert.deepEqual(["2024-09-22", "2025-09-23", "2026-09-23", "2027-09-23"].map(holidayName), Array(4).fill("秋分の日"));
+  });
+
+  test("moves a Sunday holiday to the next day that is not a holiday", () => {
+    assert.equal(holidayName("2025-02-24"), "振替休日");
+    // 2026-05-03 is a Sunday followed by two holidays, so the substitute is the Wednesday.
+    assert.equal(holidayName("2026-05-04"), "みどりの日");
+    assert.equal(holidayName("2026-05-06"), "振替休日");
+    assert.equal(holidayName("2027-03-22"), "振替休日");
+  });
+
+  test("makes a weekday between two holidays a holiday", () => {
+    assert.equal(holidayName("2026-09-22"), "国民の休日");
+    assert.equal(holidayName("2032-09-21"), "国民の休日");
+    assert.equal(holidayName("2025-09-22"), null);
+  });
+
+  test("keeps the moves for the Olympics", () => {
+    assert.equal(holidayName("2021-07-22"), "海の日");
+    assert.equal(holidayName("2021-08-08"), "山の日");
+    assert.equal(holidayName("2021-08-09"), "振替休日");
+    assert.equal(holidayName("2021-10-11"), null);
+  });
+});
+
+describe("closureMatches", () => {
+  test("matches a range within the year", () => {
+    const obon = { id: "c1", name: "お盆休み", from: "08-13", to: "08-16" };
+    assert.deepEqual(["2026-08-12", "2026-08-13", "2026-08-16", "2026-08-17"].map((d) => closureMatches(obon, d)), [false, true, true, false]);
+  });
+
+  test("wraps a range whose end comes before its start over New Year", () => {
+    const newYear = { id: "c2", name: "年末年始", from: "12-29", to: "01-03" };
+    const dates = ["2026-12-28", "2026-12-29", "2026-12-31", "2027-01-01", "2027-01-03", "2027-01-04", "2027-06-15"];
+    assert.deepEqual(dates.map((d) => closureMatches(newYear, d)), [false, true, true, true, true, false, false]);
+  });
+
+  test("validates month-day values, allowing 02-29", () => {
+    assert.deepEqual(["12-29", "02-29", "02-30", "13-01", "1-03"].map(isValidMonthDay), [true, true, false, false, false]);
+  });
+});
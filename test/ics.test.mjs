@@ -0,0 +1,69 @@
+// iCalendar export of reservations (ics.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS } from "../scheduling.mjs";
+import { reservationToIcs, reservationsToIcs, icsFilename } from "../ics.mjs";
+
+const reservation = (overrides = {}) => ({
+  id: "r1", code: "ABC-DEF", date: "2026-10-21", startTime: "10:00", endTime: "11:00", productId: "quarter", productName: "クォーター",
+  requiredSlots: 1, partySize: 1, name: "山田", phone: "090-1234-5678", email: "", note: "", status: "confirmed", ...overrides,
+});
+const now = new Date("2026-10-19T01:02:03Z");
+const unfold = (ics) => ics.replace(/\r\n /g, "");
+// The property's line after unfolding: METHOD from the calendar, everything else from the first event.
+const property = (ics, name) => {
+  const text = unfold(ics);
+  const lines = (name === "METHOD" ? text : text.slice(text.indexOf("BEGIN:VEVENT"))).split("\r\n");
+  return lines.find((line) => line.startsWith(`${name}:`) || line.startsWith(`${name};`));
+};
+
+describe("reservationToIcs", () => {
+  test("gives wall-clock times in the Asia/Tokyo zone it defines", () => {
+    const ics = reservationToIcs(reservation(), DEFAULT_SETTINGS, now);
+    assert.equal(property(ics, "DTSTART"), "DTSTART;TZID=Asia/Tokyo:20261021T100000");
+    assert.equal(property(ics, "DTEND"), "DTEND;TZID=Asia/Tokyo:20261021T110000");
+    assert.equal(property(ics, "DTSTAMP"), "DTSTAMP:20261019T010203Z");
+    assert.match(ics, /BEGIN:VTIMEZONE\r\nTZID:Asia\/Tokyo\r\nBEGIN:STANDARD\r\n[^]*TZOFFSETTO:\+0900\r\n/);
+    assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+    assert.ok(!/[^\r]\n/.test(ics));
+  });
+
+  test("escapes commas, semicolons, backslashes and line breaks in text", () => {
+    const ics = reservationToIcs(reservation({ note: "A,B;C\\D\n2行目" }), DEFAULT_SETTINGS, now);
+    assert.ok(property(ics, "DESCRIPTION").endsWith("\\n備考: A\\,B\\;C\\\\D\\n2行目"));
+  });
+
+  test("folds lines at 75 octets without splitting a character", () => {
+    const note = "倉庫の入口は北側です。".repeat(20);
+    const ics = reservationToIcs(reservation({ note }), DEFAULT_SETTINGS, now);
+    const lines = ics.split("\r\n");
+    assert.ok(lines.length > 10);
+    assert.ok(lines.every((line) => Buffer.byteLength(line) <= 75));
+    assert.ok(lines.filter((line) => line.startsWith(" ")).length >= 8);
+    assert.ok(property(ics, "DESCRIPTION").endsWith(`備考: ${note}`));
+  });
+
+  test("cancels the imported event with a higher sequence", () => {
+    const moved = reservation({ history: [{ date: "2026-10-20", startTime: "10:00" }] });
+    assert.equal(property(reservationToIcs(moved, DEFAULT_SETTINGS, now), "SEQUENCE"), "SEQUENCE:1");
+    const ics = reservationToIcs({ ...moved, status: "cancelled" }, DEFAULT_SETTINGS, now);
+    assert.equal(property(ics, "METHOD"), "METHOD:CANCEL");
+    assert.equal(property(ics, "STATUS"), "STATUS:CANCELLED");
+    assert.equal(property(ics, "SEQUENCE"), "SEQUENCE:2");
+    assert.equal(property(ics, "UID"), "UID:r1@pick-reservation");
+  });
+});
+
+describe("reservationsToIcs", () => {
+  test("exports bookings and cancellations but not the waitlist", () => {
+    const ics = reservationsToIcs([
+      reservation(), reservation({ id: "r2", status: "cancelled" }), reservation({ id: "r3", status: "waitlisted" }),
+    ], DEFAULT_SETTINGS, now);
+    assert.deepEqual(unfold(ics).match(/^UID:.*$/gm), ["UID:r1@pick-reservation", "UID:r2@pick-reservation"]);
+    assert.equal(property(ics, "METHOD"), "METHOD:PUBLISH");
+  });
+
+  test("names files after the reservation code", () => {
+    assert.equal(icsFilename(reservation()), "reservation-ABCDEF.ics");
+  });
+});
@@ -0,0 +1,30 @@
+// Notification planning and transports (notifications.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import { DEFAULT_SETTINGS } from "../scheduling.mjs";
+import { createSmtpTransport, planNotifications } from "../notifications.mjs";
+
+const reservation = (overrides = {}) => ({
+  id: "r1", code: "ABC-DEF", date: "2026-10-21", startTime: "10:00", endTime: "11:00", productId: "quarter", productName: "クォーター",
+  requiredSlots: 1, partySize: 1, name: "山田", phone: "090-1234-5678", email: "yamada@example.com", note: "", status: "confirmed", ...overrides,
+});
+
+describe("smtp recipients", () => {
+  const smtp = createSmtpTransport({ url: "smtp://localhost:2525", from: "shop@example.com", staffTo: "staff@example.com" });
+
+  test("mails the customer and staff", () => {
+    const planned = planNotifications("confirmed", reservation(), DEFAULT_SETTINGS, [smtp]);
+    assert.deepEqual(planned.map((m) => [m.audience, m.to]), [["customer", "yamada@example.com"], ["staff", "staff@example.com"]]);
+  });
+
+  test("never plans mail to an address with whitespace or a line break", () => {
+    for (const email of ["yamada@example.com\r\nBcc: all@example.com", "yamada@example.com>\nRCPT TO:<all@example.com", "yamada @example.com"]) {
+      const planned = planNotifications("confirmed", reservation({ email }), DEFAULT_SETTINGS, [smtp]);
+      assert.deepEqual(planned.map((m) => m.audience), ["staff"]);
+    }
+  });
+
+  test("refuses to send a queued message to such an address", async () => {
+    await assert.rejects(smtp.send({ to: "yamada@example.com\r\nRCPT TO:<all@example.com>", subject: "件名", text: "本文" }), /invalid recipient/);
+  });
+});
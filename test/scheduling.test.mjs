@@ -0,0 +1,319 @@
+// Scheduling core (scheduling.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  DEFAULT_SETTINGS, generateTimeSlots, getSlotOccupancy, canBook, getDateAvailability, createOccupancyIndex,
+  promoteWaitlist, assignResources, withResources, isValidDate, isValidTime, isSlotStart, planSeries,
+  applyReschedule, rescheduleSeries, applyStatus,
+} from "../scheduling.mjs";
+import { restoreFromAudit } from "../audit.mjs";
+
+const WEDNESDAY = "2026-10-21";
+const LABOR_THANKSGIVING = "2026-11-23"; // 勤労感謝の日 (Monday)
+
+const settings = (overrides = {}) => ({ ...DEFAULT_SETTINGS, ...overrides });
+const product = (durationMin, requiredSlots = 1) => ({ id: "p", durationMin, requiredSlots });
+const booking = (startTime, endTime, overrides = {}) => ({
+  id: `${startTime}-${endTime}`, date: WEDNESDAY, startTime, endTime, requiredSlots: 1, status: "confirmed", ...overrides,
+});
+const labels = (slots) => slots.map((s) => s.label);
+
+describe("generateTimeSlots", () => {
+  test("covers the opening hours at the slot interval", () => {
+    const slots = generateTimeSlots(settings(), WEDNESDAY);
+    assert.equal(slots.length, 20);
+    assert.deepEqual(slots[0], { hour: 9, min: 0, label: "09:00" });
+    assert.equal(slots.at(-1).label, "18:30");
+  });
+
+  test("handles intervals that do not divide an hour", () => {
+    const s = settings({ closeHour: 12, slotIntervalMin: 45 });
+    assert.deepEqual(labels(generateTimeSlots(s, WEDNESDAY)), ["09:00", "09:45", "10:30", "11:15"]);
+  });
+
+  test("starts at an opening time off the hour", () => {
+    const s = settings({ openMin: 15, closeHour: 11 });
+    assert.deepEqual(labels(generateTimeSlots(s, WEDNESDAY)), ["09:15", "09:45", "10:15", "10:45"]);
+  });
+
+  test("includes a last slot that starts before a close time off the grid", () => {
+    const s = settings({ closeHour: 18, closeMin: 45 });
+    assert.equal(generateTimeSlots(s, WEDNESDAY).at(-1).label, "18:30");
+  });
+
+  test("uses weekly hours and per-date overrides", () => {
+    const weeklyHours = [...DEFAULT_SETTINGS.weeklyHours];
+    weeklyHours[3] = { openHour: 13, openMin: 0, closeHour: 14, closeMin: 0 };
+    assert.deepEqual(labels(generateTimeSlots(settings({ weeklyHours }), WEDNESDAY)), ["13:00", "13:30"]);
+    const hourOverrides = [{ date: WEDNESDAY, openHour: 10, openMin: 0, closeHour: 11, closeMin: 0 }];
+    assert.deepEqual(labels(generateTimeSlots(settings({ weeklyHours, hourOverrides }), WEDNESDAY)), ["10:00", "10:30"]);
+  });
+
+  test("returns no slots on closed dates", () => {
+    assert.deepEqual(generateTimeSlots(settings({ holidays: [WEDNESDAY] }), WEDNESDAY), []);
+    assert.deepEqual(generateTimeSlots(settings({ autoHolidays: true }), LABOR_THANKSGIVING), []);
+    const weeklyHours = [...DEFAULT_SETTINGS.weeklyHours];
+    weeklyHours[3] = { closed: true };
+    assert.deepEqual(generateTimeSlots(settings({ weeklyHours }), WEDNESDAY), []);
+  });
+
+  test("opens a holiday listed in openDates", () => {
+    const s = settings({ autoHolidays: true, openDates: [LABOR_THANKSGIVING] });
+    assert.equal(generateTimeSlots(s, LABOR_THANKSGIVING).length, 20);
+  });
+});
+
+describe("isSlotStart", () => {
+  test("rejects impossible dates and times", () => {
+    assert.equal(isValidDate("2026-13-45"), false);
+    assert.equal(isValidDate("2026-02-29"), false);
+    assert.equal(isValidDate(WEDNESDAY), true);
+    assert.equal(isValidTime("09:75"), false);
+    assert.equal(isValidTime("24:00"), false);
+    assert.equal(isValidTime("23:30"), true);
+  });
+
+  test("accepts only starts on the day's slot grid", () => {
+    assert.equal(isSlotStart(WEDNESDAY, "10:30", settings()), true);
+    assert.equal(isSlotStart(WEDNESDAY, "10:07", settings()), false);
+    assert.equal(isSlotStart(WEDNESDAY, "19:00", settings()), false);
+    assert.equal(isSlotStart(LABOR_THANKSGIVING, "10:00", settings({ autoHolidays: true })), false);
+  });
+
+  test("keeps off-grid series dates out of the plan", () => {
+    const plan = planSeries([WEDNESDAY], "10:07", product(60), [], settings());
+    assert.deepEqual(plan, [{ date: WEDNESDAY, ok: false, reason: "休業日・営業時間外" }]);
+  });
+});
+
+describe("getSlotOccupancy", () => {
+  test("counts a booking from its start up to, not including, its end", () => {
+    const reservations = [booking("10:00", "11:00")];
+    assert.equal(getSlotOccupancy(WEDNESDAY, "09:30", reservations), 0);
+    assert.equal(getSlotOccupancy(WEDNESDAY, "10:00", reservations), 1);
+    assert.equal(getSlotOccupancy(WEDNESDAY, "10:30", reservations), 1);
+    assert.equal(getSlotOccupancy(WEDNESDAY, "11:00", reservations), 0);
+  });
+
+  test("counts a booking that ends between slots in the slot it ends in", () => {
+    const reservations = [booking("10:00", "10:45")];
+    assert.equal(getSlotOccupancy(WEDNESDAY, "10:30", reservations), 1);
+    assert.equal(getSlotOccupancy(WEDNESDAY, "11:00", reservations), 0);
+  });
+
+  test("adds up required slots times party size", () => {
+    const reservations = [
+      booking("10:00", "11:00", { id: "a", requiredSlots: 3 }),
+      booking("10:00", "11:00", { id: "b", requiredSlots: 2, partySize: 2 }),
+    ];
+    assert.equal(getSlotOccupancy(WEDNESDAY, "10:00", reservations), 7);
+  });
+
+  test("only counts statuses that hold capacity on the same date", () => {
+    const reservations = ["confirmed", "checked_in", "completed", "no_show", "waitlisted", "cancelled"]
+      .map((status) => booking("10:00", "11:00", { id: status, status }));
+    reservations.push(booking("10:00", "11:00", { id: "other-day", date: "2026-10-22" }));
+    assert.equal(getSlotOccupancy(WEDNESDAY, "10:00", reservations), 3);
+  });
+});
+
+describe("canBook", () => {
+  test("allows a booking that ends exactly at closing time", () => {
+    assert.equal(canBook(WEDNESDAY, "18:00", product(60), [], settings()), true);
+  });
+
+  test("rejects a booking that runs past closing time", () => {
+    assert.equal(canBook(WEDNESDAY, "18:00", product(61), [], settings()), false);
+    assert.equal(canBook(WEDNESDAY, "18:30", product(60), [], settings()), false);
+  });
+
+  test("uses the close time of the day, not the standard one", () => {
+    const hourOverrides = [{ date: WEDNESDAY, openHour: 9, openMin: 0, closeHour: 17, closeMin: 30 }];
+    const s = settings({ hourOverrides });
+    assert.equal(canBook(WEDNESDAY, "16:30", product(60), [], s), true);
+    assert.equal(canBook(WEDNESDAY, "17:00", product(60), [], s), false);
+  });
+
+  test("rejects a start before opening time and any time on closed dates", () => {
+    assert.equal(canBook(WEDNESDAY, "08:30", product(60), [], settings()), false);
+    assert.equal(canBook(WEDNESDAY, "10:00", product(60), [], settings({ holidays: [WEDNESDAY] })), false);
+  });
+
+  test("checks every slot a duration not aligned to the interval touches", () => {
+    const s = settings({ maxCapacity: 1 });
+    // 45 minutes from 10:00 uses the 10:00 and 10:30 slots.
+    assert.equal(canBook(WEDNESDAY, "10:00", product(45), [booking("10:30", "11:00")], s), false);
+    assert.equal(canBook(WEDNESDAY, "10:00", product(45), [booking("11:00", "11:30")], s), true);
+  });
+
+  test("sees a booking that ends between slots as holding its last slot", () => {
+    const s = settings({ maxCapacity: 1 });
+    assert.equal(canBook(WEDNESDAY, "10:30", product(30), [booking("10:00", "10:45")], s), false);
+    assert.equal(canBook(WEDNESDAY, "11:00", product(30), [booking("10:00", "10:45")], s), true);
+  });
+
+  test("walks intervals that do not divide an hour", () => {
+    const s = settings({ maxCapacity: 1, slotIntervalMin: 45 });
+    assert.equal(canBook(WEDNESDAY, "09:45", product(90), [booking("10:30", "11:15")], s), false);
+    assert.equal(canBook(WEDNESDAY, "09:45", product(90), [booking("11:15", "12:00")], s), true);
+  });
+
+  test("fills a slot up to capacity and no further", () => {
+    const s = settings({ maxCapacity: 6 });
+    const reservations = [booking("10:00", "11:00", { requiredSlots: 3 })];
+    assert.equal(canBook(WEDNESDAY, "10:00", product(60, 3), reservations, s), true);
+    assert.equal(canBook(WEDNESDAY, "10:00", product(60, 4), reservations, s), false);
+  });
+
+  test("multiplies required slots by party size", () => {
+    const s = settings({ maxCapacity: 6 });
+    assert.equal(canBook(WEDNESDAY, "10:00", { ...product(60, 2), partySize: 3 }, [], s), true);
+    assert.equal(canBook(WEDNESDAY, "10:00", { ...product(60, 2), partySize: 4 }, [], s), false);
+  });
+
+  test("applies the lowest matching capacity rule", () => {
+    const capacityRules = [
+      { id: "a", dateFrom: "", dateTo: "", weekdays: [], startTime: "10:00", endTime: "11:00", capacity: 4 },
+      { id: "b", dateFrom: WEDNESDAY, dateTo: WEDNESDAY, weekdays: [3], startTime: "", endTime: "", capacity: 2 },
+    ];
+    const s = settings({ capacityRules });
+    assert.equal(canBook(WEDNESDAY, "10:00", product(60, 2), [], s), true);
+    assert.equal(canBook(WEDNESDAY, "10:00", product(60, 3), [], s), false);
+    assert.equal(canBook("2026-10-22", "10:00", product(60, 4), [], s), true);
+  });
+});
+
+describe("getDateAvailability", () => {
+  test("is 1 for an empty open day and 0 for a closed one", () => {
+    assert.equal(getDateAvailability(WEDNESDAY, [], settings()), 1);
+    assert.equal(getDateAvailability(WEDNESDAY, [], settings({ holidays: [WEDNESDAY] })), 0);
+  });
+
+  test("is the share of capacity left over the day", () => {
+    const s = settings({ maxCapacity: 2, closeHour: 11 }); // 4 slots, 8 places
+    assert.equal(getDateAvailability(WEDNESDAY, [booking("09:00", "10:00")], s), 6 / 8);
+  });
+
+  test("does not go below 0 when a slot is overbooked", () => {
+    const s = settings({ maxCapacity: 1, closeHour: 10 });
+    const reservations = [booking("09:00", "10:00", { requiredSlots: 3 })];
+    assert.equal(getDateAvailability(WEDNESDAY, reservations, s), 0);
+  });
+
+  test("weighs each slot by its own capacity", () => {
+    const capacityRules = [{ id: "a", dateFrom: "", dateTo: "", weekdays: [], startTime: "09:30", endTime: "", capacity: 1 }];
+    const s = settings({ maxCapacity: 3, closeHour: 10, capacityRules }); // 3 + 1 places
+    assert.equal(getDateAvailability(WEDNESDAY, [booking("09:00", "09:30")], s), 3 / 4);
+  });
+});
+
+describe("createOccupancyIndex", () => {
+  const slotsOf = (reservations) => ["09:30", "10:00", "10:30", "11:00"].map((t) => getSlotOccupancy(WEDNESDAY, t, reservations));
+
+  test("answers like the list it was built from", () => {
+    const reservations = [booking("10:00", "11:00", { id: "a", requiredSlots: 2 }), booking("10:30", "10:45", { id: "b" })];
+    assert.deepEqual(slotsOf(createOccupancyIndex(reservations)), slotsOf(reservations));
+    assert.deepEqual(slotsOf(reservations), [0, 2, 3, 0]);
+  });
+
+  test("follows add and remove", () => {
+    const index = createOccupancyIndex();
+    index.add(booking("10:00", "11:00", { id: "a" }));
+    index.add(booking("10:00", "10:30", { id: "b", requiredSlots: 2 }));
+    assert.deepEqual(slotsOf(index), [0, 3, 1, 0]);
+    index.add(booking("10:00", "11:00", { id: "a", status: "cancelled" }));
+    assert.deepEqual(slotsOf(index), [0, 2, 0, 0]);
+    index.remove({ id: "b" });
+    assert.deepEqual(slotsOf(index), [0, 0, 0, 0]);
+  });
+
+  test("sync picks up changed, added and removed reservations", () => {
+    const before = [booking("10:00", "11:00", { id: "a" }), booking("10:00", "11:00", { id: "b" })];
+    const index = createOccupancyIndex(before);
+    const after = [booking("10:30", "11:30", { id: "a" }), booking("09:30", "10:00", { id: "c", partySize: 3 })];
+    assert.deepEqual(slotsOf(index.sync(after)), slotsOf(after));
+    assert.deepEqual(slotsOf(after), [3, 0, 1, 1]);
+  });
+
+  test("can stand in for the list in canBook and getDateAvailability", () => {
+    const s = settings({ maxCapacity: 1, closeHour: 10 });
+    const index = createOccupancyIndex([booking("09:00", "09:30")]);
+    assert.equal(canBook(WEDNESDAY, "09:00", product(30), index, s), false);
+    assert.equal(canBook(WEDNESDAY, "09:30", product(30), index, s), true);
+    assert.equal(getDateAvailability(WEDNESDAY, index, s), 1 / 2);
+  });
+
+  test("lets promoteWaitlist fill a freed slot once", () => {
+    const s = settings({ maxCapacity: 1 });
+    const reservations = [
+      booking("10:00", "11:00", { id: "w1", status: "waitlisted", durationMin: 60 }),
+      booking("10:00", "11:00", { id: "w2", status: "waitlisted", durationMin: 60 }),
+    ];
+    const { promoted } = promoteWaitlist(reservations, s, WEDNESDAY);
+    assert.deepEqual(promoted.map((r) => r.id), ["w1"]);
+  });
+});
+
+describe("resources", () => {
+  const resource = (id, overrides = {}) => ({
+    id, name: id, kind: "instructor", active: true, weekdays: [], startTime: "", endTime: "", daysOff: [], ...overrides,
+  });
+  const lesson = { ...product(60), resourceKinds: ["instructor"] };
+  const s = settings({ resources: [resource("a"), resource("b")] });
+  const held = (startTime, endTime, id) => booking(startTime, endTime, { id: `${id}-${startTime}`, resources: [{ id, name: id, kind: "instructor" }] });
+
+  test("picks a free resource of each kind", () => {
+    assert.deepEqual(assignResources(WEDNESDAY, "10:00", lesson, [held("10:00", "11:00", "a")], s), [{ id: "b", name: "b", kind: "instructor" }]);
+  });
+
+  test("refuses the booking when every resource is taken, even with headcount left", () => {
+    const reservations = [held("09:30", "10:30", "a"), held("10:30", "11:30", "b")];
+    assert.equal(canBook(WEDNESDAY, "10:00", lesson, reservations, s), false);
+    assert.equal(canBook(WEDNESDAY, "10:00", product(60), reservations, s), true);
+    assert.equal(canBook(WEDNESDAY, "11:30", lesson, reservations, s), true);
+  });
+
+  test("respects working days, hours, days off and the active flag", () => {
+    const only = (overrides) => settings({ resources: [resource("a", overrides)] });
+    assert.equal(canBook(WEDNESDAY, "10:00", lesson, [], only({ weekdays: [1, 2] })), false);
+    assert.equal(canBook(WEDNESDAY, "10:00", lesson, [], only({ weekdays: [3] })), true);
+    assert.equal(canBook(WEDNESDAY, "10:00", lesson, [], only({ startTime: "13:00" })), false);
+    assert.equal(canBook(WEDNESDAY, "12:00", lesson, [], only({ endTime: "12:30" })), false);
+    assert.equal(canBook(WEDNESDAY, "10:00", lesson, [], only({ daysOff: [WEDNESDAY] })), false);
+    assert.equal(canBook(WEDNESDAY, "10:00", lesson, [], only({ active: false })), false);
+  });
+
+  test("keeps the resource a moved reservation already holds", () => {
+    const moved = { ...held("14:00", "15:00", "b"), resourceKinds: ["instructor"], durationMin: 60 };
+    assert.deepEqual(withResources(moved, [], s).resources.map((r) => r.id), ["b"]);
+  });
+
+  test("leaves reservations that need nothing untouched", () => {
+    const plain = booking("10:00", "11:00", { durationMin: 60 });
+    assert.equal(withResources(plain, [], s), plain);
+  });
+});
+
+describe("reminders", () => {
+  const queued = booking("10:00", "11:00", { reminderQueuedAt: "2026-10-20T01:00:00Z", productId: "p", durationMin: 60 });
+
+  test("are queued again for a booking moved to another date or time", () => {
+    assert.equal(applyReschedule(queued, { date: "2026-10-22", startTime: "10:00", product: product(60) }, "admin").reminderQueuedAt, undefined);
+    assert.equal(applyReschedule(queued, { date: WEDNESDAY, startTime: "11:00", product: product(60) }, "admin").reminderQueuedAt, undefined);
+    assert.equal(applyReschedule(queued, { date: WEDNESDAY, startTime: "10:00", product: product(90) }, "admin").reminderQueuedAt, queued.reminderQueuedAt);
+  });
+
+  test("are queued again for every moved occurrence of a series", () => {
+    const occurrence = { ...queued, seriesId: "s1" };
+    const { changed } = rescheduleSeries([occurrence], "s1", { startTime: "11:00", product: product(60) }, settings(), "2026-10-01", "admin");
+    assert.equal(changed[0].reminderQueuedAt, undefined);
+  });
+
+  test("are queued again for a booking that holds its slot again", () => {
+    assert.equal(applyStatus({ ...queued, status: "no_show" }, "confirmed").reminderQueuedAt, undefined);
+    assert.equal(applyStatus(queued, "checked_in").reminderQueuedAt, queued.reminderQueuedAt);
+    const cancelled = { ...queued, status: "cancelled" };
+    const entry = { action: "cancel", reservationId: cancelled.id, before: { status: "confirmed" } };
+    assert.equal(restoreFromAudit([cancelled], entry, settings()).restored.reminderQueuedAt, undefined);
+  });
+});
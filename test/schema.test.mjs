@@ -0,0 +1,138 @@
+// Storage layout upgrades (schema.mjs). Run with `node --test test/`.
+import { test, describe } from "node:test";
+import assert from "node:assert/strict";
+import {
+  STORAGE_KEY, SETTINGS_KEY, PRODUCTS_KEY, CUSTOMERS_KEY, DEFAULT_PRODUCTS, DEFAULT_SETTINGS, canBook,
+} from "../scheduling.mjs";
+import {
+  SCHEMA_VERSION, upgradeStoredData, readBackup, createBackup, BACKUP_FORMAT, productErrors, settingsErrors,
+} from "../schema.mjs";
+
+const reservation = (overrides = {}) => ({
+  id: "r1", date: "2026-10-21", startTime: "10:00", endTime: "11:00", status: "confirmed", requiredSlots: 1, ...overrides,
+});
+
+describe("upgradeStoredData", () => {
+  test("moves index.html's documents to the shared keys", () => {
+    const raw = {
+      "pick-res-v2": JSON.stringify([reservation()]),
+      "pick-set-v2": JSON.stringify({ maxCapacity: 4 }),
+      [STORAGE_KEY]: null,
+    };
+    const { data, problems, current } = upgradeStoredData(raw, undefined);
+    assert.deepEqual(problems, []);
+    assert.equal(current, false);
+    assert.equal(data["pick-res-v2"], undefined);
+    assert.deepEqual(data[SETTINGS_KEY], { maxCapacity: 4 });
+    const [r] = data[STORAGE_KEY];
+    assert.equal(r.partySize, 1);
+    assert.equal(r.email, "");
+    assert.match(r.code, /^[A-Z0-9]{3}-[A-Z0-9]{3}$/);
+  });
+
+  test("keeps the shared document when both keys are stored", () => {
+    const raw = { "pick-prod-v2": "[]", [PRODUCTS_KEY]: JSON.stringify([{ id: "q", name: "Q", requiredSlots: 1, durationMin: 60 }]) };
+    assert.equal(upgradeStoredData(raw, undefined).data[PRODUCTS_KEY].length, 1);
+  });
+
+  test("reports unreadable documents and invalid records", () => {
+    const raw = { [SETTINGS_KEY]: "{broken", [STORAGE_KEY]: JSON.stringify([reservation(), reservation({ id: "r2", date: "x" })]) };
+    const { data, problems } = upgradeStoredData(raw, SCHEMA_VERSION);
+    assert.deepEqual(problems.map((p) => p.key), [SETTINGS_KEY, STORAGE_KEY]);
+    assert.deepEqual(data[STORAGE_KEY].map((r) => r.id), ["r1"]);
+  });
+
+  test("is current when the version is recorded and nothing is wrong", () => {
+    const raw = { [STORAGE_KEY]: JSON.stringify([reservation({ code: "ABC-DEF", partySize: 1, email: "" })]) };
+    assert.equal(upgradeStoredData(raw, SCHEMA_VERSION).current, true);
+    assert.equal(upgradeStoredData(raw, undefined).current, false);
+  });
+
+  test("builds the customer registry from version 3 reservations", () => {
+    const raw = {
+      [STORAGE_KEY]: JSON.stringify([
+        reservation({ code: "ABC-DEF", partySize: 1, email: "", phone: "090-1234-5678", name: "山田" }),
+        reservation({ id: "r2", code: "ABC-DEG", partySize: 1, email: "", phone: "09012345678", name: "山田 太郎" }),
+      ]),
+    };
+    const { data, problems } = upgradeStoredData(raw, 3);
+    assert.deepEqual(problems, []);
+    assert.deepEqual(data[CUSTOMERS_KEY].map((c) => [c.name, c.phones]), [["山田 太郎", ["09012345678"]]]);
+  });
+
+  test("prices upcoming version 4 reservations with the stored products, settings and client rates", () => {
+    const raw = {
+      [STORAGE_KEY]: JSON.stringify([
+        reservation({ code: "ABC-DEF", date: "2099-10-21", partySize: 2, email: "", phone: "090-1234-5678", productId: "q" }),
+        reservation({ id: "r2", code: "ABC-DEG", date: "2099-10-21", partySize: 1, email: "", phone: "0612345678", productId: "q" }),
+        reservation({ id: "r4", code: "ABC-DEH", date: "2020-10-21", partySize: 1, email: "", phone: "0612345678", productId: "q", status: "completed" }),
+        reservation({ id: "r3", date: "x", productId: "q" }),
+      ]),
+      [PRODUCTS_KEY]: JSON.stringify([{ id: "q", name: "Q", requiredSlots: 1, durationMin: 60, price: 2000 }]),
+      [CUSTOMERS_KEY]: JSON.stringify([{ id: "c1", name: "山田", phones: ["09012345678"], rates: { q: 1500 } }]),
+    };
+    const { data, problems } = upgradeStoredData(raw, 4);
+    assert.deepEqual(data[STORAGE_KEY].map((r) => r.price), [3000, 2000, undefined]);
+    assert.deepEqual(problems.map((p) => p.record.id), ["r3"]);
+    assert.equal(problems[0].record.price, undefined);
+  });
+
+  test("gives upcoming version 5 bookings the resources their product needs", () => {
+    const guide = (id, date, createdAt) => reservation({
+      id, code: `ABC-${id}`, date, startTime: "10:00", endTime: "13:00", productId: "pick-guide-half", requiredSlots: 3, durationMin: 180, createdAt,
+    });
+    const raw = {
+      [STORAGE_KEY]: JSON.stringify([
+        guide("r2", "2099-11-02", "2026-10-02T00:00:00Z"),
+        guide("r1", "2099-11-02", "2026-10-01T00:00:00Z"),
+        guide("r3", "2020-11-02", "2020-10-01T00:00:00Z"),
+      ]),
+    };
+    const { data, problems } = upgradeStoredData(raw, 5);
+    assert.deepEqual(problems, []);
+    const byId = Object.fromEntries(data[STORAGE_KEY].map((r) => [r.id, r]));
+    assert.deepEqual(byId.r1.resources.map((r) => r.id), ["instructor-1"]);
+    assert.equal(byId.r2.resources, undefined);
+    assert.equal(byId.r3.resources, undefined);
+    const pickGuideHalf = DEFAULT_PRODUCTS.find((p) => p.id === "pick-guide-half");
+    assert.equal(canBook("2099-11-02", "10:00", pickGuideHalf, [byId.r1], DEFAULT_SETTINGS), false);
+  });
+
+  test("refuses data from a newer version", () => {
+    assert.throws(() => upgradeStoredData({}, SCHEMA_VERSION + 1), /新しいバージョン/);
+  });
+});
+
+describe("readBackup", () => {
+  test("round-trips a backup", () => {
+    const data = { [STORAGE_KEY]: [reservation({ code: "ABC-DEF", partySize: 1, email: "" })] };
+    assert.deepEqual(readBackup(createBackup(data)).data, data);
+  });
+
+  test("upgrades a version 1 backup", () => {
+    const backup = { format: BACKUP_FORMAT, schemaVersion: 1, data: { "pick-res-v2": [reservation()] } };
+    assert.equal(readBackup(backup).data[STORAGE_KEY][0].partySize, 1);
+  });
+
+  test("rejects files that are not backups", () => {
+    assert.throws(() => readBackup({ data: {} }), /バックアップファイルではありません/);
+  });
+});
+
+describe("document checks", () => {
+  test("accept complete settings and refuse partial or mistyped ones", () => {
+    assert.deepEqual(settingsErrors(DEFAULT_SETTINGS), []);
+    assert.match(settingsErrors({}).join(), /maxCapacity/);
+    assert.match(settingsErrors({ ...DEFAULT_SETTINGS, capacityRules: null }).join(), /capacityRules/);
+    assert.equal(settingsErrors({ ...DEFAULT_SETTINGS, slotIntervalMin: 0 }).length, 1);
+    assert.equal(settingsErrors({ ...DEFAULT_SETTINGS, openHour: 20 }).length, 1);
+    assert.equal(settingsErrors({ ...DEFAULT_SETTINGS, weeklyHours: [null, { closed: true }, null, null, null, null, null] }).length, 0);
+    assert.equal(settingsErrors({ ...DEFAULT_SETTINGS, weeklyHours: [null] }).length, 1);
+  });
+
+  test("refuse products without a duration or slot count", () => {
+    assert.deepEqual(productErrors(DEFAULT_PRODUCTS[0]).filter(Boolean), []);
+    assert.equal(productErrors({ id: "x", name: "X", active: true }).filter(Boolean).length, 2);
+    assert.equal(productErrors({ ...DEFAULT_PRODUCTS[0], price: -1 }).filter(Boolean).length, 1);
+  });
+});